@@ -5,4 +5,120 @@ PORT=3001
 ASSEMBLYAI_API_KEY=sua-chave-assemblyai-aqui
 
 # Exemplo de chave AssemblyAI (substitua pela sua chave real):
-# ASSEMBLYAI_API_KEY=xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
\ No newline at end of file
+# ASSEMBLYAI_API_KEY=xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
+
+# Fila de transcrições
+# Quantidade máxima de jobs processados ao mesmo tempo
+MAX_CONCURRENT_JOBS=2
+# Tempo (em minutos) que o resultado de um job finalizado fica disponível
+JOB_TTL_MINUTES=60
+
+# Legendas (SRT/WebVTT)
+SUBTITLE_MAX_CHARS_PER_LINE=42
+SUBTITLE_MAX_LINES=2
+SUBTITLE_MAX_CUE_DURATION_MS=6000
+
+# Tradução (/api/process-text)
+# Provedor: libretranslate ou simulated (padrão quando TRANSLATION_API_URL não está definida)
+TRANSLATION_PROVIDER=libretranslate
+TRANSLATION_API_URL=http://localhost:5000
+# TRANSLATION_API_KEY=sua-chave-libretranslate
+TRANSLATION_DEFAULT_TARGET=pt
+TRANSLATION_CHUNK_SIZE=4000
+
+# Limites para mídia baixada por link (/api/transcribe-url)
+MAX_DOWNLOAD_MB=500
+# Duração máxima de qualquer mídia (arquivos, links, YouTube), conferida com ffprobe
+MAX_MEDIA_DURATION_MINUTES=120
+# Links de mídia e callbackUrl para localhost, redes privadas e endereços reservados
+# (ex.: 169.254.169.254) são recusados. Hosts liberados mesmo assim, separados por
+# vírgula (ex.: localhost para um receptor de webhooks local)
+ALLOWED_PRIVATE_HOSTS=
+# Opcional: client_id do SoundCloud (sem ele, um client_id público é obtido automaticamente)
+# SOUNDCLOUD_CLIENT_ID=seu-client-id
+
+# Pasta onde as transcrições (e demais dados do servidor) são salvas
+DATA_DIR=data
+
+# Provedor de transcrição padrão: assemblyai, whisper (local, sem rede) ou mock
+# (mock gera transcrições simuladas para testes offline e é recusado com NODE_ENV=production)
+TRANSCRIPTION_PROVIDER=assemblyai
+# Whisper local (whisper.cpp): binário e modelo ggml
+# WHISPER_BIN=whisper-cli
+# WHISPER_MODEL=/models/ggml-base.bin
+# WHISPER_THREADS=4
+# WHISPER_TIMEOUT_MINUTES=0
+# Disponibiliza o provedor mock para seleção por requisição, sem torná-lo o padrão
+# ENABLE_MOCK_PROVIDER=true
+
+# Uploads de arquivos: tamanho máximo e tamanho de cada parte no upload retomável (/api/uploads)
+MAX_UPLOAD_MB=4096
+UPLOAD_CHUNK_MB=8
+# Por chave: uploads em partes abertos ao mesmo tempo e a soma dos seus tamanhos
+# (padrão: o dobro de MAX_UPLOAD_MB); uploads parados por UPLOAD_TTL_HOURS são descartados
+MAX_OPEN_UPLOADS=5
+MAX_OPEN_UPLOADS_MB=8192
+UPLOAD_TTL_HOURS=24
+
+# Segmentação de áudios longos: corta nos silêncios e transcreve os trechos em paralelo
+# Modo: auto (a partir de SEGMENT_MIN_MINUTES, sem separação de falantes), on ou off
+SEGMENTATION_MODE=auto
+SEGMENT_MIN_MINUTES=30
+SEGMENT_TARGET_MINUTES=10
+SEGMENT_CONCURRENCY=3
+SEGMENT_MAX_RETRIES=2
+
+# Resumo, capítulos e palavras-chave (pedidos por transcrição com insights=true)
+# Backend: auto (AssemblyAI em áudio em inglês, algoritmo local nos demais casos) ou local
+INSIGHTS_BACKEND=auto
+# Duração aproximada de cada capítulo no algoritmo local
+INSIGHTS_CHAPTER_MINUTES=5
+
+# Cache de transcrições: a mesma mídia (id do vídeo ou hash do áudio) com as
+# mesmas opções volta do histórico sem nova transcrição. off desliga o cache.
+TRANSCRIPT_CACHE=on
+# Máximo de entradas (as usadas há mais tempo saem primeiro)
+CACHE_MAX_ENTRIES=500
+# Validade das entradas em dias (0 = sem validade)
+CACHE_TTL_DAYS=0
+
+# Webhooks (callbackUrl nas rotas de transcrição): segredo padrão para assinar
+# os envios quando a requisição não traz callbackSecret (vazio = sem assinatura)
+WEBHOOK_SECRET=
+# Tentativas por entrega; a espera entre elas começa em WEBHOOK_RETRY_SECONDS e dobra a cada falha
+WEBHOOK_MAX_ATTEMPTS=5
+WEBHOOK_RETRY_SECONDS=10
+# Tempo máximo de resposta do receptor
+WEBHOOK_TIMEOUT_SECONDS=10
+# Entregas guardadas no registro (GET /api/webhooks/deliveries)
+WEBHOOK_LOG_MAX=500
+
+# Autenticação das rotas /api por chave de API (padrão: on em produção, off nos demais casos)
+API_AUTH=on
+# Chave do administrador: emite e revoga as chaves (/api/admin/keys) e não tem cota
+ADMIN_API_KEY=troque-por-um-segredo-longo
+# Cota padrão de minutos transcritos por chave e por dia (0 = sem limite)
+DEFAULT_DAILY_MINUTES=120
+# Requisições por minuto por chave (ou por IP com a autenticação desligada); as partes
+# dos uploads em partes (PUT /api/uploads/:id/chunks/:n) não contam
+RATE_LIMIT_PER_MINUTE=120
+# Sessões do navegador (login com a chave): segredo de assinatura e validade em horas.
+# Sem SESSION_SECRET, as sessões caem quando o servidor reinicia.
+SESSION_SECRET=
+SESSION_HOURS=12
+# Origens aceitas pelo CORS, separadas por vírgula (vazio libera qualquer origem;
+# com NODE_ENV=production a lista é obrigatória, inclusive com o frontend no mesmo domínio)
+CORS_ORIGINS=https://meu-app.up.railway.app
+# Número de proxies à frente do servidor (Railway: 1), para ler o IP real do cliente
+TRUST_PROXY=1
+
+# Custo estimado por minuto transcrito, por provedor (COST_PER_MINUTE_<PROVEDOR>).
+# Sem a variável: AssemblyAI 0.0062 (US$ 0,37/hora) e zero para os provedores locais.
+COST_PER_MINUTE_ASSEMBLYAI=0.0062
+COST_PER_MINUTE_WHISPER=0
+COST_CURRENCY=USD
+# Dias de histórico no registro de uso (data/usage.jsonl)
+USAGE_RETENTION_DAYS=365
+
+# Lotes (vários arquivos ou playlists do YouTube): máximo de itens por lote
+MAX_BATCH_ITEMS=50
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import { createJsonFile } from './jsonFile.js';
+
+// =============================================
+// CHAVES DE API E USO POR CHAVE
+// =============================================
+// As chaves são geradas aqui ("tvk_" + 32 bytes aleatórios) e só aparecem na
+// criação: o arquivo guarda o hash SHA-256 e o início da chave, para que ela
+// possa ser reconhecida na lista. Uma chave revogada continua no registro (com
+// o uso), mas deixa de ser aceita. O uso (requisições, jobs e minutos
+// transcritos) é contado por dia, em UTC. Os minutos de jobs ainda na fila ou
+// em andamento ficam reservados (só em memória) e já descontam da cota.
+
+const KEY_PREFIX = 'tvk_';
+const MAX_NAME_LENGTH = 80;
+const USAGE_RETENTION_DAYS = 90;
+// O uso muda a cada requisição: as gravações em disco são agrupadas
+const PERSIST_DELAY_MS = 5000;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const EMPTY_USAGE = { requests: 0, jobs: 0, minutes: 0 };
+
+// Valida os dados de uma chave vindos da requisição. Com `partial`, só os
+// campos presentes são conferidos (PATCH). Lança erro com mensagem para o cliente.
+// `dailyMinutes`: null usa o padrão do servidor; 0 é sem limite.
+export const parseApiKeyInput = (input = {}, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name ?? '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Nome da chave obrigatório (até ${MAX_NAME_LENGTH} caracteres)`);
+    }
+    data.name = name;
+  }
+
+  if (!partial || input.dailyMinutes !== undefined) {
+    const minutes = input.dailyMinutes ?? null;
+    if (minutes !== null && (!Number.isInteger(Number(minutes)) || Number(minutes) < 0)) {
+      throw new Error('dailyMinutes deve ser um número inteiro de minutos (0 = sem limite)');
+    }
+    data.dailyMinutes = minutes === null ? null : Number(minutes);
+  }
+
+  if (!partial || input.rateLimitPerMinute !== undefined) {
+    const limit = input.rateLimitPerMinute ?? null;
+    if (limit !== null && (!Number.isInteger(Number(limit)) || Number(limit) < 1)) {
+      throw new Error('rateLimitPerMinute deve ser um número inteiro maior que zero');
+    }
+    data.rateLimitPerMinute = limit === null ? null : Number(limit);
+  }
+
+  return data;
+};
+
+// `defaultDailyMinutes` e `defaultRateLimit` valem para as chaves sem limites próprios
+export const createApiKeyStore = ({ file, defaultDailyMinutes = 0, defaultRateLimit = 120 }) => {
+  const storage = createJsonFile(file);
+  const saved = storage.read({ keys: [], usage: {} });
+  const keys = new Map(saved.keys.map(key => [key.id, key]));
+  const keysByHash = new Map(saved.keys.map(key => [key.hash, key]));
+  // { [id da chave]: { [dia]: { requests, jobs, minutes } } }
+  const usage = saved.usage || {};
+  // { [token]: { id da chave, minutos } } dos jobs que ainda não terminaram
+  const reservations = new Map();
+  let persistTimer = null;
+
+  if (keys.size > 0) {
+    console.log(`🔑 Chaves de API carregadas: ${keys.size}`);
+  }
+
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    return storage.write({ keys: [...keys.values()], usage }).catch(error => {
+      console.error('Erro ao salvar as chaves de API:', error);
+    });
+  };
+
+  const schedulePersist = () => {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  };
+
+  // Descarta os dias mais antigos que USAGE_RETENTION_DAYS
+  const pruneUsage = () => {
+    const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const days of Object.values(usage)) {
+      Object.keys(days).filter(day => day < oldest).forEach(day => delete days[day]);
+    }
+  };
+
+  const usageOn = (id, day = today()) => ({ ...EMPTY_USAGE, ...usage[id]?.[day] });
+
+  const addUsage = (id, { requests = 0, jobs = 0, minutes = 0 }) => {
+    const day = today();
+    if (!usage[id]?.[day]) {
+      pruneUsage();
+    }
+    usage[id] = usage[id] || {};
+    const current = usageOn(id, day);
+    usage[id][day] = {
+      requests: current.requests + requests,
+      jobs: current.jobs + jobs,
+      minutes: Math.round((current.minutes + minutes) * 100) / 100
+    };
+    schedulePersist();
+  };
+
+  // Limites em vigor para uma chave (os próprios ou os padrões do servidor)
+  const limits = (key) => ({
+    dailyMinutes: key.dailyMinutes ?? defaultDailyMinutes,
+    rateLimitPerMinute: key.rateLimitPerMinute ?? defaultRateLimit
+  });
+
+  const reservedMinutes = (id) => {
+    let total = 0;
+    for (const reservation of reservations.values()) {
+      if (reservation.id === id) total += reservation.minutes;
+    }
+    return total;
+  };
+
+  // Minutos que ainda podem ser transcritos hoje, descontadas as reservas
+  // (Infinity sem limite)
+  const remainingMinutes = (key) => {
+    const { dailyMinutes } = limits(key);
+    if (!dailyMinutes) return Infinity;
+    return Math.max(0, dailyMinutes - usageOn(key.id).minutes - reservedMinutes(key.id));
+  };
+
+  // Reserva `minutes` da cota de hoje para um job que vai para a fila. Devolve
+  // o token a passar para `release` quando o job terminar (os minutos de fato
+  // transcritos entram depois, com `recordJob`).
+  const reserve = (id, minutes) => {
+    const token = crypto.randomUUID();
+    reservations.set(token, { id, minutes });
+    return token;
+  };
+
+  const release = (token) => reservations.delete(token);
+
+  // Dados públicos da chave (sem o hash), com os limites e o uso de hoje
+  const toJSON = (key) => {
+    const { hash, ...rest } = key;
+    return { ...rest, limits: limits(key), usageToday: usageOn(key.id) };
+  };
+
+  const list = () => [...keys.values()]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toJSON);
+
+  const get = (id) => keys.get(id) || null;
+
+  // Gera uma chave nova; `secret` só é devolvido aqui
+  const create = async (data) => {
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name: data.name,
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      hash: hashApiKey(secret),
+      dailyMinutes: data.dailyMinutes ?? null,
+      rateLimitPerMinute: data.rateLimitPerMinute ?? null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    keys.set(key.id, key);
+    keysByHash.set(key.hash, key);
+    await persist();
+    return { secret, key: toJSON(key) };
+  };
+
+  const update = async (id, changes) => {
+    const key = keys.get(id);
+    if (!key) {
+      return null;
+    }
+    Object.assign(key, changes);
+    await persist();
+    return toJSON(key);
+  };
+
+  const revoke = async (id) => {
+    const key = keys.get(id);
+    if (!key) {
+      return null;
+    }
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    await persist();
+    return toJSON(key);
+  };
+
+  // Chave válida (não revogada) correspondente ao segredo, ou null
+  const authenticate = (secret) => {
+    const key = keysByHash.get(hashApiKey(secret));
+    if (!key || key.revokedAt) {
+      return null;
+    }
+    key.lastUsedAt = new Date().toISOString();
+    return key;
+  };
+
+  const recordRequest = (id) => addUsage(id, { requests: 1 });
+
+  const recordJob = (id, minutes) => addUsage(id, { jobs: 1, minutes });
+
+  // Uso dos últimos `days` dias, por identificador (chaves e o administrador)
+  const usageReport = ({ days = 7 } = {}) => {
+    const dates = Array.from({ length: days }, (_, index) => (
+      new Date(Date.now() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    ));
+    return Object.keys(usage).map(id => {
+      const daily = dates.map(date => ({ date, ...usageOn(id, date) }));
+      const total = daily.reduce((sum, day) => ({
+        requests: sum.requests + day.requests,
+        jobs: sum.jobs + day.jobs,
+        minutes: Math.round((sum.minutes + day.minutes) * 100) / 100
+      }), { ...EMPTY_USAGE });
+      return { id, name: keys.get(id)?.name || null, total, daily };
+    });
+  };
+
+  return { list, get, create, update, revoke, authenticate, limits, remainingMinutes, reserve, release, usageOn, recordRequest, recordJob, usageReport, toJSON };
+};
@@ -0,0 +1,40 @@
+import fs from 'fs';
+
+// =============================================
+// CABEÇALHO WAV
+// =============================================
+// O áudio convertido pelo ffmpeg é sempre WAV PCM; a duração sai do cabeçalho,
+// sem precisar rodar o ffprobe de novo.
+
+// Lê a duração (em segundos) de um arquivo WAV PCM a partir do cabeçalho
+export const readWavDuration = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(64 * 1024);
+  let fileSize;
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fileSize = fs.fstatSync(fd).size;
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('O arquivo não é um áudio WAV');
+  }
+
+  let offset = 12;
+  let byteRate = null;
+  while (offset + 8 <= Math.min(buffer.length, fileSize)) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data' && byteRate) {
+      // O ffmpeg pode gravar um tamanho inválido quando escreve em stream
+      const dataSize = Math.min(chunkSize, fileSize - offset - 8);
+      return dataSize / byteRate;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  throw new Error('Cabeçalho WAV inválido');
+};
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+// =============================================
+// LOTES DE TRANSCRIÇÃO
+// =============================================
+// Um lote agrupa jobs independentes (vários arquivos ou os vídeos de uma
+// playlist). O estado de cada item vem sempre da fila de jobs.
+
+export const createBatchStore = ({ jobQueue }) => {
+  const batches = new Map();
+
+  const toJSON = (batch) => {
+    const items = batch.items.map(item => {
+      const job = jobQueue.get(item.jobId);
+      return {
+        jobId: item.jobId,
+        title: item.title,
+        stage: job ? job.stage : 'expired',
+        progress: job ? job.progress : {},
+        error: job ? job.error : null,
+        transcriptId: job?.result?.transcriptId || null
+      };
+    });
+    const done = items.filter(item => item.stage === 'done').length;
+    const failed = items.filter(item => item.stage === 'failed' || item.stage === 'expired').length;
+
+    return {
+      id: batch.id,
+      type: batch.type,
+      title: batch.title,
+      source: batch.source,
+      ownerId: batch.ownerId,
+      createdAt: batch.createdAt,
+      total: items.length,
+      done,
+      failed,
+      finished: done + failed === items.length,
+      percent: Math.round(((done + failed) / items.length) * 100),
+      items
+    };
+  };
+
+  // Os lotes vivem enquanto algum de seus jobs ainda estiver na fila
+  // (o resultado de cada item some junto com o job)
+  const sweep = () => {
+    for (const [id, batch] of batches) {
+      if (batch.items.every(item => !jobQueue.get(item.jobId))) {
+        batches.delete(id);
+      }
+    }
+  };
+
+  // `items`: [{ jobId, title }] de jobs já colocados na fila.
+  // `ownerId`: id da chave de API que criou o lote (null sem autenticação).
+  const create = ({ type, title = null, source = {}, items, ownerId = null }) => {
+    sweep();
+    const batch = {
+      id: crypto.randomUUID(),
+      type,
+      title,
+      source,
+      ownerId,
+      createdAt: new Date().toISOString(),
+      items
+    };
+    batches.set(batch.id, batch);
+    console.log(`Lote ${batch.id} (${type}): ${items.length} item(ns)`);
+    return toJSON(batch);
+  };
+
+  const get = (id) => {
+    const batch = batches.get(id);
+    return batch ? toJSON(batch) : null;
+  };
+
+  // Chama `listener` com o lote atualizado a cada mudança em qualquer item.
+  // Retorna a função para cancelar a inscrição.
+  const subscribe = (id, listener) => {
+    const batch = batches.get(id);
+    if (!batch) return () => {};
+    const unsubscribes = batch.items.map(item => jobQueue.subscribe(item.jobId, () => listener(toJSON(batch))));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  };
+
+  return { create, get, subscribe };
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createJsonFile } from './jsonFile.js';
+
+// =============================================
+// CACHE DE TRANSCRIÇÕES
+// =============================================
+// Liga a "impressão digital" de uma mídia (id do vídeo do YouTube ou hash do
+// áudio convertido) mais as opções da transcrição a uma transcrição salva na
+// biblioteca. O cache guarda só o índice: o conteúdo continua na biblioteca, e
+// apagar uma transcrição do histórico invalida as entradas que apontam para ela.
+
+// Opções que não mudam o resultado ficam fora da chave
+const IGNORED_OPTIONS = ['force', 'nativeInsights'];
+
+// JSON com as chaves em ordem, para que a mesma configuração gere sempre o mesmo texto
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Resumo curto das opções que influenciam a transcrição
+export const optionsFingerprint = (options) => {
+  const relevant = Object.fromEntries(Object.entries(options).filter(([key]) => !IGNORED_OPTIONS.includes(key)));
+  return crypto.createHash('sha256').update(stableStringify(relevant)).digest('hex').slice(0, 16);
+};
+
+// SHA-256 do conteúdo de um arquivo, lido em stream
+export const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+};
+
+// `maxEntries`: acima disso, saem as entradas usadas há mais tempo.
+// `ttlMs`: entradas mais antigas que isso expiram (0 = nunca).
+export const createTranscriptCache = ({ file, library, maxEntries = 500, ttlMs = 0 }) => {
+  const storage = createJsonFile(file);
+  const entries = new Map(storage.read([]).map(entry => [entry.key, entry]));
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  const persist = () => storage.write([...entries.values()]).catch(error => {
+    console.error('Erro ao salvar o índice do cache:', error);
+  });
+
+  const isExpired = (entry) => ttlMs > 0 && Date.now() - Date.parse(entry.createdAt) > ttlMs;
+
+  // Remove as expiradas e, se preciso, as menos usadas recentemente
+  const evict = () => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    if (entries.size > maxEntries) {
+      const oldest = [...entries.values()]
+        .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt))
+        .slice(0, entries.size - maxEntries);
+      oldest.forEach(entry => entries.delete(entry.key));
+      removed += oldest.length;
+    }
+    counters.evictions += removed;
+    return removed;
+  };
+
+  // Transcrição salva para a chave, ou null. Conta acertos e falhas.
+  const lookup = async (key) => {
+    const entry = entries.get(key);
+    const record = entry && !isExpired(entry) ? await library.get(entry.transcriptId) : null;
+    if (!record) {
+      if (entry) {
+        entries.delete(key);
+        persist();
+      }
+      counters.misses++;
+      return null;
+    }
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    counters.hits++;
+    persist();
+    return { record, entry: { ...entry } };
+  };
+
+  const store = (keys, transcriptId) => {
+    const now = new Date().toISOString();
+    for (const key of keys) {
+      entries.set(key, { key, transcriptId, createdAt: now, lastUsedAt: now, hits: 0 });
+    }
+    evict();
+    return persist();
+  };
+
+  // Esvazia o cache (todas as entradas ou só as de uma transcrição)
+  const clear = ({ transcriptId = null } = {}) => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (!transcriptId || entry.transcriptId === transcriptId) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    counters.evictions += removed;
+    persist();
+    return removed;
+  };
+
+  const stats = () => ({
+    entries: entries.size,
+    maxEntries,
+    ttlDays: ttlMs > 0 ? ttlMs / (24 * 60 * 60 * 1000) : null,
+    ...counters,
+    hitRate: counters.hits + counters.misses > 0
+      ? Math.round((counters.hits / (counters.hits + counters.misses)) * 100) / 100
+      : null
+  });
+
+  if (evict() > 0) {
+    persist();
+  }
+
+  return { lookup, store, clear, stats };
+};
@@ -0,0 +1,222 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { createZip } from './zip.js';
+import { formatClock } from './formatting.js';
+
+// =============================================
+// EXPORTAÇÃO DE TRANSCRIÇÕES
+// =============================================
+// Gera documentos (Markdown, DOCX, PDF e JSON) a partir de uma transcrição
+// salva na biblioteca ou do resultado de um job concluído.
+
+// Agrupa palavras em blocos que começam a cada `intervalMs` (00:00, 00:30...)
+const splitByInterval = (words, intervalMs) => {
+  const blocks = [];
+  let current = null;
+  for (const word of words) {
+    const slot = Math.floor(word.start / intervalMs);
+    if (!current || slot !== current.slot) {
+      current = { slot, start: word.start, words: [] };
+      blocks.push(current);
+    }
+    current.words.push(word.text);
+  }
+  return blocks.map(block => ({ start: block.start, text: block.words.join(' ') }));
+};
+
+// Monta o documento neutro usado por todos os formatos: metadados e parágrafos
+// ({ speaker, start, text }). Com falantes, cada fala vira um parágrafo; com
+// `timestampInterval` (segundos), os parágrafos são quebrados a cada N segundos.
+export const buildExportDocument = (record, { timestampInterval = 0, speakerNames = {} } = {}) => {
+  const words = record.words || [];
+  const utterances = (record.utterances || []).filter(utterance => utterance.speaker);
+  const intervalMs = timestampInterval > 0 ? timestampInterval * 1000 : 0;
+  const speakerLabel = (speaker) => speakerNames[speaker] || `Falante ${speaker}`;
+  const paragraphs = [];
+
+  if (utterances.length > 0) {
+    for (const utterance of utterances) {
+      const inside = words.filter(word => word.start >= utterance.start && word.start < utterance.end);
+      const blocks = intervalMs && inside.length > 0
+        ? splitByInterval(inside, intervalMs)
+        : [{ start: utterance.start, text: utterance.text }];
+      blocks.forEach((block, index) => paragraphs.push({
+        speaker: index === 0 ? speakerLabel(utterance.speaker) : null,
+        start: block.start,
+        text: block.text
+      }));
+    }
+  } else if (intervalMs && words.length > 0) {
+    paragraphs.push(...splitByInterval(words, intervalMs).map(block => ({ speaker: null, ...block })));
+  } else {
+    paragraphs.push(...String(record.text || '')
+      .split(/\n\s*\n/)
+      .map(text => text.trim())
+      .filter(Boolean)
+      .map(text => ({ speaker: null, start: null, text })));
+  }
+
+  return {
+    title: record.title || 'Transcrição',
+    sourceUrl: record.source?.url || null,
+    date: record.createdAt || new Date().toISOString(),
+    language: record.language || null,
+    duration: record.duration ?? null,
+    showTimestamps: intervalMs > 0 || utterances.length > 0,
+    paragraphs
+  };
+};
+
+// Linhas de metadados exibidas abaixo do título
+const metadataLines = (doc) => [
+  doc.sourceUrl && `Fonte: ${doc.sourceUrl}`,
+  `Data: ${new Date(doc.date).toLocaleString('pt-BR')}`,
+  doc.language && `Idioma: ${doc.language}`,
+  doc.duration && `Duração: ${formatClock(doc.duration * 1000)}`
+].filter(Boolean);
+
+// Prefixo do parágrafo: [00:30] Falante A:
+const paragraphPrefix = (doc, paragraph) => [
+  doc.showTimestamps && paragraph.start !== null ? `[${formatClock(paragraph.start)}]` : null,
+  paragraph.speaker ? `${paragraph.speaker}:` : null
+].filter(Boolean).join(' ');
+
+export const toMarkdown = (doc) => {
+  const lines = [`# ${doc.title}`, '', ...metadataLines(doc).map(line => `- ${line}`), ''];
+  for (const paragraph of doc.paragraphs) {
+    const prefix = paragraphPrefix(doc, paragraph);
+    lines.push(prefix ? `**${prefix}** ${paragraph.text}` : paragraph.text, '');
+  }
+  return lines.join('\n');
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Caracteres de controle não são aceitos em XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const docxRun = (text, { bold = false, size = null, color = null } = {}) => {
+  const properties = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    size ? `<w:sz w:val="${size}"/>` : ''
+  ].join('');
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+};
+
+const docxParagraph = (runs, { spacingAfter = 160 } = {}) => `<w:p><w:pPr><w:spacing w:after="${spacingAfter}"/></w:pPr>${runs.join('')}</w:p>`;
+
+// DOCX mínimo (WordprocessingML) montado à mão e compactado com lib/zip.js
+export const toDocx = (doc) => {
+  const body = [
+    docxParagraph([docxRun(doc.title, { bold: true, size: 36 })], { spacingAfter: 240 }),
+    ...metadataLines(doc).map(line => docxParagraph([docxRun(line, { size: 20, color: '666666' })], { spacingAfter: 40 })),
+    docxParagraph([]),
+    ...doc.paragraphs.map(paragraph => {
+      const prefix = paragraphPrefix(doc, paragraph);
+      return docxParagraph([
+        ...(prefix ? [docxRun(`${prefix} `, { bold: true })] : []),
+        docxRun(paragraph.text)
+      ]);
+    })
+  ].join('');
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr></w:body></w:document>`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`
+    },
+    { name: 'word/document.xml', content: document }
+  ]);
+};
+
+// Fontes Unicode do PDF (Noto Sans, dos pacotes @expo-google-fonts). A Noto Sans
+// cobre os alfabetos latino (inclusive o vietnamita), cirílico e devanágari;
+// textos em coreano, japonês e chinês usam a Noto Sans da língua. A fonte é
+// escolhida por trecho (título, cada linha de metadados, cada parágrafo).
+const PDF_FONTS = [
+  { name: 'NotoSansKR', pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/, package: 'noto-sans-kr' },
+  { name: 'NotoSansJP', pattern: /[\u3040-\u30ff]/, package: 'noto-sans-jp' },
+  { name: 'NotoSansSC', pattern: /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/, package: 'noto-sans-sc' },
+  { name: 'NotoSans', pattern: null, package: 'noto-sans' }
+];
+
+const require = createRequire(import.meta.url);
+
+const fontFile = (font, weight) => require.resolve(`@expo-google-fonts/${font.package}/${weight}/${font.name}_${weight}.ttf`);
+
+const pickPdfFont = (text) => PDF_FONTS.find(font => !font.pattern || font.pattern.test(text));
+
+// PDF com fontes Unicode embutidas (só os glifos usados entram no arquivo)
+export const toPdf = (doc) => {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 56, info: { Title: doc.title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    // Registra cada fonte só na primeira vez em que o documento a usa
+    const registered = new Set();
+    const useFont = (text, { bold = false } = {}) => {
+      const font = pickPdfFont(text);
+      const weight = bold ? '700Bold' : '400Regular';
+      const name = `${font.name}_${weight}`;
+      if (!registered.has(name)) {
+        pdf.registerFont(name, fontFile(font, weight));
+        registered.add(name);
+      }
+      return pdf.font(name);
+    };
+
+    useFont(doc.title, { bold: true }).fontSize(18).text(doc.title);
+    pdf.moveDown(0.5);
+    pdf.fontSize(9).fillColor('#666666');
+    metadataLines(doc).forEach(line => useFont(line).text(line));
+    pdf.fillColor('black').fontSize(11).moveDown();
+
+    for (const paragraph of doc.paragraphs) {
+      const prefix = paragraphPrefix(doc, paragraph);
+      if (prefix) {
+        useFont(prefix, { bold: true }).text(`${prefix} `, { continued: true });
+      }
+      useFont(paragraph.text).text(paragraph.text, { align: 'left' });
+      pdf.moveDown(0.6);
+    }
+
+    pdf.end();
+  });
+};
+
+// Campos que vão para o JSON exportado; os internos (dono, arquivo de áudio
+// guardado, chaves do cache...) ficam de fora
+const FULL_JSON_FIELDS = [
+  'id', 'jobId', 'title', 'sourceType', 'source', 'createdAt', 'updatedAt', 'language', 'confidence',
+  'provider', 'duration', 'edited', 'text', 'words', 'utterances', 'insights'
+];
+
+// JSON completo: metadados, texto, palavras e falas como estão salvos
+export const toFullJson = (record) => JSON.stringify(
+  Object.fromEntries(FULL_JSON_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])),
+  null,
+  2
+);
+
+export const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: (doc) => toMarkdown(doc) },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: (doc) => toDocx(doc) },
+  pdf: { contentType: 'application/pdf', render: (doc) => toPdf(doc) },
+  json: { contentType: 'application/json; charset=utf-8', render: (doc, record) => toFullJson(record) }
+};
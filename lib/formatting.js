@@ -0,0 +1,270 @@
+// =============================================
+// FORMATAÇÃO DE TEXTO
+// =============================================
+// Divide a transcrição em frases sem perder a pontuação original e agrupa as
+// frases em parágrafos. Com os tempos das palavras, os parágrafos seguem as
+// pausas da fala (e as trocas de falante); sem eles, seguem as quebras que já
+// existem no texto e um número máximo de frases.
+
+export const DEFAULT_FORMATTING = {
+  removeFillers: false,
+  abbreviations: true,
+  timestamps: false,
+  pauseMs: 1500,
+  sentencesPerParagraph: 4,
+  maxParagraphChars: 900
+};
+
+// Abreviações que terminam em ponto sem encerrar a frase (sem o ponto final)
+export const ABBREVIATIONS = {
+  pt: ['sr', 'sra', 'srta', 'dr', 'dra', 'prof', 'profa', 'eng', 'av', 'r', 'etc', 'ex', 'obs', 'pág', 'págs', 'p', 'nº', 'n', 'núm', 'vol', 'cap', 'tel', 'jr', 'ltda', 'cia', 'aprox', 'séc', 'min', 'máx', 'fig', 'art', 'inc'],
+  en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'dept', 'inc', 'ltd', 'co', 'corp', 'no', 'vol', 'fig', 'u.s', 'a.m', 'p.m'],
+  es: ['sr', 'sra', 'srta', 'dr', 'dra', 'ud', 'uds', 'prof', 'profa', 'etc', 'pág', 'núm', 'n', 'av', 'vol', 'cap', 'aprox', 'ej', 'cía', 'ee.uu']
+};
+
+// Palavras de hesitação. As de `always` saem sempre; as de `standalone` também
+// são palavras comuns ("é", "tipo", "like") e só saem quando aparecem isoladas
+// entre vírgulas ou no começo da frase seguidas de vírgula.
+const FILLER_WORDS = {
+  common: { always: ['hum', 'hm', 'uh', 'uhm', 'ahn', 'hã', 'ãh', 'ã', 'eh', 'mm'], standalone: [] },
+  pt: { always: [], standalone: ['é', 'tipo', 'ah'] },
+  en: { always: ['um', 'er', 'erm'], standalone: ['like', 'ah'] },
+  es: { always: ['em'], standalone: ['este', 'pues', 'ah'] }
+};
+
+const SENTENCE_END = /[.!?…]+["'”’)\]]*$/;
+
+// "en_us" -> "en"; idiomas sem regras próprias usam só as regras comuns
+export const baseLanguage = (language) => String(language || '').toLowerCase().split(/[_-]/)[0];
+
+const wordCore = (text) => text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.]+$/gu, '').replace(/\.+$/, '');
+
+export const formatClock = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Valida as opções vindas da requisição. Lança erro com mensagem para o cliente.
+export const parseFormattingOptions = (options = {}) => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('Opções de formatação inválidas');
+  }
+  const parsed = { ...DEFAULT_FORMATTING };
+  for (const key of ['removeFillers', 'abbreviations', 'timestamps']) {
+    if (options[key] !== undefined) {
+      if (typeof options[key] !== 'boolean') {
+        throw new Error(`Opção de formatação inválida: ${key} deve ser true ou false`);
+      }
+      parsed[key] = options[key];
+    }
+  }
+  if (options.pauseMs !== undefined) {
+    const pauseMs = Number(options.pauseMs);
+    if (!Number.isInteger(pauseMs) || pauseMs < 200 || pauseMs > 10000) {
+      throw new Error('pauseMs deve ser um número inteiro entre 200 e 10000');
+    }
+    parsed.pauseMs = pauseMs;
+  }
+  if (options.language !== undefined) {
+    parsed.language = String(options.language);
+  }
+  return parsed;
+};
+
+// Palavras com tempos (como saem dos provedores) viram tokens. Pontuação solta
+// (o whisper.cpp devolve "," e "." como palavras) é colada na palavra anterior.
+const tokensFromWords = (words) => {
+  const tokens = [];
+  for (const word of words) {
+    const text = String(word.text ?? '').trim();
+    if (!text) continue;
+    const previous = tokens[tokens.length - 1];
+    if (previous && !/[\p{L}\p{N}]/u.test(text)) {
+      previous.text += text;
+      previous.end = word.end ?? previous.end;
+      continue;
+    }
+    tokens.push({ text, start: word.start, end: word.end, speaker: word.speaker ?? null, breakBefore: false });
+  }
+  return tokens;
+};
+
+// Texto puro vira tokens sem tempos; linhas em branco marcam parágrafos existentes
+const tokensFromText = (text) => String(text)
+  .split(/\n\s*\n/)
+  .flatMap(paragraph => paragraph.split(/\s+/).filter(Boolean).map((word, index) => ({
+    text: word,
+    start: null,
+    end: null,
+    speaker: null,
+    breakBefore: index === 0
+  })));
+
+const endsSentence = (text) => /[.!?…]["'”’)\]]*$/.test(text);
+
+const capitalize = (text) => text.replace(/\p{Ll}/u, letter => letter.toUpperCase());
+
+// Remove as hesitações e devolve quantas saíram. A pontuação final da palavra
+// removida passa para a anterior; vírgulas que ficariam dobradas somem.
+const removeFillers = (tokens, language) => {
+  const rules = [FILLER_WORDS.common, FILLER_WORDS[baseLanguage(language)]].filter(Boolean);
+  const always = new Set(rules.flatMap(rule => rule.always));
+  const standalone = new Set(rules.flatMap(rule => rule.standalone));
+  const kept = [];
+  let removed = 0;
+  let capitalizeNext = false;
+  let breakNext = false;
+
+  for (const original of tokens) {
+    const token = breakNext ? { ...original, breakBefore: true } : original;
+    const core = wordCore(token.text);
+    // "ééé", "tipooo", "hummm": hesitação prolongada, qualquer que seja a palavra
+    const collapsed = core.replace(/(.)\1+/gu, '$1');
+    const stretched = /(.)\1\1/u.test(core) && (always.has(collapsed) || standalone.has(collapsed));
+    const previous = kept[kept.length - 1];
+    const atSentenceStart = !previous || token.breakBefore || endsSentence(previous.text);
+    const isolated = /,$/.test(token.text) && (atSentenceStart || /,$/.test(previous.text));
+
+    if (!(always.has(core) || always.has(collapsed) || stretched || (standalone.has(core) && isolated))) {
+      kept.push(capitalizeNext ? { ...token, text: capitalize(token.text) } : token);
+      capitalizeNext = false;
+      breakNext = false;
+      continue;
+    }
+
+    removed++;
+    const ending = token.text.match(SENTENCE_END);
+    if (previous && !token.breakBefore) {
+      if (ending && !endsSentence(previous.text)) {
+        previous.text = previous.text.replace(/[,;:]$/, '') + ending[0];
+      } else if (/,$/.test(token.text) && /,$/.test(previous.text)) {
+        previous.text = previous.text.replace(/,$/, '');
+      }
+      previous.end = token.end ?? previous.end;
+    }
+    if (atSentenceStart) {
+      // A palavra seguinte abre a frase, mesmo que a hesitação viesse em minúscula
+      capitalizeNext = true;
+      // A quebra de parágrafo passa para a próxima palavra mantida
+      breakNext = token.breakBefore;
+    }
+  }
+
+  return { tokens: kept, removed };
+};
+
+// Decide se o token fecha a frase. Com as regras de abreviação, ponto depois de
+// abreviação conhecida ou de inicial ("J.") não fecha, e nem pontuação seguida
+// de palavra em minúscula ("etc. e outros", "não sei... talvez").
+const closesSentence = (token, next, abbreviations) => {
+  if (!SENTENCE_END.test(token.text)) {
+    return false;
+  }
+  if (!abbreviations || !next || next.breakBefore) {
+    return true;
+  }
+  if (/^\p{Ll}/u.test(next.text)) {
+    return false;
+  }
+  const terminator = token.text.match(SENTENCE_END)[0];
+  if (/[!?…]/.test(terminator) || /\.\./.test(terminator)) {
+    return true;
+  }
+  const initial = /^\p{Lu}\.$/u.test(token.text.replace(/^[^\p{L}]+/u, ''));
+  return !(initial || abbreviations.has(wordCore(token.text)));
+};
+
+const joinTokens = (tokens) => tokens.map(token => token.text).join(' ').replace(/\s+([,.!?;:…])/g, '$1');
+
+const splitSentences = (tokens, abbreviations) => {
+  const sentences = [];
+  let current = [];
+  tokens.forEach((token, index) => {
+    current.push(token);
+    if (closesSentence(token, tokens[index + 1], abbreviations) || index === tokens.length - 1) {
+      sentences.push({
+        tokens: current,
+        start: current[0].start,
+        end: current[current.length - 1].end,
+        speaker: current[0].speaker,
+        breakBefore: current[0].breakBefore,
+        text: joinTokens(current)
+      });
+      current = [];
+    }
+  });
+  return sentences;
+};
+
+const abbreviationsFor = (language) => new Set(ABBREVIATIONS[baseLanguage(language)] || Object.values(ABBREVIATIONS).flat());
+
+// Frases da transcrição (com início e fim em ms quando há palavras), com as
+// regras de abreviação do idioma. Usada também pelos resumos e capítulos.
+export const splitTranscriptSentences = ({ text = '', words = null }, { language } = {}) => {
+  const fromWords = Array.isArray(words) && words.length > 0;
+  const tokens = fromWords ? tokensFromWords(words) : tokensFromText(text);
+  return splitSentences(tokens, abbreviationsFor(language))
+    .map(({ text: sentenceText, start, end, speaker }) => ({ text: sentenceText, start, end, speaker }));
+};
+
+// Agrupa frases em parágrafos: pausa longa, troca de falante ou quebra já
+// existente abrem um novo; o tamanho máximo evita blocos enormes.
+const groupParagraphs = (sentences, { timed, pauseMs, sentencesPerParagraph, maxParagraphChars }) => {
+  const paragraphs = [];
+  let current = null;
+
+  for (const sentence of sentences) {
+    const length = current ? current.sentences.reduce((total, item) => total + item.text.length + 1, 0) : 0;
+    const previous = current?.sentences[current.sentences.length - 1];
+    const startsNew = !current
+      || sentence.breakBefore
+      || (timed
+        ? sentence.start - previous.end >= pauseMs || sentence.speaker !== previous.speaker
+        : current.sentences.length >= sentencesPerParagraph)
+      || length + sentence.text.length > maxParagraphChars;
+
+    if (startsNew) {
+      current = { start: sentence.start, speaker: sentence.speaker, sentences: [] };
+      paragraphs.push(current);
+    }
+    current.sentences.push(sentence);
+  }
+
+  return paragraphs.map(paragraph => ({
+    start: paragraph.start,
+    speaker: paragraph.speaker,
+    text: paragraph.sentences.map(sentence => sentence.text).join(' ')
+  }));
+};
+
+// Formata `text` ou, quando disponíveis, as `words` da transcrição (com tempos).
+// Devolve o texto final e um resumo do que foi feito.
+export const formatTranscript = ({ text = '', words = null }, options = {}) => {
+  const settings = { ...DEFAULT_FORMATTING, ...options };
+  const fromWords = Array.isArray(words) && words.length > 0;
+  let tokens = fromWords ? tokensFromWords(words) : tokensFromText(text);
+  const timed = fromWords && tokens.every(token => Number.isFinite(token.start) && Number.isFinite(token.end));
+
+  let removedFillers = 0;
+  if (settings.removeFillers) {
+    ({ tokens, removed: removedFillers } = removeFillers(tokens, settings.language));
+  }
+
+  const abbreviations = settings.abbreviations ? abbreviationsFor(settings.language) : null;
+  const sentences = splitSentences(tokens, abbreviations);
+  const paragraphs = groupParagraphs(sentences, { ...settings, timed });
+  const showTimestamps = settings.timestamps && timed;
+
+  return {
+    text: paragraphs
+      .map(paragraph => showTimestamps ? `[${formatClock(paragraph.start)}] ${paragraph.text}` : paragraph.text)
+      .join('\n\n'),
+    paragraphs: paragraphs.length,
+    sentences: sentences.length,
+    removedFillers,
+    usedTimings: timed
+  };
+};
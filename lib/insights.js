@@ -0,0 +1,236 @@
+import { splitTranscriptSentences, baseLanguage } from './formatting.js';
+
+// =============================================
+// RESUMO, CAPÍTULOS E PALAVRAS-CHAVE
+// =============================================
+// Backend local e extrativo (funciona sem rede): as frases do resumo e dos
+// capítulos são frases da própria transcrição. Os capítulos são cortados onde
+// o vocabulário muda entre blocos vizinhos de frases, preferindo pausas longas.
+//
+// Formato comum a todos os backends (tempos em ms):
+//   { backend, summary, chapters: [{ start, end, headline, summary }], keyPhrases: [{ text, count }] }
+
+export const DEFAULT_INSIGHTS = {
+  chapterSeconds: 300,
+  maxKeyPhrases: 10,
+  maxSummarySentences: 7
+};
+
+const STOPWORDS = {
+  pt: 'a o as os um uma uns umas de do da dos das em no na nos nas por para pra com sem sob sobre entre e ou mas que se não sim é são foi ser estar está estão era eram ter tem têm tinha há isso isto esse essa esses essas este esta estes estas aquele aquela aquilo ele ela eles elas eu você vocês nós me te lhe lhes seu sua seus suas meu minha meus minhas nosso nossa muito muita muitos muitas mais menos também já ainda quando como onde porque então assim aqui ali lá tipo né vai vou vamos fazer faz pode podem tudo todo toda todos todas coisa coisas gente ao aos à às pelo pela pelos pelas num numa até depois antes agora bem só mesmo mesma cada qual quem outro outra outros outras dia vez vezes ano anos sempre nunca nada algum alguma nenhum nenhuma qualquer porque porquê cá tá tô daí aí ser sido sendo teve tenho temos estamos estou acho sei dizer disse falar'.split(' '),
+  en: 'the a an and or but if of to in on at for with by from about as into is are was were be been being have has had do does did it its this that these those i you he she we they me him her us them my your his our their not no yes so just very really also can could will would should there here what which who when where why how all some any more most like get got going know think then than now one out up over only even much many well way thing things lot kind sort right okay yeah say said make made want'.split(' '),
+  es: 'el la los las un una unos unas de del en y o pero que se no sí es son fue ser estar está están era con sin por para como más muy también ya este esta estos estas eso esto ese esa esos esas yo tú él ella nosotros ellos ellas me te le les lo su sus mi mis al cuando donde porque entonces aquí allí hay todo toda todos todas pues bueno algo nada cosa cosas vez veces hacer puede tiene tengo tenemos estamos decir dice'.split(' ')
+};
+
+const stopwordsFor = (language) => new Set(STOPWORDS[baseLanguage(language)] || Object.values(STOPWORDS).flat());
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const isContentWord = (word, stopwords) => word.length >= 3 && !stopwords.has(word) && !/^\d+$/.test(word);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Frases candidatas a palavra-chave: sequências de até 3 palavras de conteúdo,
+// sem atravessar palavras vazias nem pontuação
+const candidatePhrases = (sentence, stopwords) => {
+  const phrases = [];
+  for (const clause of sentence.split(/[,;:()"“”!?.…]/)) {
+    let run = [];
+    const flush = () => {
+      for (let index = 0; index < run.length; index += 3) {
+        phrases.push(run.slice(index, index + 3));
+      }
+      run = [];
+    };
+    for (const word of clause.match(WORD_PATTERN) || []) {
+      if (isContentWord(word.toLowerCase(), stopwords)) {
+        run.push(word);
+      } else {
+        flush();
+      }
+    }
+    flush();
+  }
+  return phrases;
+};
+
+// Conta as frases candidatas das frases dadas (chave em minúsculas)
+const countCandidates = (sentences, stopwords) => {
+  const candidates = new Map();
+  for (const sentence of sentences) {
+    for (const phrase of candidatePhrases(sentence.text, stopwords)) {
+      const key = phrase.map(word => word.toLowerCase()).join(' ');
+      const current = candidates.get(key) || { key, text: phrase.join(' '), words: key.split(' '), count: 0 };
+      current.count++;
+      candidates.set(key, current);
+    }
+  }
+  return candidates;
+};
+
+const analyze = (sentences, stopwords) => {
+  const frequency = new Map();
+  const analyzed = sentences.map(sentence => {
+    const words = (sentence.text.match(WORD_PATTERN) || []).map(word => word.toLowerCase());
+    const content = words.filter(word => isContentWord(word, stopwords));
+    content.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+    return { ...sentence, wordCount: words.length, content };
+  });
+  return { analyzed, frequency };
+};
+
+// Palavras-chave: frases candidatas pontuadas pela frequência das palavras e
+// pelas repetições; frases contidas em outra já escolhida são descartadas
+const extractKeyPhrases = (sentences, frequency, stopwords, limit) => {
+  const scored = [...countCandidates(sentences, stopwords).values()].map(candidate => {
+    const meanFrequency = candidate.words.reduce((total, word) => total + (frequency.get(word) || 0), 0) / candidate.words.length;
+    return { ...candidate, score: candidate.count * meanFrequency * (1 + 0.5 * (candidate.words.length - 1)) };
+  });
+  const repeated = scored.filter(candidate => candidate.count >= 2);
+  const pool = (repeated.length >= Math.min(5, limit) ? repeated : scored).sort((a, b) => b.score - a.score);
+
+  const chosen = [];
+  for (const candidate of pool) {
+    if (chosen.length >= limit) break;
+    if (chosen.some(item => item.key.includes(candidate.key) || candidate.key.includes(item.key))) continue;
+    chosen.push(candidate);
+  }
+  return chosen.map(({ key, text, count }) => ({ key, text, count }));
+};
+
+// Nota de cada frase: frequência média das suas palavras de conteúdo, com
+// bônus para as palavras-chave. Frases muito curtas ou longas não entram.
+const scoreSentences = (sentences, frequency, keyPhrases) => sentences.map(sentence => {
+  if (sentence.content.length === 0 || sentence.wordCount < 6 || sentence.wordCount > 60) {
+    return 0;
+  }
+  const lower = sentence.text.toLowerCase();
+  const base = sentence.content.reduce((total, word) => total + frequency.get(word), 0) / Math.sqrt(sentence.content.length);
+  const bonus = keyPhrases.filter(phrase => lower.includes(phrase.key)).length;
+  return base * (1 + 0.3 * bonus);
+});
+
+const overlap = (a, b) => {
+  const setA = new Set(a.content);
+  const setB = new Set(b.content);
+  const shared = [...setA].filter(word => setB.has(word)).length;
+  return shared / Math.max(1, Math.min(setA.size, setB.size));
+};
+
+// Resumo: as frases de maior nota, sem repetir assunto, na ordem da fala
+const buildSummary = (sentences, scores, limit) => {
+  const count = Math.max(1, Math.min(limit, Math.round(sentences.length / 12)));
+  const chosen = [];
+  for (const index of scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a])) {
+    if (chosen.length >= count || scores[index] === 0) break;
+    if (chosen.some(other => overlap(sentences[other], sentences[index]) > 0.6)) continue;
+    chosen.push(index);
+  }
+  return chosen.sort((a, b) => a - b).map(index => sentences[index].text).join(' ');
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [word, value] of a) {
+    normA += value * value;
+    if (b.has(word)) dot += value * b.get(word);
+  }
+  for (const value of b.values()) normB += value * value;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const bagOfWords = (sentences) => {
+  const bag = new Map();
+  sentences.forEach(sentence => sentence.content.forEach(word => bag.set(word, (bag.get(word) || 0) + 1)));
+  return bag;
+};
+
+// Cortes dos capítulos (índices de frases). Cada fronteira entre frases ganha
+// nota pela mudança de vocabulário entre as janelas vizinhas e pela pausa; as
+// melhores são escolhidas respeitando a duração mínima de cada capítulo.
+const chapterBoundaries = (sentences, chapterMs) => {
+  const totalMs = sentences[sentences.length - 1].end - sentences[0].start;
+  const count = Math.min(20, Math.round(totalMs / chapterMs));
+  if (count <= 1) {
+    return [];
+  }
+  const minChapterMs = Math.max(60000, chapterMs / 2);
+  const window = 5;
+
+  const gaps = [];
+  for (let index = 1; index < sentences.length; index++) {
+    const before = bagOfWords(sentences.slice(Math.max(0, index - window), index));
+    const after = bagOfWords(sentences.slice(index, index + window));
+    const pauseMs = Math.max(0, sentences[index].start - sentences[index - 1].end);
+    gaps.push({ index, score: (1 - cosine(before, after)) + 0.5 * Math.min(pauseMs / 3000, 1) });
+  }
+
+  // Fronteiras abaixo da média não mudam de assunto: melhor menos capítulos que cortes arbitrários
+  const average = gaps.reduce((total, gap) => total + gap.score, 0) / gaps.length;
+  const cuts = [];
+  for (const gap of gaps.sort((a, b) => b.score - a.score)) {
+    if (cuts.length >= count - 1 || gap.score <= average) break;
+    const start = sentences[gap.index].start;
+    const edges = [sentences[0].start, ...cuts.map(cut => sentences[cut].start), sentences[sentences.length - 1].end];
+    if (edges.every(edge => Math.abs(edge - start) >= minChapterMs)) {
+      cuts.push(gap.index);
+    }
+  }
+  return cuts.sort((a, b) => a - b);
+};
+
+// Título do capítulo: a palavra-chave mais característica do trecho
+// (frequente nele e rara no resto da transcrição)
+const chapterHeadline = (chapterSentences, frequency, stopwords) => {
+  let best = null;
+  for (const candidate of countCandidates(chapterSentences, stopwords).values()) {
+    const global = candidate.words.reduce((total, word) => total + (frequency.get(word) || 1), 0) / candidate.words.length;
+    const score = candidate.count * (candidate.count / global) * candidate.words.length;
+    if (!best || score > best.score) best = { ...candidate, score };
+  }
+  return best ? capitalize(best.text) : capitalize(chapterSentences[0].text.split(/\s+/).slice(0, 6).join(' '));
+};
+
+// Gera resumo, capítulos e palavras-chave de uma transcrição. Sem os tempos
+// das palavras não há capítulos.
+export const generateLocalInsights = ({ text = '', words = [] }, { language, ...options } = {}) => {
+  const settings = { ...DEFAULT_INSIGHTS, ...options };
+  const stopwords = stopwordsFor(language);
+  const { analyzed, frequency } = analyze(splitTranscriptSentences({ text, words }, { language }), stopwords);
+
+  if (analyzed.length === 0) {
+    return { backend: 'local', summary: '', chapters: [], keyPhrases: [] };
+  }
+
+  const keyPhrases = extractKeyPhrases(analyzed, frequency, stopwords, settings.maxKeyPhrases);
+  const scores = scoreSentences(analyzed, frequency, keyPhrases);
+  const timed = analyzed.every(sentence => Number.isFinite(sentence.start) && Number.isFinite(sentence.end));
+
+  const chapters = [];
+  if (timed) {
+    const edges = [0, ...chapterBoundaries(analyzed, settings.chapterSeconds * 1000), analyzed.length];
+    for (let index = 0; index < edges.length - 1; index++) {
+      const from = edges[index];
+      const to = edges[index + 1];
+      const chapterSentences = analyzed.slice(from, to);
+      const best = chapterSentences.reduce((top, sentence, offset) => (
+        scores[from + offset] > scores[from + top] ? offset : top
+      ), 0);
+      chapters.push({
+        start: chapterSentences[0].start,
+        end: chapterSentences[chapterSentences.length - 1].end,
+        headline: chapterHeadline(chapterSentences, frequency, stopwords),
+        summary: chapterSentences[best].text
+      });
+    }
+  }
+
+  return {
+    backend: 'local',
+    summary: buildSummary(analyzed, scores, settings.maxSummarySentences),
+    chapters,
+    keyPhrases: keyPhrases.map(({ text: phraseText, count }) => ({ text: phraseText, count }))
+  };
+};
@@ -0,0 +1,135 @@
+// =============================================
+// RESOLVEDOR DE MÍDIA DO INSTAGRAM
+// =============================================
+
+const INSTAGRAM_URL_PATTERN = /^https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(p|reel|reels|tv)\/([\w-]+)/i;
+const INSTAGRAM_STORY_PATTERN = /^https?:\/\/(?:www\.)?instagram\.com\/stories\//i;
+
+const BROWSER_HEADERS = {
+  'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'accept': 'text/html,application/xhtml+xml',
+  'accept-language': 'en-US,en;q=0.9'
+};
+
+// Erros com `code` para que a rota e o cliente consigam diferenciar os casos
+export const instagramError = (code, message) => Object.assign(new Error(message), { code });
+
+export const parseInstagramUrl = (url) => {
+  const match = INSTAGRAM_URL_PATTERN.exec((url || '').trim());
+  if (!match) {
+    return null;
+  }
+  const kind = match[1].toLowerCase() === 'p' ? 'post' : match[1].toLowerCase().replace(/s$/, '');
+  return { kind, shortcode: match[2] };
+};
+
+export const isInstagramStoryUrl = (url) => INSTAGRAM_STORY_PATTERN.test((url || '').trim());
+
+// Confere o link antes de enfileirar: stories têm erro próprio, já que a
+// interface aceita qualquer link do Instagram
+export const validateInstagramUrl = (url) => {
+  if (isInstagramStoryUrl(url)) {
+    throw instagramError('INSTAGRAM_UNSUPPORTED', 'Stories exigem login no Instagram e não são suportados. Use o link de um post, Reel ou IGTV.');
+  }
+  const parsed = parseInstagramUrl(url);
+  if (!parsed) {
+    throw instagramError('INSTAGRAM_INVALID_URL', 'URL do Instagram inválida. Use o link de um post, Reel ou IGTV.');
+  }
+  return parsed;
+};
+
+const decodeHtmlEntities = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+// Procura a URL do vídeo no HTML da página (meta og:video ou JSON embutido)
+export const extractVideoUrl = (html) => {
+  const meta = /<meta[^>]+property=["']og:video(?::secure_url)?["'][^>]+content=["']([^"']+)["']/i.exec(html);
+  if (meta) {
+    return decodeHtmlEntities(meta[1]);
+  }
+  const embedded = /"video_url"\s*:\s*"((?:[^"\\]|\\.)+)"/.exec(html);
+  if (embedded) {
+    return JSON.parse(`"${embedded[1]}"`);
+  }
+  return null;
+};
+
+const isPrivatePage = (html) => /"is_private"\s*:\s*true/.test(html)
+  || /This account is private|Esta conta é privada/i.test(html);
+
+const isRemovedPage = (html) => /Sorry, this page isn['’]t available|Esta página não está disponível/i.test(html);
+
+const fetchPage = async (pageUrl, fetchImpl) => {
+  const response = await fetchImpl(pageUrl, { headers: BROWSER_HEADERS, redirect: 'follow' });
+
+  if (response.status === 429) {
+    throw instagramError('INSTAGRAM_RATE_LIMITED', 'O Instagram limitou as requisições deste servidor. Tente novamente em alguns minutos.');
+  }
+  if (response.status === 404 || response.status === 410) {
+    throw instagramError('INSTAGRAM_NOT_FOUND', 'Publicação não encontrada: ela pode ter sido removida ou o link está incorreto.');
+  }
+  if (!response.ok) {
+    throw instagramError('INSTAGRAM_UNAVAILABLE', `O Instagram respondeu com erro: ${response.status}`);
+  }
+
+  return {
+    html: await response.text(),
+    redirectedToLogin: /\/accounts\/login/.test(response.url || '')
+  };
+};
+
+// Resolve a URL pública de um post/Reel/IGTV na URL direta do arquivo de vídeo.
+// `fetchImpl` permite substituir o fetch global (ex.: respostas gravadas em testes).
+export const resolveInstagramMedia = async (url, { fetchImpl = fetch } = {}) => {
+  const parsed = validateInstagramUrl(url);
+
+  const pageUrl = `https://www.instagram.com/p/${parsed.shortcode}/`;
+  const embedUrl = `https://www.instagram.com/p/${parsed.shortcode}/embed/captioned/`;
+
+  const page = await fetchPage(pageUrl, fetchImpl);
+  let videoUrl = page.redirectedToLogin ? null : extractVideoUrl(page.html);
+
+  if (!videoUrl && !page.redirectedToLogin && isRemovedPage(page.html)) {
+    throw instagramError('INSTAGRAM_NOT_FOUND', 'Publicação não encontrada: ela pode ter sido removida ou o link está incorreto.');
+  }
+  if (!videoUrl && isPrivatePage(page.html)) {
+    throw instagramError('INSTAGRAM_PRIVATE', 'Esta publicação é de uma conta privada e não pode ser baixada.');
+  }
+
+  // A página de incorporação costuma funcionar mesmo quando a página principal exige login
+  if (!videoUrl) {
+    const embed = await fetchPage(embedUrl, fetchImpl);
+    if (embed.redirectedToLogin) {
+      throw instagramError('INSTAGRAM_PRIVATE', 'Esta publicação é privada ou exige login para ser vista.');
+    }
+    videoUrl = extractVideoUrl(embed.html);
+    if (!videoUrl && isPrivatePage(embed.html)) {
+      throw instagramError('INSTAGRAM_PRIVATE', 'Esta publicação é de uma conta privada e não pode ser baixada.');
+    }
+  }
+
+  if (!videoUrl) {
+    throw instagramError('INSTAGRAM_NO_VIDEO', 'Nenhum vídeo encontrado nesta publicação (pode ser uma foto ou conteúdo restrito).');
+  }
+
+  return { ...parsed, videoUrl };
+};
+
+// Baixa o arquivo de vídeo resolvido, retornando a resposta HTTP para ser gravada em disco
+export const fetchInstagramVideo = async (videoUrl, { fetchImpl = fetch } = {}) => {
+  const response = await fetchImpl(videoUrl, { headers: { 'user-agent': BROWSER_HEADERS['user-agent'] } });
+  if (response.status === 429) {
+    throw instagramError('INSTAGRAM_RATE_LIMITED', 'O Instagram limitou as requisições deste servidor. Tente novamente em alguns minutos.');
+  }
+  if (response.status === 403 || response.status === 404 || response.status === 410) {
+    throw instagramError('INSTAGRAM_NOT_FOUND', 'O arquivo de vídeo não está mais disponível.');
+  }
+  if (!response.ok) {
+    throw instagramError('INSTAGRAM_UNAVAILABLE', `Erro ao baixar vídeo do Instagram: ${response.status}`);
+  }
+  return response;
+};
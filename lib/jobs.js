@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// =============================================
+// FILA DE JOBS DE TRANSCRIÇÃO
+// =============================================
+
+export const JOB_STAGES = ['queued', 'downloading', 'converting', 'uploading', 'transcribing', 'done', 'failed'];
+
+const FINISHED_STAGES = ['done', 'failed'];
+
+const PROGRESS_INTERVAL_MS = 250;
+
+// `onResult` é chamado com o job e o resultado antes de o job ser marcado como
+// concluído; o valor retornado substitui o resultado (ex.: para incluir o id salvo)
+export const createJobQueue = ({ concurrency = 2, ttlMs = 60 * 60 * 1000, onResult = null } = {}) => {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  let running = 0;
+
+  events.setMaxListeners(0);
+
+  const toJSON = (job) => ({
+    id: job.id,
+    type: job.type,
+    stage: job.stage,
+    progress: job.progress,
+    source: job.source,
+    ownerId: job.ownerId,
+    queuePosition: job.stage === 'queued' ? pending.indexOf(job) + 1 : 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode
+  });
+
+  const setStage = (job, stage) => {
+    if (!JOB_STAGES.includes(stage)) {
+      throw new Error(`Etapa de job inválida: ${stage}`);
+    }
+    clearTimeout(job.progressTimer);
+    job.progressTimer = null;
+    job.stage = stage;
+    job.progress = {};
+    console.log(`Job ${job.id} (${job.type}): ${stage}`);
+    notify(job);
+  };
+
+  // Avisa os inscritos (ex.: conexões SSE) sobre qualquer mudança no job
+  const notify = (job) => {
+    events.emit(job.id, toJSON(job));
+  };
+
+  // Atualizações de progresso chegam em rajadas (ffmpeg, download), então são
+  // repassadas aos inscritos no máximo a cada PROGRESS_INTERVAL_MS
+  const setProgress = (job, progress) => {
+    job.progress = { ...job.progress, ...progress };
+    if (job.progressTimer) return;
+    const wait = Math.max(0, job.lastProgressAt + PROGRESS_INTERVAL_MS - Date.now());
+    job.progressTimer = setTimeout(() => {
+      job.progressTimer = null;
+      job.lastProgressAt = Date.now();
+      notify(job);
+    }, wait);
+  };
+
+  // Remove jobs finalizados há mais tempo que o TTL
+  const evictExpired = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (FINISHED_STAGES.includes(job.stage) && now - Date.parse(job.finishedAt) > ttlMs) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      job.startedAt = new Date().toISOString();
+      pending.forEach(notify);
+
+      Promise.resolve()
+        .then(() => job.task({
+          id: job.id,
+          ownerId: job.ownerId,
+          setStage: (stage) => setStage(job, stage),
+          setProgress: (progress) => setProgress(job, progress)
+        }))
+        .then((result) => (onResult ? onResult(toJSON(job), result) : result))
+        .then((result) => {
+          job.result = result;
+          job.finishedAt = new Date().toISOString();
+          setStage(job, 'done');
+        })
+        .catch((error) => {
+          console.error(`Erro no job ${job.id}:`, error);
+          job.error = error.message;
+          job.errorCode = error.code || null;
+          job.finishedAt = new Date().toISOString();
+          setStage(job, 'failed');
+        })
+        .finally(() => {
+          running--;
+          runNext();
+        });
+    }
+  };
+
+  const createJob = (type, source, fields) => {
+    evictExpired();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      source,
+      ownerId: null,
+      task: null,
+      stage: 'queued',
+      progress: {},
+      progressTimer: null,
+      lastProgressAt: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      errorCode: null,
+      ...fields
+    };
+    jobs.set(job.id, job);
+    return job;
+  };
+
+  // `ownerId`: id da chave de API que pediu o job (null sem autenticação)
+  const enqueue = (type, source, task, { ownerId = null } = {}) => {
+    const job = createJob(type, source, { task, ownerId });
+    pending.push(job);
+    console.log(`Job ${job.id} (${type}) adicionado à fila`);
+    runNext();
+    return toJSON(job);
+  };
+
+  // Registra um job já concluído, sem passar pela fila (ex.: resultado vindo do
+  // cache). `onResult` não é chamado: o resultado já está pronto.
+  const complete = (type, source, result, { ownerId = null } = {}) => {
+    const now = new Date().toISOString();
+    const job = createJob(type, source, { stage: 'done', startedAt: now, finishedAt: now, result, ownerId });
+    console.log(`Job ${job.id} (${type}) concluído sem processamento`);
+    return toJSON(job);
+  };
+
+  const get = (id) => {
+    const job = jobs.get(id);
+    return job ? toJSON(job) : null;
+  };
+
+  // Inscreve um ouvinte nas atualizações de um job; retorna a função para cancelar
+  const subscribe = (id, listener) => {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  };
+
+  const isFinished = (job) => FINISHED_STAGES.includes(job.stage);
+
+  // Chama `listener` uma única vez, quando o job terminar (concluído ou com
+  // falha); na hora, se ele já tiver terminado
+  const whenFinished = (id, listener) => {
+    const job = jobs.get(id);
+    if (!job) return;
+    if (isFinished(job)) {
+      listener(toJSON(job));
+      return;
+    }
+    const unsubscribe = subscribe(id, (snapshot) => {
+      if (isFinished(snapshot)) {
+        unsubscribe();
+        listener(snapshot);
+      }
+    });
+  };
+
+  const stats = () => ({
+    concurrency,
+    running,
+    queued: pending.length,
+    total: jobs.size
+  });
+
+  return { enqueue, complete, get, subscribe, whenFinished, isFinished, stats };
+};
@@ -0,0 +1,39 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+// =============================================
+// ARQUIVOS JSON PEQUENOS (CONFIGURAÇÕES E ÍNDICES)
+// =============================================
+// Lidos uma vez, de forma síncrona, na criação do módulo que os usa; as
+// gravações vão para um arquivo temporário e são renomeadas, em fila, para
+// que duas alterações seguidas nunca se misturem no disco.
+
+export const createJsonFile = (file) => {
+  let writing = Promise.resolve();
+
+  // Conteúdo salvo, ou `fallback` se o arquivo ainda não existir ou estiver ilegível
+  const read = (fallback) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Erro ao ler ${file}:`, error);
+      }
+      return fallback;
+    }
+  };
+
+  const write = (data) => {
+    const content = JSON.stringify(data);
+    writing = writing.catch(() => {}).then(async () => {
+      await fsPromises.mkdir(path.dirname(file), { recursive: true });
+      const tempPath = `${file}.${process.pid}.tmp`;
+      await fsPromises.writeFile(tempPath, content);
+      await fsPromises.rename(tempPath, file);
+    });
+    return writing;
+  };
+
+  return { read, write };
+};
@@ -0,0 +1,214 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// =============================================
+// BIBLIOTECA DE TRANSCRIÇÕES (ARQUIVOS JSON)
+// =============================================
+
+// Remove acentos e caixa para a busca ("Sessão" encontra "sessao")
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const PREVIEW_LENGTH = 160;
+const SNIPPET_RADIUS = 60;
+
+const toSummary = (record) => ({
+  id: record.id,
+  title: record.title,
+  sourceType: record.sourceType,
+  source: record.source,
+  ownerId: record.ownerId ?? null,
+  language: record.language,
+  confidence: record.confidence,
+  duration: record.duration,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+  preview: (record.text || '').slice(0, PREVIEW_LENGTH)
+});
+
+// Trecho do texto ao redor da primeira ocorrência do termo buscado
+const buildSnippet = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Aplica a edição do texto das palavras mantendo os tempos originais.
+// `edits` tem o mesmo tamanho de `record.words`; palavras com texto vazio são removidas.
+// O texto completo e as falas (utterances) são remontados a partir das palavras.
+export const applyWordEdits = (record, edits) => {
+  if (!Array.isArray(edits) || edits.length !== record.words.length) {
+    throw new Error(`Esperado um array com ${record.words.length} palavras`);
+  }
+
+  const words = record.words
+    .map((word, index) => ({ ...word, text: String(edits[index]?.text ?? word.text).trim() }))
+    .filter(word => word.text.length > 0);
+
+  const utterances = (record.utterances || []).map(utterance => ({
+    ...utterance,
+    text: words
+      .filter(word => word.start >= utterance.start && word.end <= utterance.end
+        && (word.speaker === undefined || word.speaker === utterance.speaker))
+      .map(word => word.text)
+      .join(' ')
+  }));
+
+  return {
+    words,
+    utterances,
+    text: words.map(word => word.text).join(' '),
+    edited: true
+  };
+};
+
+export const createTranscriptLibrary = ({ dir, mediaDir }) => {
+  const index = new Map();
+  const pending = new Map();
+  let loading = null;
+
+  const filePath = (id) => path.join(dir, `${id}.json`);
+
+  // Carrega os registros do disco uma única vez (na primeira operação)
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const files = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+        for (const name of files) {
+          try {
+            const record = JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+            index.set(record.id, record);
+          } catch (error) {
+            console.error('Erro ao ler transcrição salva:', name, error);
+          }
+        }
+        console.log(`📚 Biblioteca carregada: ${index.size} transcrição(ões)`);
+      })();
+    }
+    return loading;
+  };
+
+  // Grava em um arquivo temporário e renomeia, para não corromper o JSON
+  const write = async (record) => {
+    const tempPath = `${filePath(record.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, filePath(record.id));
+  };
+
+  // Enfileira as operações de uma mesma transcrição: duas edições
+  // simultâneas não disputam o arquivo temporário nem perdem alterações
+  const serialize = (id, task) => {
+    const next = (pending.get(id) || Promise.resolve()).catch(() => {}).then(task);
+    pending.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (pending.get(id) === next) {
+        pending.delete(id);
+      }
+    });
+    return next;
+  };
+
+  const save = async (data) => {
+    await load();
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      ...data
+    };
+    return serialize(record.id, async () => {
+      await write(record);
+      index.set(record.id, record);
+      return record;
+    });
+  };
+
+  const update = async (id, changes) => {
+    await load();
+    return serialize(id, async () => {
+      const current = index.get(id);
+      if (!current) {
+        return null;
+      }
+      const record = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+      await write(record);
+      index.set(id, record);
+      return record;
+    });
+  };
+
+  const get = async (id) => {
+    await load();
+    return index.get(id) || null;
+  };
+
+  const remove = async (id) => {
+    await load();
+    return serialize(id, async () => {
+      if (!index.has(id)) {
+        return false;
+      }
+      const record = index.get(id);
+      await fs.rm(filePath(id), { force: true });
+      if (record.mediaFile && mediaDir) {
+        await fs.rm(path.join(mediaDir, record.mediaFile), { force: true });
+      }
+      index.delete(id);
+      return true;
+    });
+  };
+
+  // Com `ownerId` definido (inclusive null), só as transcrições desse dono;
+  // sem ele, todas
+  const sortedRecords = (ownerId) => [...index.values()]
+    .filter(record => ownerId === undefined || (record.ownerId ?? null) === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const list = async ({ limit = 50, offset = 0, ownerId } = {}) => {
+    await load();
+    const records = sortedRecords(ownerId);
+    return {
+      total: records.length,
+      transcripts: records.slice(offset, offset + limit).map(toSummary)
+    };
+  };
+
+  // Busca por todas as palavras do termo no título e no texto, ordenando por ocorrências
+  const search = async (query, { limit = 50, ownerId } = {}) => {
+    await load();
+    const terms = normalize(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const record of sortedRecords(ownerId)) {
+      const text = normalize(record.text);
+      const title = normalize(record.title);
+      if (!terms.every(term => text.includes(term) || title.includes(term))) {
+        continue;
+      }
+      const score = terms.reduce((total, term) => total + text.split(term).length - 1 + (title.includes(term) ? 5 : 0), 0);
+      const position = text.indexOf(terms[0]);
+      results.push({
+        ...toSummary(record),
+        score,
+        snippet: position >= 0 ? buildSnippet(record.text, position, terms[0].length) : toSummary(record).preview
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  // Caminho do áudio de reprodução guardado junto com a transcrição
+  const mediaPath = (record) => (record.mediaFile && mediaDir ? path.join(mediaDir, record.mediaFile) : null);
+
+  return { save, update, get, remove, list, search, mediaPath };
+};
@@ -0,0 +1,201 @@
+import { Readable } from 'stream';
+import path from 'path';
+import play from 'play-dl';
+import { parseInstagramUrl, isInstagramStoryUrl, resolveInstagramMedia, fetchInstagramVideo } from './instagram.js';
+
+// =============================================
+// DETECÇÃO E ABERTURA DE MÍDIA POR URL
+// =============================================
+
+const MEDIA_EXTENSIONS = ['.mp4', '.avi', '.mov', '.mkv', '.webm', '.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg', '.opus'];
+
+// Tamanho máximo de um feed RSS: o XML é lido inteiro na memória
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+const mediaError = (code, message) => Object.assign(new Error(message), { code });
+
+const isFeedContentType = (contentType) => /(rss|atom|xml)/i.test(contentType);
+const isMediaContentType = (contentType) => /^(audio|video)\//i.test(contentType) || /application\/(ogg|octet-stream)/i.test(contentType);
+
+// Converte "HH:MM:SS", "MM:SS" ou segundos em segundos
+const parseDuration = (value) => {
+  if (!value) return null;
+  const parts = String(value).trim().split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .trim();
+
+// Lê o episódio (1 = mais recente) de um feed RSS de podcast
+export const parsePodcastFeed = (xml, episode = 1) => {
+  const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+  const item = items[episode - 1];
+  if (!item) {
+    throw mediaError('FEED_EPISODE_NOT_FOUND', `Episódio ${episode} não encontrado no feed (${items.length} episódio(s) disponíveis)`);
+  }
+  const enclosure = /<enclosure\b[^>]*\burl=["']([^"']+)["'][^>]*>/i.exec(item);
+  if (!enclosure) {
+    throw mediaError('FEED_NO_ENCLOSURE', 'O episódio do feed não possui arquivo de mídia (enclosure)');
+  }
+  const title = /<title>([\s\S]*?)<\/title>/i.exec(item);
+  const duration = /<itunes:duration>([\s\S]*?)<\/itunes:duration>/i.exec(item);
+  return {
+    mediaUrl: decodeXml(enclosure[1]),
+    title: title ? decodeXml(title[1]) : null,
+    durationSeconds: duration ? parseDuration(decodeXml(duration[1])) : null
+  };
+};
+
+const extensionFromUrl = (url, fallback) => {
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  return MEDIA_EXTENSIONS.includes(extension) ? extension : fallback;
+};
+
+const openHttpMedia = async (url, fetchImpl) => {
+  const response = await fetchImpl(url, { redirect: 'follow' });
+  if (!response.ok) {
+    throw mediaError('SOURCE_UNAVAILABLE', `Não foi possível baixar a mídia: ${response.status}`);
+  }
+  return response;
+};
+
+// Lê o corpo como texto, interrompendo o download assim que passar de `maxBytes`
+const readTextCapped = async (response, maxBytes) => {
+  const tooLarge = () => mediaError('FEED_TOO_LARGE', `Feed muito grande (máximo: ${(maxBytes / 1024 / 1024).toFixed(0)}MB)`);
+  const declaredBytes = parseInt(response.headers.get('content-length'), 10);
+  if (declaredBytes > maxBytes) {
+    response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let receivedBytes = 0;
+  for await (const chunk of response.body || []) {
+    receivedBytes += chunk.length;
+    if (receivedBytes > maxBytes) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const fromHttpResponse = (type, response, url, extra = {}) => ({
+  type,
+  extension: extensionFromUrl(url, '.bin'),
+  totalBytes: parseInt(response.headers.get('content-length'), 10) || null,
+  stream: Readable.fromWeb(response.body),
+  durationSeconds: null,
+  title: path.basename(new URL(url).pathname) || null,
+  ...extra
+});
+
+let soundcloudReady = null;
+
+// O SoundCloud exige um client_id; sem SOUNDCLOUD_CLIENT_ID, o play-dl obtém um público
+const ensureSoundCloudToken = () => {
+  if (!soundcloudReady) {
+    soundcloudReady = Promise.resolve(process.env.SOUNDCLOUD_CLIENT_ID || play.getFreeClientID())
+      .then(clientId => play.setToken({ soundcloud: { client_id: clientId } }))
+      .catch((error) => {
+        soundcloudReady = null;
+        throw error;
+      });
+  }
+  return soundcloudReady;
+};
+
+// Identifica o tipo da URL sem baixar nada (usado para validar a requisição)
+export const detectSourceType = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+  if (parseInstagramUrl(url) || isInstagramStoryUrl(url)) {
+    return 'instagram';
+  }
+  const validation = await play.validate(url).catch(() => false);
+  if (validation === 'yt_video') return 'youtube';
+  if (validation === 'so_track') return 'soundcloud';
+  if (validation === 'yt_playlist' || validation === 'so_playlist') return 'playlist';
+  return 'http';
+};
+
+// Abre a mídia de uma URL e retorna uma stream pronta para ser gravada em disco.
+// URLs HTTP genéricas são classificadas pelo Content-Type: mídia direta ou feed RSS.
+// No servidor, `fetchImpl` é o fetch do filtro de destinos (lib/network.js), que
+// confere a URL, o enclosure do feed e cada redirecionamento.
+export const openMediaSource = async (url, { episode = 1, fetchImpl = fetch, maxFeedBytes = MAX_FEED_BYTES } = {}) => {
+  const type = await detectSourceType(url);
+
+  switch (type) {
+    case null:
+      throw mediaError('INVALID_URL', 'URL inválida. Use um link http(s).');
+    case 'playlist':
+      throw mediaError('UNSUPPORTED_SOURCE', 'Listas de reprodução não são suportadas nesta rota. Envie o link de um único vídeo ou faixa.');
+    case 'youtube': {
+      const info = await play.video_basic_info(url);
+      const stream = await play.stream(url, { discordPlayerCompatibility: true });
+      return {
+        type,
+        extension: '.webm',
+        totalBytes: null,
+        stream: stream.stream,
+        durationSeconds: info.video_details.durationInSec || null,
+        title: info.video_details.title || null
+      };
+    }
+    case 'soundcloud': {
+      await ensureSoundCloudToken();
+      const track = await play.soundcloud(url);
+      const stream = await play.stream(url);
+      return {
+        type,
+        extension: '.mp3',
+        totalBytes: null,
+        stream: stream.stream,
+        durationSeconds: track.durationInSec || null,
+        title: track.name || null
+      };
+    }
+    case 'instagram': {
+      const media = await resolveInstagramMedia(url, { fetchImpl });
+      const response = await fetchInstagramVideo(media.videoUrl, { fetchImpl });
+      return fromHttpResponse(type, response, media.videoUrl, { extension: '.mp4', title: media.shortcode });
+    }
+    default: {
+      const response = await openHttpMedia(url, fetchImpl);
+      const contentType = response.headers.get('content-type') || '';
+
+      if (isFeedContentType(contentType)) {
+        const feed = parsePodcastFeed(await readTextCapped(response, maxFeedBytes), episode);
+        const mediaResponse = await openHttpMedia(feed.mediaUrl, fetchImpl);
+        return fromHttpResponse('podcast', mediaResponse, feed.mediaUrl, {
+          extension: extensionFromUrl(feed.mediaUrl, '.mp3'),
+          durationSeconds: feed.durationSeconds,
+          title: feed.title
+        });
+      }
+
+      if (isMediaContentType(contentType) || MEDIA_EXTENSIONS.includes(extensionFromUrl(url, null))) {
+        return fromHttpResponse('direct', response, url);
+      }
+
+      response.body?.cancel();
+      throw mediaError('UNSUPPORTED_SOURCE', `O link não aponta para um arquivo de áudio/vídeo nem para um feed de podcast (Content-Type: ${contentType || 'desconhecido'})`);
+    }
+  }
+};
@@ -0,0 +1,150 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// =============================================
+// FILTRO DE DESTINOS DE REDE
+// =============================================
+// Toda URL informada pelo cliente (mídia, feed, webhook) passa por aqui antes
+// de o servidor se conectar a ela: o nome é resolvido no DNS e o pedido é
+// recusado se algum endereço for de loopback, rede privada, link-local
+// (ex.: 169.254.169.254, metadados da nuvem) ou outra faixa reservada. Os
+// redirecionamentos são seguidos um a um, com a mesma conferência em cada salto.
+// Hosts listados em `allowedHosts` (ex.: um receptor de webhook na própria
+// máquina) passam sem conferência.
+
+const MAX_REDIRECTS = 5;
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+export const networkError = (code, message) => Object.assign(new Error(message), { code });
+
+// IPv4 embutido em IPv6: "::ffff:127.0.0.1" ou, como a URL normaliza, "::ffff:7f00:1"
+const mappedIpv4 = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) {
+    return dotted[1];
+  }
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const value = (parseInt(hex[1], 16) << 16 | parseInt(hex[2], 16)) >>> 0;
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+  }
+  return null;
+};
+
+// true para endereços IP que não são da internet pública. IPv4 embutido em
+// IPv6 é conferido como IPv4.
+export const isPrivateAddress = (address) => {
+  const mapped = mappedIpv4(address);
+  if (mapped) {
+    return isPrivateAddress(mapped);
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// "localhost,minio.interno" -> ['localhost', 'minio.interno']
+export const parseHostList = (value = '') => String(value)
+  .split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+  .filter(Boolean);
+
+const hostnameOf = (parsed) => parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+export const createDestinationGuard = ({ allowedHosts = [], lookup = dns.lookup } = {}) => {
+  const allowed = new Set(allowedHosts.map(host => host.toLowerCase()));
+
+  const parse = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw networkError('INVALID_URL', 'URL inválida. Use um link http(s).');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw networkError('INVALID_URL', 'URL inválida. Use um link http(s).');
+    }
+    return parsed;
+  };
+
+  const blocked = (hostname) => networkError(
+    'DESTINATION_BLOCKED',
+    `O endereço ${hostname} é de uma rede local ou reservada e não pode ser acessado pelo servidor`
+  );
+
+  // Conferência sem DNS: nomes locais e IPs literais. Serve para recusar cedo,
+  // na validação da requisição; `check` ainda resolve o nome antes da conexão.
+  const checkSync = (url) => {
+    const parsed = parse(url);
+    const hostname = hostnameOf(parsed);
+    if (allowed.has(hostname)) {
+      return parsed;
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+      throw blocked(hostname);
+    }
+    return parsed;
+  };
+
+  // Resolve o nome e recusa se qualquer um dos endereços for privado
+  const check = async (url) => {
+    const parsed = checkSync(url);
+    const hostname = hostnameOf(parsed);
+    if (allowed.has(hostname) || net.isIP(hostname)) {
+      return parsed;
+    }
+    let addresses;
+    try {
+      addresses = await lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      throw networkError('DESTINATION_UNRESOLVED', `Não foi possível resolver o endereço ${hostname}`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw blocked(hostname);
+    }
+    return parsed;
+  };
+
+  // fetch que confere o destino de cada salto. Só para GET/HEAD: os
+  // redirecionamentos repetem o mesmo método e as mesmas opções.
+  const guardedFetch = async (url, options = {}, fetchImpl = fetch) => {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await check(current);
+      const response = await fetchImpl(current, { ...options, redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+      response.body?.cancel();
+      current = new URL(location, current).href;
+    }
+    throw networkError('TOO_MANY_REDIRECTS', `Redirecionamentos demais (máximo: ${MAX_REDIRECTS})`);
+  };
+
+  return { check, checkSync, fetch: guardedFetch, allowedHosts: [...allowed] };
+};
@@ -0,0 +1,95 @@
+// =============================================
+// PRÉ-PROCESSAMENTO DE ÁUDIO
+// =============================================
+// Opções aplicadas na conversão para WAV: corte (início/fim), faixa de áudio
+// (arquivos com várias faixas, ex.: MKV) e filtros do ffmpeg.
+
+export const AUDIO_FILTER_PRESETS = {
+  highpass: { label: 'Corta graves (passa-altas 200 Hz)', filter: 'highpass=f=200' },
+  lowpass: { label: 'Corta agudos (passa-baixas 3,4 kHz)', filter: 'lowpass=f=3400' },
+  denoise: { label: 'Redução de ruído (afftdn)', filter: 'afftdn=nf=-25' },
+  loudnorm: { label: 'Normalização de volume (loudnorm)', filter: 'loudnorm=I=-16:TP=-1.5:LRA=11' }
+};
+
+// Ordem fixa dos filtros: limpar o espectro e o ruído antes de normalizar o volume
+const FILTER_ORDER = ['highpass', 'lowpass', 'denoise', 'loudnorm'];
+
+// Aceita segundos (90, "90.5") ou "MM:SS" / "HH:MM:SS(.ms)"
+export const parseTimeInput = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : NaN;
+  }
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$|^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Valida as opções vindas da requisição (JSON ou multipart, onde tudo chega
+// como texto e `filters` pode vir separado por vírgulas). Retorna null se não
+// houver pré-processamento; lança erro com mensagem para o cliente se algo for inválido.
+export const parsePreprocessingOptions = ({ trimStart, trimEnd, audioTrack, filters } = {}) => {
+  const options = {};
+
+  const start = parseTimeInput(trimStart);
+  const end = parseTimeInput(trimEnd);
+  if (Number.isNaN(start)) {
+    throw new Error(`Início do corte inválido: ${trimStart}. Use segundos ou MM:SS`);
+  }
+  if (Number.isNaN(end)) {
+    throw new Error(`Fim do corte inválido: ${trimEnd}. Use segundos ou MM:SS`);
+  }
+  if (start !== null && end !== null && end <= start) {
+    throw new Error('O fim do corte deve ser depois do início');
+  }
+  if (start) {
+    options.trimStart = start;
+  }
+  if (end !== null) {
+    options.trimEnd = end;
+  }
+
+  if (audioTrack !== undefined && audioTrack !== null && audioTrack !== '') {
+    const track = Number(audioTrack);
+    if (!Number.isInteger(track) || track < 0) {
+      throw new Error(`Faixa de áudio inválida: ${audioTrack}. Use 0 para a primeira faixa, 1 para a segunda...`);
+    }
+    options.audioTrack = track;
+  }
+
+  const requested = Array.isArray(filters)
+    ? filters
+    : String(filters || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = requested.filter(name => !AUDIO_FILTER_PRESETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Filtro de áudio desconhecido: ${unknown.join(', ')}. Filtros aceitos: ${FILTER_ORDER.join(', ')}`);
+  }
+  if (requested.length > 0) {
+    options.filters = FILTER_ORDER.filter(name => requested.includes(name));
+  }
+
+  return Object.keys(options).length > 0 ? options : null;
+};
+
+// Cadeia de filtros do ffmpeg para as predefinições escolhidas
+export const buildFilterChain = (filters = []) => filters.map(name => AUDIO_FILTER_PRESETS[name].filter);
+
+// Desloca palavras, falas e capítulos para tempos relativos à mídia original (antes do corte)
+export const offsetTimestamps = (response, offsetMs) => {
+  if (!offsetMs) {
+    return response;
+  }
+  const shift = (item) => ({ ...item, start: item.start + offsetMs, end: item.end + offsetMs });
+  return {
+    ...response,
+    words: (response.words || []).map(shift),
+    utterances: (response.utterances || []).map(shift),
+    ...(response.insights ? {
+      insights: { ...response.insights, chapters: response.insights.chapters.map(shift) }
+    } : {})
+  };
+};
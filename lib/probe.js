@@ -0,0 +1,87 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+// =============================================
+// INSPEÇÃO DE MÍDIA (FFPROBE)
+// =============================================
+// Lê o contêiner real, as faixas de áudio e a duração antes da conversão,
+// para recusar cedo arquivos que falhariam no meio do ffmpeg.
+
+export const probeError = (code, message) => Object.assign(new Error(message), { code });
+
+// Roda o ffprobe e devolve um resumo da mídia. Só para arquivos locais: URLs
+// vindas de clientes são baixadas antes (lib/network.js confere o destino).
+export const probeMedia = (input) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(input, (error, data) => {
+      if (error) {
+        console.error('Erro no ffprobe:', error.message);
+        return reject(probeError('MEDIA_UNREADABLE', 'Arquivo não reconhecido como áudio ou vídeo'));
+      }
+
+      const streams = data.streams || [];
+      const format = data.format || {};
+      const duration = parseFloat(format.duration);
+
+      resolve({
+        format: format.format_name || null,
+        formatLongName: format.format_long_name || null,
+        durationSeconds: Number.isFinite(duration) ? duration : null,
+        sizeBytes: parseInt(format.size, 10) || null,
+        bitRate: parseInt(format.bit_rate, 10) || null,
+        audioStreams: streams
+          .filter(stream => stream.codec_type === 'audio')
+          .map((stream, track) => ({
+            track,
+            codec: stream.codec_name || null,
+            channels: stream.channels || null,
+            sampleRate: parseInt(stream.sample_rate, 10) || null,
+            language: stream.tags?.language || null,
+            title: stream.tags?.title || null
+          })),
+        videoStreams: streams
+          .filter(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1)
+          .map(stream => ({
+            codec: stream.codec_name || null,
+            width: stream.width || null,
+            height: stream.height || null
+          }))
+      });
+    });
+  });
+};
+
+// Confere se a mídia pode ser transcrita com as opções pedidas. Com corte,
+// o limite de duração vale para o trecho escolhido. Devolve a duração efetiva.
+export const validateProbe = (info, { maxDurationSeconds = null, preprocessing = null } = {}) => {
+  const { trimStart = 0, trimEnd = null, audioTrack = null } = preprocessing || {};
+
+  if (info.audioStreams.length === 0) {
+    throw probeError('MEDIA_NO_AUDIO', 'A mídia não tem faixa de áudio para transcrever');
+  }
+  if (audioTrack !== null && audioTrack >= info.audioStreams.length) {
+    throw probeError('MEDIA_TRACK_NOT_FOUND', `Faixa de áudio ${audioTrack} não encontrada (a mídia tem ${info.audioStreams.length} faixa(s))`);
+  }
+  if (info.durationSeconds === null) {
+    return null;
+  }
+  if (trimStart >= info.durationSeconds) {
+    throw probeError('MEDIA_TRIM_OUT_OF_RANGE', `O início do corte (${trimStart}s) passa do fim da mídia (${Math.round(info.durationSeconds)}s)`);
+  }
+
+  const effectiveSeconds = Math.min(trimEnd ?? info.durationSeconds, info.durationSeconds) - trimStart;
+  if (maxDurationSeconds && effectiveSeconds > maxDurationSeconds) {
+    throw probeError('MEDIA_TOO_LONG', `Mídia muito longa: ${Math.round(effectiveSeconds / 60)} min (máximo: ${Math.round(maxDurationSeconds / 60)} min)`);
+  }
+  return effectiveSeconds;
+};
+
+// Estimativa grosseira do tempo de processamento: conversão + transcrição
+// (`realtimeFactor` do provedor, dividido entre os trechos em paralelo)
+export const estimateProcessingSeconds = (durationSeconds, { realtimeFactor = 0.3, parallelism = 1 } = {}) => {
+  if (!durationSeconds) {
+    return null;
+  }
+  const conversion = 2 + durationSeconds * 0.02;
+  const transcription = 10 + (durationSeconds * realtimeFactor) / Math.max(1, parallelism);
+  return Math.round(conversion + transcription);
+};
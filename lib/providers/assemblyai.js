@@ -0,0 +1,191 @@
+import fs from 'fs';
+import { isNativeSpelling } from '../vocabulary.js';
+
+// =============================================
+// PROVEDOR ASSEMBLYAI (NUVEM)
+// =============================================
+
+const DEFAULT_BASE_URL = 'https://api.assemblyai.com/v2';
+
+// Valores de exemplo do env_example.sh que não são chaves de verdade
+const PLACEHOLDER_KEYS = ['sua-chave-aqui', 'sua-chave-assemblyai-aqui'];
+
+export const isValidAssemblyAIKey = (apiKey) => !!apiKey && !PLACEHOLDER_KEYS.includes(apiKey.trim());
+
+// Converte auto_chapters / auto_highlights para o formato de lib/insights.js.
+// O resumo geral é a junção dos resumos dos capítulos.
+const toInsights = (result) => {
+  const chapters = (result.chapters || []).map(chapter => ({
+    start: chapter.start,
+    end: chapter.end,
+    headline: chapter.headline,
+    summary: chapter.summary
+  }));
+  return {
+    backend: 'assemblyai',
+    summary: chapters.map(chapter => chapter.summary).join('\n\n'),
+    chapters,
+    keyPhrases: (result.auto_highlights_result?.results || [])
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, 10)
+      .map(highlight => ({ text: highlight.text, count: highlight.count }))
+  };
+};
+
+export const createAssemblyAIProvider = ({ apiKey, baseUrl = DEFAULT_BASE_URL, pollIntervalMs = 3000 }) => {
+  const uploadToAssemblyAI = async (filePath) => {
+    try {
+      console.log('Fazendo upload para AssemblyAI...');
+      // Envia o arquivo em stream, sem carregá-lo inteiro na memória
+      const response = await fetch(`${baseUrl}/upload`, {
+        method: 'POST',
+        headers: {
+          'authorization': apiKey,
+          'content-type': 'application/octet-stream',
+          'content-length': String(fs.statSync(filePath).size)
+        },
+        body: fs.createReadStream(filePath),
+        duplex: 'half'
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Erro no upload: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      console.log('Upload concluído:', data.upload_url);
+      return data.upload_url;
+    } catch (error) {
+      console.error('Erro no upload:', error);
+      throw error;
+    }
+  };
+
+  const startTranscription = async (audioUrl, options = {}) => {
+    try {
+      console.log('Iniciando transcrição...');
+      const transcriptRequest = {
+        audio_url: audioUrl,
+        language_detection: !options.language || options.language === 'auto',
+        punctuate: true,
+        format_text: true
+      };
+
+      if (options.language && options.language !== 'auto') {
+        transcriptRequest.language_code = options.language;
+        delete transcriptRequest.language_detection;
+      }
+
+      if (options.speakerLabels) {
+        transcriptRequest.speaker_labels = true;
+        if (options.speakersExpected) {
+          transcriptRequest.speakers_expected = options.speakersExpected;
+        }
+      }
+
+      // Capítulos (com resumo de cada um) e frases-chave calculados pela AssemblyAI
+      if (options.nativeInsights) {
+        transcriptRequest.auto_chapters = true;
+        transcriptRequest.auto_highlights = true;
+      }
+
+      // Lista de vocabulário: termos reforçados e grafias de uma palavra
+      if (options.vocabulary) {
+        const { boostTerms, boostParam, spellings } = options.vocabulary;
+        if (boostTerms.length > 0) {
+          transcriptRequest.word_boost = boostTerms;
+          transcriptRequest.boost_param = boostParam;
+        }
+        const nativeSpellings = spellings.filter(isNativeSpelling);
+        if (nativeSpellings.length > 0) {
+          transcriptRequest.custom_spelling = nativeSpellings;
+        }
+      }
+
+      const response = await fetch(`${baseUrl}/transcript`, {
+        method: 'POST',
+        headers: {
+          'authorization': apiKey,
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify(transcriptRequest)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Erro ao iniciar transcrição: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      console.log('Transcrição iniciada:', data.id);
+      return data.id;
+    } catch (error) {
+      console.error('Erro ao iniciar transcrição:', error);
+      throw error;
+    }
+  };
+
+  const waitForTranscription = async (transcriptId, job) => {
+    try {
+      console.log('Aguardando conclusão da transcrição...');
+      while (true) {
+        const response = await fetch(`${baseUrl}/transcript/${transcriptId}`, {
+          headers: {
+            'authorization': apiKey
+          }
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Erro ao verificar status: ${response.status} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        console.log('Status da transcrição:', data.status);
+        job.setProgress({ providerStatus: data.status });
+
+        if (data.status === 'completed') {
+          console.log('Transcrição concluída!');
+          return data;
+        } else if (data.status === 'error') {
+          throw new Error(`Erro na transcrição: ${data.error}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      }
+    } catch (error) {
+      console.error('Erro ao aguardar transcrição:', error);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'assemblyai',
+    label: 'AssemblyAI',
+    realtimeFactor: 0.3,
+    supportsVocabulary: true,
+    // auto_chapters e auto_highlights só existem para áudio em inglês
+    supportsInsights: (language) => /^en/i.test(language || ''),
+    isAvailable: () => isValidAssemblyAIKey(apiKey),
+    async transcribe(filePath, options, job) {
+      if (!isValidAssemblyAIKey(apiKey)) {
+        throw new Error('ASSEMBLYAI_API_KEY não configurada neste servidor');
+      }
+      job.setStage('uploading');
+      const audioUrl = await uploadToAssemblyAI(filePath);
+      job.setStage('transcribing');
+      const transcriptId = await startTranscription(audioUrl, options);
+      const result = await waitForTranscription(transcriptId, job);
+      return {
+        text: result.text,
+        confidence: result.confidence,
+        language_code: result.language_code,
+        audio_duration: result.audio_duration,
+        words: result.words,
+        utterances: result.utterances,
+        ...(options.nativeInsights ? { insights: toInsights(result) } : {})
+      };
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import { createAssemblyAIProvider } from './assemblyai.js';
+import { createWhisperProvider } from './whisper.js';
+import { createMockProvider } from './mock.js';
+
+// =============================================
+// REGISTRO DE PROVEDORES DE TRANSCRIÇÃO
+// =============================================
+
+// Todo provedor implementa:
+//   name, label, isAvailable()
+//   realtimeFactor: segundos de processamento por segundo de áudio (estimativa)
+//   supportsVocabulary (opcional): aplica as grafias da lista de vocabulário por conta própria
+//   supportsInsights(language) (opcional): gera resumo/capítulos quando recebe `nativeInsights`
+//   transcribe(audioPath, options, job) -> { text, confidence, language_code,
+//     audio_duration, words, utterances }
+// `options` é neutro (language, speakerLabels, speakersExpected, vocabulary) e cada provedor
+// traduz para a sua própria API. Palavras e falas usam tempos em milissegundos.
+export const createTranscriptionProviders = (env = process.env) => {
+  const providers = new Map();
+
+  const register = (provider) => providers.set(provider.name, provider);
+
+  register(createAssemblyAIProvider({
+    apiKey: env.ASSEMBLYAI_API_KEY
+  }));
+  register(createWhisperProvider({
+    binary: env.WHISPER_BIN || 'whisper-cli',
+    model: env.WHISPER_MODEL,
+    threads: parseInt(env.WHISPER_THREADS, 10) || 4,
+    timeoutMs: (parseInt(env.WHISPER_TIMEOUT_MINUTES, 10) || 0) * 60 * 1000
+  }));
+
+  const defaultName = (env.TRANSCRIPTION_PROVIDER || 'assemblyai').toLowerCase();
+
+  // O mock só existe quando ligado explicitamente, para nunca ser confundido com um resultado real
+  const mockEnabled = defaultName === 'mock' || env.ENABLE_MOCK_PROVIDER === 'true';
+  if (mockEnabled) {
+    register(createMockProvider());
+  }
+
+  if (!providers.has(defaultName)) {
+    throw new Error(`Provedor de transcrição desconhecido: ${defaultName}. Opções: ${[...providers.keys()].join(', ')}`);
+  }
+
+  // live: provedor padrão configurado; mock: resultados simulados;
+  // unconfigured: o provedor padrão não tem chave/modelo e toda transcrição falhará
+  const mode = () => {
+    if (defaultName === 'mock') return 'mock';
+    return providers.get(defaultName).isAvailable() ? 'live' : 'unconfigured';
+  };
+
+  return {
+    defaultName,
+    mode,
+    get: (name) => providers.get(name) || null,
+    list: () => [...providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      available: provider.isAvailable(),
+      default: provider.name === defaultName
+    }))
+  };
+};
@@ -0,0 +1,75 @@
+import { readWavDuration } from '../audio.js';
+
+// =============================================
+// PROVEDOR "MOCK" (TESTES OFFLINE)
+// =============================================
+
+const MOCK_WORDS = (
+  'Esta é uma transcrição de teste gerada pelo provedor mock. ' +
+  'O texto é determinístico e acompanha a duração real do áudio enviado. ' +
+  'Nenhum serviço externo foi chamado para produzir este resultado.'
+).split(' ');
+
+const WORD_DURATION_MS = 400;
+const WORD_GAP_MS = 50;
+const WORDS_PER_UTTERANCE = 12;
+
+// Gera palavras e falas determinísticas que cobrem `durationSeconds`
+export const buildMockTranscript = (durationSeconds, options = {}) => {
+  const totalMs = Math.max(0, Math.round(durationSeconds * 1000));
+  const speakerCount = options.speakerLabels ? (options.speakersExpected || 2) : 1;
+  const words = [];
+
+  const wordCount = totalMs > 0
+    ? Math.max(1, Math.floor((totalMs + WORD_GAP_MS) / (WORD_DURATION_MS + WORD_GAP_MS)))
+    : 0;
+
+  for (let index = 0; index < wordCount; index++) {
+    const start = index * (WORD_DURATION_MS + WORD_GAP_MS);
+    const utteranceIndex = Math.floor(index / WORDS_PER_UTTERANCE);
+    words.push({
+      text: MOCK_WORDS[index % MOCK_WORDS.length],
+      start,
+      end: Math.min(start + WORD_DURATION_MS, totalMs),
+      confidence: 0.9,
+      ...(options.speakerLabels ? { speaker: String.fromCharCode(65 + (utteranceIndex % speakerCount)) } : {})
+    });
+  }
+
+  const utterances = [];
+  if (options.speakerLabels) {
+    for (let i = 0; i < words.length; i += WORDS_PER_UTTERANCE) {
+      const group = words.slice(i, i + WORDS_PER_UTTERANCE);
+      utterances.push({
+        speaker: group[0].speaker,
+        text: group.map(word => word.text).join(' '),
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        confidence: 0.9,
+        words: group
+      });
+    }
+  }
+
+  return {
+    text: words.map(word => word.text).join(' '),
+    confidence: 0.9,
+    language_code: options.language || 'pt',
+    audio_duration: durationSeconds,
+    words,
+    utterances
+  };
+};
+
+export const createMockProvider = () => ({
+  name: 'mock',
+  label: 'Mock (testes offline)',
+  realtimeFactor: 0,
+  isAvailable: () => true,
+  async transcribe(filePath, options, job) {
+    job.setStage('transcribing');
+    const durationSeconds = readWavDuration(filePath);
+    console.log(`Provedor mock: gerando transcrição para ${durationSeconds.toFixed(1)}s de áudio`);
+    return buildMockTranscript(durationSeconds, options);
+  }
+});
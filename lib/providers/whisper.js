@@ -0,0 +1,136 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+
+// =============================================
+// PROVEDOR WHISPER LOCAL (whisper.cpp, SEM REDE)
+// =============================================
+
+// Converte a saída JSON completa do whisper.cpp (-ojf) no formato comum dos
+// provedores. Com `-ml 1 -sow` cada segmento corresponde a uma palavra.
+export const parseWhisperOutput = (output) => {
+  const words = [];
+
+  for (const segment of output.transcription || []) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    // Pontuação isolada pertence à palavra anterior
+    const previous = words[words.length - 1];
+    if (previous && /^[.,!?;:…]+$/.test(text)) {
+      previous.text += text;
+      previous.end = segment.offsets?.to ?? previous.end;
+      continue;
+    }
+
+    const tokens = (segment.tokens || []).filter(token => !/^\[_/.test(token.text));
+    const confidence = tokens.length > 0
+      ? tokens.reduce((total, token) => total + (token.p ?? 0), 0) / tokens.length
+      : null;
+
+    words.push({
+      text,
+      start: segment.offsets?.from ?? 0,
+      end: segment.offsets?.to ?? 0,
+      confidence
+    });
+  }
+
+  const confidences = words.map(word => word.confidence).filter(value => value !== null);
+
+  return {
+    text: words.map(word => word.text).join(' ').replace(/\s+([,.!?;:])/g, '$1'),
+    confidence: confidences.length > 0
+      ? confidences.reduce((total, value) => total + value, 0) / confidences.length
+      : null,
+    language_code: output.result?.language || null,
+    audio_duration: words.length > 0 ? words[words.length - 1].end / 1000 : null,
+    words,
+    utterances: []
+  };
+};
+
+export const createWhisperProvider = ({ binary = 'whisper-cli', model, threads = 4, timeoutMs = 0 }) => {
+  const isAvailable = () => !!model && fs.existsSync(model);
+
+  const run = (args, job) => {
+    return new Promise((resolve, reject) => {
+      console.log('Whisper iniciado:', binary, args.join(' '));
+      const child = spawn(binary, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      let timer = null;
+
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          child.kill('SIGKILL');
+          reject(new Error(`Whisper excedeu o tempo limite de ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs);
+      }
+
+      child.stderr.on('data', (chunk) => {
+        const text = chunk.toString();
+        stderr = (stderr + text).slice(-4000);
+        const progress = /progress\s*=\s*(\d+)%/.exec(text);
+        if (progress) {
+          job.setProgress({ percent: parseInt(progress[1], 10) });
+        }
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Não foi possível executar o Whisper (${binary}): ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Whisper terminou com código ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+    });
+  };
+
+  return {
+    name: 'whisper',
+    label: 'Whisper (local)',
+    realtimeFactor: 1,
+    isAvailable,
+    async transcribe(filePath, options, job) {
+      if (!isAvailable()) {
+        throw new Error('Modelo do Whisper não encontrado. Configure WHISPER_MODEL com o caminho do arquivo ggml.');
+      }
+      if (options.speakerLabels) {
+        console.log('Whisper local não separa falantes; ignorando speaker_labels');
+      }
+
+      job.setStage('transcribing');
+      const outputBase = `${filePath}.whisper`;
+      const outputPath = `${outputBase}.json`;
+      const args = [
+        '-m', model,
+        '-f', filePath,
+        '-l', options.language && options.language !== 'auto' ? options.language : 'auto',
+        '-t', String(threads),
+        '-ml', '1',
+        '-sow',
+        '-ojf',
+        '-of', outputBase,
+        '-pp'
+      ];
+      // Sem suporte a reforço de termos, o whisper.cpp ao menos recebe os termos
+      // da lista como contexto inicial (as grafias são aplicadas depois)
+      if (options.vocabulary?.boostTerms.length > 0) {
+        args.push('--prompt', options.vocabulary.boostTerms.join(', '));
+      }
+
+      try {
+        await run(args, job);
+        const output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        return parseWhisperOutput(output);
+      } finally {
+        fs.rmSync(outputPath, { force: true });
+      }
+    }
+  };
+};
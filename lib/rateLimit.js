@@ -0,0 +1,51 @@
+// =============================================
+// LIMITE DE REQUISIÇÕES
+// =============================================
+// Janela deslizante aproximada: a contagem da janela anterior entra com peso
+// proporcional ao quanto ela ainda se sobrepõe à janela atual. Guarda só dois
+// contadores por cliente, em memória (cada instância do servidor conta à parte).
+
+export const createRateLimiter = ({ windowMs = 60 * 1000 } = {}) => {
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  // Esquece clientes sem requisições há mais de duas janelas
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [id, window] of windows) {
+      if (now - window.start >= 2 * windowMs) {
+        windows.delete(id);
+      }
+    }
+  };
+
+  // Registra uma requisição de `id`, se couber no limite.
+  // Retorna { allowed, limit, remaining, retryAfterSeconds }.
+  const hit = (id, limit) => {
+    const now = Date.now();
+    sweep(now);
+    const start = Math.floor(now / windowMs) * windowMs;
+    let window = windows.get(id);
+    if (!window || window.start !== start) {
+      const previous = window && window.start === start - windowMs ? window.count : 0;
+      window = { start, count: 0, previous };
+      windows.set(id, window);
+    }
+
+    const overlap = 1 - (now - start) / windowMs;
+    const used = window.previous * overlap + window.count;
+    if (used + 1 > limit) {
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((start + windowMs - now) / 1000))
+      };
+    }
+    window.count++;
+    return { allowed: true, limit, remaining: Math.max(0, Math.floor(limit - used - 1)), retryAfterSeconds: 0 };
+  };
+
+  return { hit };
+};
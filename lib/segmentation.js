@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+
+// =============================================
+// SEGMENTAÇÃO DE ÁUDIOS LONGOS
+// =============================================
+// O áudio convertido é cortado em trechos perto de um tamanho alvo, sempre que
+// possível no meio de um silêncio, e cada trecho é transcrito separadamente.
+// Os resultados são unidos em uma única transcrição com tempos globais.
+
+export const DEFAULT_SEGMENTATION = {
+  targetSeconds: 600,
+  concurrency: 3,
+  maxRetries: 2,
+  noiseDb: -35,
+  minSilenceSeconds: 0.5
+};
+
+const SILENCE_START_PATTERN = /silence_start:\s*(-?[\d.]+)/;
+const SILENCE_END_PATTERN = /silence_end:\s*([\d.]+)/;
+
+// Roda o filtro silencedetect do ffmpeg e devolve a duração total e os silêncios
+// encontrados ([{ start, end }] em segundos)
+export const detectSilences = (audioPath, { noiseDb = DEFAULT_SEGMENTATION.noiseDb, minSilenceSeconds = DEFAULT_SEGMENTATION.minSilenceSeconds } = {}) => {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let durationSeconds = null;
+    let openStart = null;
+
+    ffmpeg(audioPath)
+      .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minSilenceSeconds}`)
+      .format('null')
+      .on('codecData', (data) => {
+        durationSeconds = String(data.duration).split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+      })
+      .on('stderr', (line) => {
+        const start = line.match(SILENCE_START_PATTERN);
+        if (start) {
+          openStart = Math.max(0, parseFloat(start[1]));
+          return;
+        }
+        const end = line.match(SILENCE_END_PATTERN);
+        if (end && openStart !== null) {
+          silences.push({ start: openStart, end: parseFloat(end[1]) });
+          openStart = null;
+        }
+      })
+      .on('end', () => {
+        // Silêncio que vai até o fim do arquivo não tem silence_end
+        if (openStart !== null && durationSeconds) {
+          silences.push({ start: openStart, end: durationSeconds });
+        }
+        resolve({ durationSeconds, silences });
+      })
+      .on('error', reject)
+      .save(process.platform === 'win32' ? 'NUL' : '/dev/null');
+  });
+};
+
+// Escolhe os pontos de corte: para cada trecho, o meio do silêncio mais próximo
+// do tamanho alvo (entre 50% e 125% dele). Sem silêncio nessa janela, corta no alvo.
+// O último trecho pode chegar a 125% do alvo para não sobrar um pedaço minúsculo.
+export const planSegments = (durationSeconds, silences, { targetSeconds = DEFAULT_SEGMENTATION.targetSeconds } = {}) => {
+  const segments = [];
+  let start = 0;
+
+  while (durationSeconds - start > targetSeconds * 1.25) {
+    const ideal = start + targetSeconds;
+    let cut = ideal;
+    let bestDistance = Infinity;
+
+    for (const silence of silences) {
+      const middle = (silence.start + silence.end) / 2;
+      if (middle < start + targetSeconds * 0.5 || middle > start + targetSeconds * 1.25) continue;
+      const distance = Math.abs(middle - ideal);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        cut = middle;
+      }
+    }
+
+    segments.push({ index: segments.length, start, end: cut });
+    start = cut;
+  }
+
+  segments.push({ index: segments.length, start, end: durationSeconds });
+  return segments;
+};
+
+// Extrai um trecho do WAV convertido (sem recodificar)
+const extractSegment = (audioPath, segment, outputPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(audioPath)
+      .setStartTime(segment.start)
+      .setDuration(segment.end - segment.start)
+      .audioCodec('copy')
+      .format('wav')
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+};
+
+// Une os resultados dos trechos (na ordem) em um único resultado de provedor,
+// deslocando palavras e falas pelo início de cada trecho
+export const mergeSegmentResults = (segments, results) => {
+  const words = [];
+  const utterances = [];
+  const texts = [];
+  let confidenceSum = 0;
+  let confidenceWeight = 0;
+  const languages = {};
+
+  segments.forEach((segment, i) => {
+    const result = results[i];
+    const offsetMs = Math.round(segment.start * 1000);
+    const shift = (item) => ({ ...item, start: item.start + offsetMs, end: item.end + offsetMs });
+
+    words.push(...(result.words || []).map(shift));
+    utterances.push(...(result.utterances || []).map(utterance => ({
+      ...shift(utterance),
+      words: (utterance.words || []).map(shift)
+    })));
+    if (result.text) {
+      texts.push(result.text.trim());
+    }
+
+    const weight = segment.end - segment.start;
+    if (typeof result.confidence === 'number') {
+      confidenceSum += result.confidence * weight;
+      confidenceWeight += weight;
+    }
+    if (result.language_code) {
+      languages[result.language_code] = (languages[result.language_code] || 0) + weight;
+    }
+  });
+
+  const language = Object.entries(languages).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    text: texts.join(' '),
+    confidence: confidenceWeight > 0 ? confidenceSum / confidenceWeight : null,
+    language_code: language ? language[0] : null,
+    audio_duration: segments[segments.length - 1].end,
+    words,
+    utterances
+  };
+};
+
+// Executa `task` para cada item com no máximo `concurrency` em paralelo.
+// Devolve [{ item, value }] ou [{ item, error }], sem interromper nas falhas.
+const runWithConcurrency = async (items, concurrency, task) => {
+  const outcomes = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        outcomes.push({ item, value: await task(item) });
+      } catch (error) {
+        outcomes.push({ item, error });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return outcomes;
+};
+
+// Corta o áudio, transcreve os trechos em paralelo com `transcribe(segmentPath, segment)`
+// e une os resultados. Trechos que falharem são tentados de novo (só eles), até
+// `maxRetries` vezes; se algum continuar falhando, o erro cita os trechos.
+export const transcribeInSegments = async ({
+  audioPath,
+  workDir,
+  transcribe,
+  job,
+  targetSeconds = DEFAULT_SEGMENTATION.targetSeconds,
+  concurrency = DEFAULT_SEGMENTATION.concurrency,
+  maxRetries = DEFAULT_SEGMENTATION.maxRetries,
+  noiseDb = DEFAULT_SEGMENTATION.noiseDb,
+  minSilenceSeconds = DEFAULT_SEGMENTATION.minSilenceSeconds
+}) => {
+  const { durationSeconds, silences } = await detectSilences(audioPath, { noiseDb, minSilenceSeconds });
+  if (!durationSeconds) {
+    throw new Error('Não foi possível determinar a duração do áudio para segmentar');
+  }
+
+  const segments = planSegments(durationSeconds, silences, { targetSeconds });
+  console.log(`Áudio de ${Math.round(durationSeconds)}s dividido em ${segments.length} trecho(s) (${silences.length} silêncio(s) detectado(s))`);
+
+  fs.mkdirSync(workDir, { recursive: true });
+  const results = new Array(segments.length);
+  let pending = segments;
+  let done = 0;
+
+  try {
+    job.setStage('transcribing');
+    job.setProgress({ segmentsDone: 0, segmentsTotal: segments.length });
+
+    for (let attempt = 0; attempt <= maxRetries && pending.length > 0; attempt++) {
+      if (attempt > 0) {
+        console.log(`Tentando de novo ${pending.length} trecho(s) com falha (tentativa ${attempt + 1})`);
+        job.setProgress({ retry: attempt, failedSegments: pending.map(segment => segment.index) });
+      }
+
+      const outcomes = await runWithConcurrency(pending, concurrency, async (segment) => {
+        const segmentPath = path.join(workDir, `segment_${segment.index}.wav`);
+        try {
+          await extractSegment(audioPath, segment, segmentPath);
+          return await transcribe(segmentPath, segment);
+        } finally {
+          fs.rmSync(segmentPath, { force: true });
+        }
+      });
+
+      pending = [];
+      for (const outcome of outcomes) {
+        if (outcome.error) {
+          console.error(`Erro no trecho ${outcome.item.index + 1}/${segments.length}:`, outcome.error.message);
+          pending.push(outcome.item);
+          continue;
+        }
+        results[outcome.item.index] = outcome.value;
+        done++;
+        job.setProgress({ segmentsDone: done, segmentsTotal: segments.length });
+      }
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (pending.length > 0) {
+    const failed = pending.map(segment => segment.index + 1).sort((a, b) => a - b);
+    throw new Error(`Falha ao transcrever ${failed.length} de ${segments.length} trecho(s): ${failed.join(', ')}`);
+  }
+
+  return { ...mergeSegmentResults(segments, results), segments: segments.length };
+};
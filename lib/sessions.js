@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// =============================================
+// SESSÕES DO NAVEGADOR
+// =============================================
+// A interface entra com uma chave de API e recebe um cookie HttpOnly assinado
+// (quem é + validade + HMAC). O cookie também vale para EventSource, o player
+// de áudio e os links de download, que não têm como enviar cabeçalhos. Sem
+// SESSION_SECRET, o segredo é sorteado a cada execução e as sessões caem
+// quando o servidor reinicia.
+
+export const SESSION_COOKIE = 'tv_session';
+
+// Cookies com valor mal codificado (ex.: "outro=100%", de outra aplicação no
+// mesmo domínio) são ignorados em vez de derrubar a requisição
+const decodeCookieValue = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+export const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+      const index = part.indexOf('=');
+      return [part.slice(0, index), decodeCookieValue(part.slice(index + 1))];
+    })
+    .filter(([, value]) => value !== null)
+);
+
+export const serializeCookie = (name, value, { maxAgeSeconds, secure = false }) => [
+  `${name}=${encodeURIComponent(value)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(secure ? ['Secure'] : [])
+].join('; ');
+
+export const createSessionSigner = ({ secret = crypto.randomBytes(32).toString('hex'), ttlMs }) => {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  // Token "<sujeito>.<expira em ms>.<assinatura>"
+  const issue = (subject) => {
+    const expiresAt = Date.now() + ttlMs;
+    const payload = `${subject}.${expiresAt}`;
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  };
+
+  // Sujeito do token, ou null se a assinatura não confere ou a sessão expirou
+  const verify = (token = '') => {
+    const [subject, expiresAt, signature] = String(token).split('.');
+    if (!subject || !expiresAt || !signature) {
+      return null;
+    }
+    const expected = Buffer.from(sign(`${subject}.${expiresAt}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    return Number(expiresAt) > Date.now() ? subject : null;
+  };
+
+  return { issue, verify, ttlMs };
+};
@@ -0,0 +1,100 @@
+// =============================================
+// LEGENDAS (SRT / WebVTT) A PARTIR DAS PALAVRAS
+// =============================================
+
+export const DEFAULT_SUBTITLE_LIMITS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  maxCueDurationMs: 6000
+};
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+// Agrupa as palavras (com start/end em ms, como retornadas pela AssemblyAI)
+// em legendas que respeitam os limites de caracteres, linhas e duração
+export const buildCues = (words = [], limits = {}) => {
+  const { maxCharsPerLine, maxLines, maxCueDurationMs } = { ...DEFAULT_SUBTITLE_LIMITS, ...limits };
+  const cues = [];
+  let cue = null;
+
+  const closeCue = () => {
+    if (cue) {
+      cues.push({
+        start: cue.start,
+        end: cue.end,
+        lines: cue.lines.map(line => line.join(' '))
+      });
+    }
+    cue = null;
+  };
+
+  for (const word of words) {
+    const text = (word.text || '').trim();
+    if (!text) continue;
+
+    if (cue) {
+      const currentLine = cue.lines[cue.lines.length - 1];
+      const lineLength = currentLine.join(' ').length;
+      const fitsLine = lineLength + 1 + text.length <= maxCharsPerLine;
+      const fitsCue = fitsLine || cue.lines.length < maxLines;
+      const fitsDuration = word.end - cue.start <= maxCueDurationMs;
+
+      if (fitsCue && fitsDuration && !cue.sentenceEnded) {
+        if (fitsLine) {
+          currentLine.push(text);
+        } else {
+          cue.lines.push([text]);
+        }
+        cue.end = word.end;
+        cue.sentenceEnded = SENTENCE_END.test(text);
+        continue;
+      }
+      closeCue();
+    }
+
+    cue = {
+      start: word.start,
+      end: word.end,
+      lines: [[text]],
+      sentenceEnded: SENTENCE_END.test(text)
+    };
+  }
+  closeCue();
+
+  return cues;
+};
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+const formatTimestamp = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+export const toSrt = (cues) => {
+  return cues
+    .map((cue, index) => [
+      index + 1,
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      ...cue.lines
+    ].join('\n'))
+    .join('\n\n') + '\n';
+};
+
+export const toVtt = (cues) => {
+  const body = cues
+    .map(cue => [
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      ...cue.lines
+    ].join('\n'))
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+};
+
+export const SUBTITLE_FORMATS = {
+  srt: { render: toSrt, contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { render: toVtt, contentType: 'text/vtt; charset=utf-8' }
+};
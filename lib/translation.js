@@ -0,0 +1,126 @@
+// =============================================
+// PROVEDORES DE TRADUÇÃO
+// =============================================
+
+// Fim de frase: pontuação final (com aspas ou parênteses de fechamento) seguida
+// de espaço, ou quebras de linha. Sem o espaço não é fim de frase: "3.50", "...Olá".
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n+/g;
+
+// Frases com o espaço que as segue; juntas, reproduzem o texto inteiro
+const splitSentences = (text) => {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    sentences.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) {
+    sentences.push(text.slice(start));
+  }
+  return sentences;
+};
+
+// Divide o texto em blocos de até `maxChars` caracteres sem quebrar frases.
+// Frases maiores que o limite são quebradas entre palavras. Nada se perde:
+// os blocos juntos são exatamente o texto original.
+export const splitIntoChunks = (text, maxChars = 4000) => {
+  const sentences = splitSentences(text);
+  const chunks = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    if (current.length + piece.length > maxChars && current.length > 0) {
+      chunks.push(current);
+      current = '';
+    }
+    current += piece;
+  };
+
+  for (const sentence of sentences) {
+    if (sentence.length <= maxChars) {
+      pushPiece(sentence);
+      continue;
+    }
+    if (current.length > 0) {
+      chunks.push(current);
+      current = '';
+    }
+    for (const word of sentence.split(/(?<=\s)/)) {
+      if (word.length > maxChars) {
+        for (let i = 0; i < word.length; i += maxChars) {
+          pushPiece(word.slice(i, i + maxChars));
+        }
+      } else {
+        pushPiece(word);
+      }
+    }
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
+
+// Provedor compatível com a API HTTP do LibreTranslate (POST /translate)
+export const createLibreTranslateProvider = ({ url, apiKey, timeoutMs = 60000 }) => ({
+  name: 'libretranslate',
+  async translate(text, { source = 'auto', target }) {
+    const response = await fetch(`${url.replace(/\/+$/, '')}/translate`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({
+        q: text,
+        source,
+        target,
+        format: 'text',
+        ...(apiKey ? { api_key: apiKey } : {})
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Erro no serviço de tradução: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.translatedText;
+  }
+});
+
+// Aviso colocado uma vez no início do texto "traduzido" pelo provedor simulado
+export const SIMULATED_TRANSLATION_MARKER = '[TRADUÇÃO SIMULADA]';
+
+// Provedor usado quando nenhum serviço de tradução está configurado: devolve o
+// texto como veio (quem monta o resultado acrescenta o aviso)
+export const createSimulatedProvider = () => ({
+  name: 'simulated',
+  simulated: true,
+  async translate(text) {
+    return text;
+  }
+});
+
+export const createTranslationProvider = (env = process.env) => {
+  const provider = (env.TRANSLATION_PROVIDER || (env.TRANSLATION_API_URL ? 'libretranslate' : 'simulated')).toLowerCase();
+
+  switch (provider) {
+    case 'libretranslate':
+      if (!env.TRANSLATION_API_URL) {
+        throw new Error('TRANSLATION_API_URL é obrigatória para o provedor libretranslate');
+      }
+      return createLibreTranslateProvider({
+        url: env.TRANSLATION_API_URL,
+        apiKey: env.TRANSLATION_API_KEY,
+        timeoutMs: parseInt(env.TRANSLATION_TIMEOUT_MS, 10) || 60000
+      });
+    case 'simulated':
+      return createSimulatedProvider();
+    default:
+      throw new Error(`Provedor de tradução desconhecido: ${provider}`);
+  }
+};
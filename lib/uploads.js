@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// =============================================
+// UPLOADS EM PARTES (RETOMÁVEIS)
+// =============================================
+//
+// Protocolo:
+//   1. create({ fileName, size }) reserva o upload e define o tamanho das partes
+//   2. cada parte é enviada com o índice e o SHA-256 do conteúdo; partes já
+//      recebidas podem ser reenviadas sem problema
+//   3. get(id) informa as partes recebidas, para retomar após uma queda de rede
+//   4. complete(id) confere se tudo chegou e devolve o caminho do arquivo montado
+//
+// O estado de cada upload fica em <dir>/<id>.json, então um upload também pode
+// ser retomado depois de o servidor reiniciar. Cada dono (chave de API) pode ter
+// no máximo `maxOpenPerOwner` uploads abertos, somando até `maxReservedBytesPerOwner`;
+// uploads parados há mais que `ttlMs` são descartados periodicamente.
+
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+export const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+export const createChunkedUploads = ({
+  dir,
+  maxBytes,
+  chunkSize = 8 * 1024 * 1024,
+  ttlMs = 24 * 60 * 60 * 1000,
+  maxOpenPerOwner = 5,
+  maxReservedBytesPerOwner = 2 * maxBytes
+}) => {
+  const uploads = new Map();
+  // Fila por upload para que partes enviadas em paralelo não sobrescrevam o estado
+  const locks = new Map();
+
+  const statePath = (id) => path.join(dir, `${id}.json`);
+  const dataPath = (id) => path.join(dir, `${id}.part`);
+
+  const withLock = (id, task) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(id, next);
+    return next.finally(() => {
+      if (locks.get(id) === next) {
+        locks.delete(id);
+      }
+    });
+  };
+
+  const saveState = async (upload) => {
+    const tempPath = `${statePath(upload.id)}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(upload));
+    await fs.rename(tempPath, statePath(upload.id));
+  };
+
+  const toJSON = (upload) => ({
+    id: upload.id,
+    fileName: upload.fileName,
+    size: upload.size,
+    ownerId: upload.ownerId ?? null,
+    chunkSize: upload.chunkSize,
+    totalChunks: upload.totalChunks,
+    receivedChunks: upload.received,
+    receivedBytes: upload.received.reduce((total, index) => total + chunkLength(upload, index), 0),
+    complete: upload.received.length === upload.totalChunks,
+    createdAt: upload.createdAt
+  });
+
+  const chunkLength = (upload, index) => {
+    return index === upload.totalChunks - 1
+      ? upload.size - index * upload.chunkSize
+      : upload.chunkSize;
+  };
+
+  const load = async (id) => {
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    if (uploads.has(id)) {
+      return uploads.get(id);
+    }
+    try {
+      const upload = JSON.parse(await fs.readFile(statePath(id), 'utf8'));
+      uploads.set(id, upload);
+      return upload;
+    } catch {
+      return null;
+    }
+  };
+
+  const isExpired = (upload) => Date.now() - Date.parse(upload.updatedAt) > ttlMs;
+
+  // Remove uploads abandonados há mais tempo que o TTL (na fila do upload,
+  // para não apagar um que esteja recebendo uma parte agora)
+  const evictExpired = async () => {
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const upload = await load(path.basename(name, '.json'));
+      if (upload && isExpired(upload)) {
+        await withLock(upload.id, async () => {
+          if (uploads.get(upload.id) === upload && isExpired(upload)) {
+            await remove(upload.id);
+          }
+        });
+      }
+    }
+  };
+
+  const sweepTimer = setInterval(() => {
+    evictExpired().catch(error => console.error('Erro ao descartar uploads expirados:', error));
+  }, Math.min(ttlMs, 60 * 60 * 1000));
+  sweepTimer.unref();
+
+  // `ownerId`: id da chave de API que iniciou o upload (null sem autenticação)
+  const create = async ({ fileName, size, chunkSize: requestedChunkSize, ownerId = null }) => {
+    const totalSize = Number(size);
+    if (!fileName) {
+      throw uploadError(400, 'Nome do arquivo não informado');
+    }
+    if (!Number.isInteger(totalSize) || totalSize <= 0) {
+      throw uploadError(400, 'Tamanho do arquivo inválido');
+    }
+    if (totalSize > maxBytes) {
+      throw uploadError(413, `Arquivo muito grande: ${(totalSize / 1024 / 1024).toFixed(0)}MB (máximo: ${(maxBytes / 1024 / 1024).toFixed(0)}MB)`);
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await evictExpired();
+
+    // Depois da limpeza, `uploads` tem todos os uploads abertos
+    const open = [...uploads.values()].filter(upload => (upload.ownerId ?? null) === ownerId);
+    if (open.length >= maxOpenPerOwner) {
+      throw uploadError(429, `Limite de ${maxOpenPerOwner} uploads abertos atingido: conclua ou cancele um antes de iniciar outro`);
+    }
+    const reserved = open.reduce((total, upload) => total + upload.size, 0);
+    if (reserved + totalSize > maxReservedBytesPerOwner) {
+      throw uploadError(413, `Uploads abertos somariam ${((reserved + totalSize) / 1024 / 1024).toFixed(0)}MB (máximo: ${(maxReservedBytesPerOwner / 1024 / 1024).toFixed(0)}MB)`);
+    }
+
+    const partSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, Number(requestedChunkSize) || chunkSize));
+    const now = new Date().toISOString();
+    const upload = {
+      id: crypto.randomUUID(),
+      fileName: path.basename(String(fileName)),
+      size: totalSize,
+      ownerId,
+      chunkSize: partSize,
+      totalChunks: Math.ceil(totalSize / partSize),
+      received: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    // Entra na contagem antes de qualquer espera, para valer também entre criações simultâneas
+    uploads.set(upload.id, upload);
+
+    try {
+      // Arquivo esparso com o tamanho final: cada parte é gravada na sua posição
+      const handle = await fs.open(dataPath(upload.id), 'w');
+      await handle.truncate(totalSize);
+      await handle.close();
+      await saveState(upload);
+    } catch (error) {
+      await remove(upload.id).catch(() => {});
+      throw error;
+    }
+    console.log(`Upload em partes criado: ${upload.fileName} (${upload.totalChunks} partes)`);
+    return toJSON(upload);
+  };
+
+  const get = async (id) => {
+    const upload = await load(id);
+    return upload ? toJSON(upload) : null;
+  };
+
+  const writeChunk = (id, index, data, checksum) => withLock(id, async () => {
+    const upload = await load(id);
+    if (!upload) {
+      throw uploadError(404, 'Upload não encontrado');
+    }
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= upload.totalChunks) {
+      throw uploadError(400, `Índice de parte inválido: ${index}`);
+    }
+    if (data.length !== chunkLength(upload, chunkIndex)) {
+      throw uploadError(400, `Tamanho da parte ${chunkIndex} inválido: esperado ${chunkLength(upload, chunkIndex)} bytes, recebido ${data.length}`);
+    }
+    const digest = crypto.createHash('sha256').update(data).digest('hex');
+    if (!checksum || digest !== String(checksum).toLowerCase()) {
+      throw uploadError(422, `Checksum da parte ${chunkIndex} não confere`);
+    }
+
+    const handle = await fs.open(dataPath(id), 'r+');
+    try {
+      await handle.write(data, 0, data.length, chunkIndex * upload.chunkSize);
+    } finally {
+      await handle.close();
+    }
+
+    if (!upload.received.includes(chunkIndex)) {
+      upload.received.push(chunkIndex);
+      upload.received.sort((a, b) => a - b);
+    }
+    upload.updatedAt = new Date().toISOString();
+    await saveState(upload);
+    return toJSON(upload);
+  });
+
+  // Confere se todas as partes chegaram e entrega o arquivo montado.
+  // O arquivo passa a ser de quem chamou; o estado do upload é descartado.
+  const complete = (id) => withLock(id, async () => {
+    const upload = await load(id);
+    if (!upload) {
+      throw uploadError(404, 'Upload não encontrado');
+    }
+    const missing = upload.totalChunks - upload.received.length;
+    if (missing > 0) {
+      throw uploadError(409, `Ainda faltam ${missing} parte(s) do arquivo`);
+    }
+    await fs.rm(statePath(id), { force: true });
+    uploads.delete(id);
+    return { path: dataPath(id), fileName: upload.fileName, size: upload.size };
+  });
+
+  // Caminho do arquivo montado de um upload completo, sem finalizá-lo
+  // (usado para inspecionar a mídia antes de iniciar a transcrição)
+  const assembledFile = async (id) => {
+    const upload = await load(id);
+    if (!upload) {
+      throw uploadError(404, 'Upload não encontrado');
+    }
+    const missing = upload.totalChunks - upload.received.length;
+    if (missing > 0) {
+      throw uploadError(409, `Ainda faltam ${missing} parte(s) do arquivo`);
+    }
+    return { path: dataPath(id), fileName: upload.fileName, size: upload.size };
+  };
+
+  const remove = async (id) => {
+    if (!/^[\w-]+$/.test(id)) {
+      throw uploadError(400, 'Id de upload inválido');
+    }
+    await fs.rm(statePath(id), { force: true });
+    await fs.rm(dataPath(id), { force: true });
+    uploads.delete(id);
+  };
+
+  return { create, get, writeChunk, complete, assembledFile, remove, maxChunkSize: MAX_CHUNK_SIZE };
+};
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+// =============================================
+// USO E CUSTO DOS JOBS
+// =============================================
+// Um registro por job terminado (concluído ou com falha): origem, provedor,
+// duração do áudio (da resposta do provedor ou, sem ela, do ffprobe), tempo de
+// processamento, custo estimado e quem pediu. Os registros são acrescentados a
+// um arquivo JSON Lines; os mais antigos que `retentionDays` são descartados
+// quando o servidor inicia.
+//
+// Só o áudio efetivamente transcrito entra no custo (`billedSeconds`):
+// resultados do cache e jobs com falha custam zero.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 200;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const dayOf = (isoDate) => isoDate.slice(0, 10);
+
+// Duração do áudio de um job: a do provedor (ou a última palavra) e, sem
+// resultado, a medida pelo ffprobe antes da transcrição
+const audioDuration = (job, probedSeconds) => {
+  const result = job.result || {};
+  const words = result.words || [];
+  const fromProvider = result.duration ?? (words.length > 0 ? words[words.length - 1].end / 1000 : null);
+  if (job.stage === 'done' && fromProvider !== null) {
+    return { seconds: fromProvider, source: 'provider' };
+  }
+  if (probedSeconds) {
+    return { seconds: probedSeconds, source: 'ffprobe' };
+  }
+  return { seconds: null, source: null };
+};
+
+const EMPTY_TOTALS = {
+  jobs: 0,
+  done: 0,
+  failed: 0,
+  cached: 0,
+  audioMinutes: 0,
+  billedMinutes: 0,
+  cost: 0,
+  processingSeconds: 0
+};
+
+const addToTotals = (totals, record) => ({
+  jobs: totals.jobs + 1,
+  done: totals.done + (record.stage === 'done' ? 1 : 0),
+  failed: totals.failed + (record.stage === 'failed' ? 1 : 0),
+  cached: totals.cached + (record.cached ? 1 : 0),
+  audioMinutes: totals.audioMinutes + (record.audioSeconds || 0) / 60,
+  billedMinutes: totals.billedMinutes + record.billedSeconds / 60,
+  cost: totals.cost + record.cost,
+  processingSeconds: totals.processingSeconds + (record.processingMs || 0) / 1000
+});
+
+const finishTotals = (totals) => ({
+  ...totals,
+  audioMinutes: round(totals.audioMinutes),
+  billedMinutes: round(totals.billedMinutes),
+  cost: round(totals.cost, 4),
+  processingSeconds: round(totals.processingSeconds, 1),
+  failureRate: totals.jobs > 0 ? round(totals.failed / totals.jobs) : null
+});
+
+// Agrupa os registros pela chave dada, com os totais de cada grupo
+const groupTotals = (records, keyOf, describe) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    const group = groups.get(key) || { ...describe(record), totals: { ...EMPTY_TOTALS } };
+    group.totals = addToTotals(group.totals, record);
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(group => ({ ...group, totals: finishTotals(group.totals) }))
+    .sort((a, b) => b.totals.jobs - a.totals.jobs);
+};
+
+// `rates`: custo por minuto transcrito, por provedor ({ assemblyai: 0.0062 }).
+export const createUsageLog = ({ file, rates = {}, currency = 'USD', retentionDays = 365 }) => {
+  const oldest = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+  let records = [];
+  try {
+    records = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Erro ao ler ${file}:`, error);
+    }
+  }
+  const kept = records.filter(record => record.finishedAt >= oldest);
+  let writing = Promise.resolve();
+  if (kept.length < records.length) {
+    records = kept;
+    writing = fsPromises.writeFile(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+  if (records.length > 0) {
+    console.log(`📊 Registro de uso carregado: ${records.length} job(s)`);
+  }
+
+  // Duração medida pelo ffprobe, guardada até o job terminar
+  const probed = new Map();
+
+  const append = (record) => {
+    writing = writing.catch(() => {}).then(async () => {
+      await fsPromises.mkdir(path.dirname(file), { recursive: true });
+      await fsPromises.appendFile(file, `${JSON.stringify(record)}\n`);
+    }).catch(error => {
+      console.error('Erro ao salvar o registro de uso:', error);
+    });
+  };
+
+  const noteMedia = (jobId, seconds) => {
+    if (seconds) {
+      probed.set(jobId, seconds);
+    }
+  };
+
+  const rateFor = (provider) => rates[provider] ?? 0;
+
+  // Registra um job terminado. `user`: { id, name } de quem pediu (null sem
+  // autenticação); `provider`: o pedido, usado quando o job falha antes de ter resultado.
+  const record = (job, { user = null, provider = null } = {}) => {
+    const result = job.result || {};
+    const duration = audioDuration(job, probed.get(job.id));
+    probed.delete(job.id);
+    const cached = result.cache?.status === 'hit';
+    const usedProvider = result.provider || provider;
+    const billedSeconds = job.stage === 'done' && !cached ? duration.seconds || 0 : 0;
+
+    const entry = {
+      jobId: job.id,
+      type: job.type,
+      sourceType: job.source?.sourceType || job.type,
+      provider: usedProvider,
+      user,
+      stage: job.stage,
+      cached,
+      audioSeconds: duration.seconds === null ? null : round(duration.seconds, 1),
+      durationSource: duration.source,
+      billedSeconds: round(billedSeconds, 1),
+      cost: round((billedSeconds / 60) * rateFor(usedProvider), 6),
+      queuedMs: job.startedAt ? Date.parse(job.startedAt) - Date.parse(job.createdAt) : null,
+      processingMs: job.startedAt && job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+      errorCode: job.errorCode || null,
+      error: job.error ? String(job.error).slice(0, MAX_ERROR_LENGTH) : null,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || new Date().toISOString()
+    };
+    records.push(entry);
+    append(entry);
+    return entry;
+  };
+
+  // Totais dos últimos `days` dias (incluindo hoje, em UTC), por dia, por
+  // usuário, por provedor e por origem, mais as falhas recentes.
+  // `userId` restringe aos jobs de um usuário ('anonymous' = sem autenticação).
+  const stats = ({ days = 30, userId = null } = {}) => {
+    const dates = Array.from({ length: days }, (_, index) => (
+      new Date(Date.now() - (days - 1 - index) * DAY_MS).toISOString().slice(0, 10)
+    ));
+    const selected = records.filter(entry => (
+      dayOf(entry.finishedAt) >= dates[0]
+      && (!userId || (entry.user?.id || 'anonymous') === userId)
+    ));
+
+    const byDate = new Map(dates.map(date => [date, { ...EMPTY_TOTALS }]));
+    for (const entry of selected) {
+      const date = dayOf(entry.finishedAt);
+      if (byDate.has(date)) {
+        byDate.set(date, addToTotals(byDate.get(date), entry));
+      }
+    }
+
+    const failed = selected.filter(entry => entry.stage === 'failed');
+
+    return {
+      days,
+      currency,
+      rates,
+      totals: finishTotals(selected.reduce(addToTotals, { ...EMPTY_TOTALS })),
+      byDay: dates.map(date => ({ date, ...finishTotals(byDate.get(date)) })),
+      byUser: groupTotals(
+        selected,
+        entry => entry.user?.id || 'anonymous',
+        entry => ({ id: entry.user?.id || 'anonymous', name: entry.user?.name || 'Sem autenticação' })
+      ),
+      byProvider: groupTotals(selected, entry => entry.provider || 'desconhecido', entry => ({ provider: entry.provider || 'desconhecido' })),
+      bySourceType: groupTotals(selected, entry => entry.sourceType, entry => ({ sourceType: entry.sourceType })),
+      failuresByCode: groupTotals(failed, entry => entry.errorCode || 'OUTRO', entry => ({ errorCode: entry.errorCode || 'OUTRO' }))
+        .map(({ errorCode, totals }) => ({ errorCode, count: totals.jobs })),
+      recentFailures: failed.slice(-10).reverse().map(({ jobId, type, sourceType, provider, user, errorCode, error, finishedAt }) => ({
+        jobId, type, sourceType, provider, user, errorCode, error, finishedAt
+      }))
+    };
+  };
+
+  return { noteMedia, record, stats };
+};
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { createJsonFile } from './jsonFile.js';
+
+// =============================================
+// LISTAS DE VOCABULÁRIO
+// =============================================
+// Cada lista guarda termos reforçados (nomes de produtos, jargão) e grafias
+// corrigidas ({ from: ['assembly ai'], to: 'AssemblyAI' }). A AssemblyAI usa as
+// listas nativamente (word_boost / custom_spelling); para os demais provedores
+// as grafias são aplicadas depois da transcrição.
+
+export const BOOST_PARAMS = ['low', 'default', 'high'];
+
+// Limites da AssemblyAI para word_boost
+const MAX_BOOST_TERMS = 1000;
+const MAX_TERM_WORDS = 6;
+const MAX_NAME_LENGTH = 80;
+const MAX_SPELLINGS = 500;
+
+const cleanList = (values) => [...new Set(values.map(value => String(value).trim().replace(/\s+/g, ' ')).filter(Boolean))];
+
+// Valida os dados vindos da requisição. Com `partial`, só os campos presentes
+// são conferidos (PATCH). Lança erro com mensagem para o cliente.
+export const parseVocabularyInput = (input = {}, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name ?? '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Nome da lista obrigatório (até ${MAX_NAME_LENGTH} caracteres)`);
+    }
+    data.name = name;
+  }
+
+  if (!partial || input.boostTerms !== undefined) {
+    if (input.boostTerms !== undefined && !Array.isArray(input.boostTerms)) {
+      throw new Error('boostTerms deve ser uma lista de termos');
+    }
+    const terms = cleanList(input.boostTerms || []);
+    if (terms.length > MAX_BOOST_TERMS) {
+      throw new Error(`No máximo ${MAX_BOOST_TERMS} termos reforçados por lista`);
+    }
+    const tooLong = terms.find(term => term.split(' ').length > MAX_TERM_WORDS);
+    if (tooLong) {
+      throw new Error(`Termo com mais de ${MAX_TERM_WORDS} palavras: "${tooLong}"`);
+    }
+    data.boostTerms = terms;
+  }
+
+  if (!partial || input.boostParam !== undefined) {
+    const boostParam = input.boostParam ?? 'default';
+    if (!BOOST_PARAMS.includes(boostParam)) {
+      throw new Error(`Intensidade do reforço inválida: ${boostParam}. Use ${BOOST_PARAMS.join(', ')}`);
+    }
+    data.boostParam = boostParam;
+  }
+
+  if (!partial || input.spellings !== undefined) {
+    if (input.spellings !== undefined && !Array.isArray(input.spellings)) {
+      throw new Error('spellings deve ser uma lista de { from, to }');
+    }
+    const spellings = (input.spellings || []).map((spelling, index) => {
+      const from = cleanList(Array.isArray(spelling?.from) ? spelling.from : [spelling?.from ?? '']);
+      const to = String(spelling?.to ?? '').trim().replace(/\s+/g, ' ');
+      if (from.length === 0 || !to) {
+        throw new Error(`Grafia ${index + 1} inválida: informe "from" (uma ou mais formas) e "to"`);
+      }
+      return { from, to };
+    });
+    if (spellings.length > MAX_SPELLINGS) {
+      throw new Error(`No máximo ${MAX_SPELLINGS} grafias por lista`);
+    }
+    data.spellings = spellings;
+  }
+
+  return data;
+};
+
+// A AssemblyAI só aceita custom_spelling com uma única palavra em `to`;
+// as demais grafias ficam para o pós-processamento
+export const isNativeSpelling = (spelling) => !/\s/.test(spelling.to);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordCore = (text) => text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Regras de substituição, das formas mais longas para as mais curtas
+// ("visual studio code" antes de "visual studio")
+const buildRules = (spellings) => spellings
+  .flatMap(spelling => spelling.from.map(from => ({
+    parts: from.split(' ').map(wordCore).filter(Boolean),
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${from.split(' ').map(escapeRegExp).join('\\s+')}(?![\\p{L}\\p{N}])`, 'giu'),
+    to: spelling.to
+  })))
+  .filter(rule => rule.parts.length > 0)
+  .sort((a, b) => b.parts.length - a.parts.length);
+
+const replaceInText = (text, rules) => rules.reduce((current, rule) => current.replace(rule.pattern, rule.to), String(text || ''));
+
+// Troca sequências de palavras pela grafia certa. Uma forma com várias palavras
+// vira uma única palavra, do início da primeira ao fim da última, mantendo a
+// pontuação ao redor ("assembly ai," -> "AssemblyAI,").
+const replaceInWords = (words, rules) => {
+  const result = [];
+  let index = 0;
+  while (index < words.length) {
+    const rule = rules.find(candidate => candidate.parts.every((part, offset) => (
+      index + offset < words.length && wordCore(String(words[index + offset].text)) === part
+    )));
+    if (!rule) {
+      result.push(words[index]);
+      index++;
+      continue;
+    }
+    const first = words[index];
+    const last = words[index + rule.parts.length - 1];
+    const leading = String(first.text).match(/^[^\p{L}\p{N}]*/u)[0];
+    const trailing = String(last.text).match(/[^\p{L}\p{N}]*$/u)[0];
+    result.push({ ...first, text: `${leading}${rule.to}${trailing}`, end: last.end });
+    index += rule.parts.length;
+  }
+  return result;
+};
+
+// Aplica as grafias ao resultado de um provedor (texto, palavras e falas)
+export const applySpellings = (result, spellings = []) => {
+  const rules = buildRules(spellings);
+  if (rules.length === 0) {
+    return result;
+  }
+  return {
+    ...result,
+    text: replaceInText(result.text, rules),
+    words: replaceInWords(result.words || [], rules),
+    utterances: (result.utterances || []).map(utterance => ({
+      ...utterance,
+      text: replaceInText(utterance.text, rules),
+      ...(utterance.words ? { words: replaceInWords(utterance.words, rules) } : {})
+    }))
+  };
+};
+
+// As listas ficam em um único arquivo JSON, lido na criação: são poucas e
+// pequenas, e precisam estar à mão ao montar as opções de cada requisição.
+export const createVocabularyStore = ({ file }) => {
+  const storage = createJsonFile(file);
+  const lists = new Map(storage.read([]).map(list => [list.id, list]));
+  if (lists.size > 0) {
+    console.log(`📖 Vocabulário carregado: ${lists.size} lista(s)`);
+  }
+
+  const persist = () => storage.write([...lists.values()]);
+
+  // Com `ownerId` definido (inclusive null), só as listas desse dono; sem ele, todas
+  const list = ({ ownerId } = {}) => [...lists.values()]
+    .filter(vocabulary => ownerId === undefined || (vocabulary.ownerId ?? null) === ownerId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const get = (id) => lists.get(id) || null;
+
+  const create = async (data) => {
+    const now = new Date().toISOString();
+    const vocabulary = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...data };
+    lists.set(vocabulary.id, vocabulary);
+    await persist();
+    return vocabulary;
+  };
+
+  const update = async (id, changes) => {
+    const current = lists.get(id);
+    if (!current) {
+      return null;
+    }
+    const vocabulary = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+    lists.set(id, vocabulary);
+    await persist();
+    return vocabulary;
+  };
+
+  const remove = async (id) => {
+    if (!lists.delete(id)) {
+      return false;
+    }
+    await persist();
+    return true;
+  };
+
+  return { list, get, create, update, remove };
+};
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { createJsonFile } from './jsonFile.js';
+
+// =============================================
+// WEBHOOKS DE CONCLUSÃO DOS JOBS
+// =============================================
+// Quem pede uma transcrição pode informar `callbackUrl` (e `callbackSecret`).
+// Quando o job termina, com sucesso ou falha, o servidor envia um POST com o
+// resultado em JSON e os cabeçalhos:
+//   X-Webhook-Id         id da entrega (o mesmo em todas as tentativas)
+//   X-Webhook-Event      transcription.completed ou transcription.failed
+//   X-Webhook-Timestamp  segundos desde 1970, no momento da tentativa
+//   X-Webhook-Signature  sha256=<HMAC-SHA256 de `${timestamp}.${corpo}` com o segredo>
+// A assinatura só vai quando há segredo. Erros de rede, timeouts, 408, 429 e
+// 5xx são refeitos com espera exponencial; o registro das entregas (sem o
+// corpo e sem o segredo, com o dono do job) fica em um arquivo JSON. Com `guard` (lib/network.js),
+// URLs da rede interna são recusadas na requisição e, depois de resolvido o
+// DNS, antes de cada tentativa.
+
+export const WEBHOOK_EVENTS = {
+  done: 'transcription.completed',
+  failed: 'transcription.failed'
+};
+
+const MAX_SECRET_LENGTH = 256;
+
+// Assinatura enviada em X-Webhook-Signature (o receptor calcula a mesma e compara)
+export const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+// Valida `callbackUrl` e `callbackSecret` vindos da requisição.
+// Retorna null sem URL de retorno; lança erro com mensagem para o cliente.
+export const parseCallbackInput = ({ callbackUrl, callbackSecret } = {}, { guard = null } = {}) => {
+  if (!callbackUrl) {
+    if (callbackSecret) {
+      throw new Error('callbackSecret informado sem callbackUrl');
+    }
+    return null;
+  }
+  let url = null;
+  try {
+    url = new URL(String(callbackUrl));
+  } catch {
+    // tratado abaixo
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('callbackUrl inválida. Use um link http(s).');
+  }
+  if (guard) {
+    try {
+      guard.checkSync(url.href);
+    } catch (error) {
+      throw new Error(`callbackUrl recusada: ${error.message}`);
+    }
+  }
+  const secret = callbackSecret ? String(callbackSecret) : null;
+  if (secret && secret.length > MAX_SECRET_LENGTH) {
+    throw new Error(`callbackSecret muito longo (máximo: ${MAX_SECRET_LENGTH} caracteres)`);
+  }
+  return { url: url.href, secret };
+};
+
+// Corpo enviado ao receptor: o resultado da transcrição ou o erro do job
+const toPayload = (job) => {
+  const base = {
+    event: WEBHOOK_EVENTS[job.stage],
+    jobId: job.id,
+    type: job.type,
+    status: job.stage,
+    source: job.source,
+    finishedAt: job.finishedAt
+  };
+  if (job.stage === 'failed') {
+    return { ...base, error: job.error, errorCode: job.errorCode };
+  }
+  const result = job.result || {};
+  return {
+    ...base,
+    transcriptId: result.transcriptId || null,
+    text: result.transcription,
+    language: result.language_detected || null,
+    confidence: result.confidence ?? null,
+    duration: result.duration ?? null,
+    provider: result.provider || null,
+    words: result.words || [],
+    utterances: result.utterances || [],
+    insights: result.insights || null,
+    cache: result.cache?.status || null
+  };
+};
+
+// Vale a pena tentar de novo? (sem resposta, timeout, limite de taxa ou erro do servidor)
+const isRetryable = (statusCode) => statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// `maxAttempts`: tentativas por entrega (a primeira inclusa).
+// `retryBaseMs`: espera antes da segunda tentativa; dobra a cada nova falha.
+// `maxLogEntries`: acima disso, as entregas encerradas mais antigas saem do registro.
+export const createWebhookDispatcher = ({
+  jobQueue,
+  file,
+  guard = null,
+  defaultSecret = null,
+  maxAttempts = 5,
+  retryBaseMs = 10000,
+  timeoutMs = 10000,
+  maxLogEntries = 500
+}) => {
+  const storage = createJsonFile(file);
+  const deliveries = new Map(storage.read([]).map(delivery => [delivery.id, delivery]));
+
+  // As novas tentativas vivem só na memória: entregas pendentes de uma execução
+  // anterior não serão mais feitas
+  for (const delivery of deliveries.values()) {
+    if (delivery.status === 'pending' || delivery.status === 'retrying') {
+      Object.assign(delivery, { status: 'failed', nextAttemptAt: null, error: 'Servidor reiniciado antes da entrega' });
+    }
+  }
+
+  const persist = () => storage.write([...deliveries.values()]).catch(error => {
+    console.error('Erro ao salvar o registro de webhooks:', error);
+  });
+
+  const prune = () => {
+    if (deliveries.size <= maxLogEntries) return;
+    const finished = [...deliveries.values()]
+      .filter(delivery => delivery.status === 'delivered' || delivery.status === 'failed')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    finished.slice(0, deliveries.size - maxLogEntries).forEach(delivery => deliveries.delete(delivery.id));
+  };
+
+  const attempt = async (delivery, body, secret) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'transcriptor-videos-webhook',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    }
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+    try {
+      await guard?.check(delivery.url);
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      statusCode = response.status;
+      await response.body?.cancel();
+      if (!response.ok) {
+        error = `Resposta HTTP ${response.status}`;
+      }
+    } catch (fetchError) {
+      blocked = fetchError.code === 'DESTINATION_BLOCKED';
+      error = fetchError.name === 'TimeoutError'
+        ? `Sem resposta em ${timeoutMs / 1000}s`
+        : fetchError.cause?.message || fetchError.message;
+    }
+
+    delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt });
+    delivery.error = error;
+
+    if (!error) {
+      Object.assign(delivery, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+      console.log(`Webhook ${delivery.id} entregue (job ${delivery.jobId}, HTTP ${statusCode})`);
+    } else if (!blocked && delivery.attempts.length < maxAttempts && isRetryable(statusCode)) {
+      const waitMs = retryBaseMs * 2 ** (delivery.attempts.length - 1);
+      Object.assign(delivery, { status: 'retrying', nextAttemptAt: new Date(Date.now() + waitMs).toISOString() });
+      console.log(`Webhook ${delivery.id} falhou (${error}); nova tentativa em ${Math.round(waitMs / 1000)}s`);
+      setTimeout(() => attempt(delivery, body, secret), waitMs).unref();
+    } else {
+      Object.assign(delivery, { status: 'failed', nextAttemptAt: null });
+      console.error(`Webhook ${delivery.id} desistido após ${delivery.attempts.length} tentativa(s): ${error}`);
+    }
+    persist();
+  };
+
+  const dispatch = (job, { url, secret }) => {
+    prune();
+    const delivery = {
+      id: crypto.randomUUID(),
+      jobId: job.id,
+      ownerId: job.ownerId ?? null,
+      event: WEBHOOK_EVENTS[job.stage],
+      url,
+      signed: Boolean(secret),
+      status: 'pending',
+      attempts: [],
+      error: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null
+    };
+    deliveries.set(delivery.id, delivery);
+    attempt(delivery, JSON.stringify(toPayload(job)), secret);
+  };
+
+  // Envia o webhook quando o job terminar (na hora, se ele já nasceu concluído).
+  // `callback` vem de parseCallbackInput; sem ele, nada acontece.
+  const watch = (jobId, callback) => {
+    if (!callback) return;
+    const target = { ...callback, secret: callback.secret || defaultSecret };
+    jobQueue.whenFinished(jobId, (job) => dispatch(job, target));
+  };
+
+  // Entregas mais recentes primeiro, com filtros opcionais por job e status.
+  // Com `ownerId` definido (inclusive null), só as entregas dos jobs desse dono.
+  const list = ({ jobId = null, status = null, ownerId, limit = 100 } = {}) => [...deliveries.values()]
+    .filter(delivery => (!jobId || delivery.jobId === jobId) && (!status || delivery.status === status))
+    .filter(delivery => ownerId === undefined || (delivery.ownerId ?? null) === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  const get = (id) => deliveries.get(id) || null;
+
+  const stats = () => {
+    const counts = { pending: 0, retrying: 0, delivered: 0, failed: 0 };
+    deliveries.forEach(delivery => counts[delivery.status]++);
+    return { maxAttempts, retryBaseSeconds: retryBaseMs / 1000, timeoutSeconds: timeoutMs / 1000, ...counts };
+  };
+
+  // parseCallbackInput com o filtro de destinos deste dispatcher
+  const parseCallback = (input) => parseCallbackInput(input, { guard });
+
+  return { parseCallback, watch, list, get, stats };
+};
@@ -1,12 +1,40 @@
 import express from 'express';
+import crypto from 'crypto';
 import cors from 'cors';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Readable } from 'stream';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
+import ffprobeStatic from 'ffprobe-static';
 import play from 'play-dl'; // MUDANÇA 1: Importa a nova biblioteca
+import { createJobQueue } from './lib/jobs.js';
+import { buildCues, DEFAULT_SUBTITLE_LIMITS, SUBTITLE_FORMATS } from './lib/subtitles.js';
+import { createTranslationProvider, splitIntoChunks, SIMULATED_TRANSLATION_MARKER } from './lib/translation.js';
+import { validateInstagramUrl, resolveInstagramMedia, fetchInstagramVideo } from './lib/instagram.js';
+import { detectSourceType, openMediaSource } from './lib/mediaSource.js';
+import { createDestinationGuard, parseHostList } from './lib/network.js';
+import { createTranscriptLibrary, applyWordEdits } from './lib/library.js';
+import { createTranscriptionProviders } from './lib/providers/index.js';
+import { createChunkedUploads } from './lib/uploads.js';
+import { createBatchStore } from './lib/batches.js';
+import { createZip } from './lib/zip.js';
+import { buildExportDocument, EXPORT_FORMATS } from './lib/exporters.js';
+import { transcribeInSegments, DEFAULT_SEGMENTATION } from './lib/segmentation.js';
+import { readWavDuration } from './lib/audio.js';
+import { probeMedia, validateProbe, estimateProcessingSeconds } from './lib/probe.js';
+import { parsePreprocessingOptions, buildFilterChain, offsetTimestamps, AUDIO_FILTER_PRESETS } from './lib/preprocessing.js';
+import { formatTranscript, parseFormattingOptions } from './lib/formatting.js';
+import { generateLocalInsights } from './lib/insights.js';
+import { createTranscriptCache, optionsFingerprint, hashFile } from './lib/cache.js';
+import { createVocabularyStore, parseVocabularyInput, applySpellings, isNativeSpelling } from './lib/vocabulary.js';
+import { createWebhookDispatcher } from './lib/webhooks.js';
+import { createApiKeyStore, parseApiKeyInput, hashApiKey } from './lib/apiKeys.js';
+import { createRateLimiter } from './lib/rateLimit.js';
+import { createSessionSigner, parseCookies, serializeCookie, SESSION_COOKIE } from './lib/sessions.js';
+import { createUsageLog } from './lib/usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,15 +44,178 @@ const PORT = process.env.PORT || 3001;
 
 // Configurar FFmpeg
 ffmpeg.setFfmpegPath(ffmpegStatic);
+ffmpeg.setFfprobePath(ffprobeStatic.path);
+
+// Autenticação das rotas /api: com API_AUTH=on (padrão em produção), cada
+// requisição precisa de uma chave (Authorization: Bearer, X-API-Key ou a sessão
+// do navegador). ADMIN_API_KEY administra as chaves e não tem cota nem limite.
+const AUTH = {
+  enabled: (process.env.API_AUTH || (process.env.NODE_ENV === 'production' ? 'on' : 'off')) === 'on',
+  adminKey: process.env.ADMIN_API_KEY || null,
+  sessionHours: parseInt(process.env.SESSION_HOURS, 10) || 12,
+  rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 120,
+  // Cota padrão de minutos transcritos por chave e por dia (0 = sem limite)
+  defaultDailyMinutes: process.env.DEFAULT_DAILY_MINUTES !== undefined ? parseInt(process.env.DEFAULT_DAILY_MINUTES, 10) || 0 : 120
+};
+
+// Origens aceitas pelo CORS, separadas por vírgula; vazio (ou *) libera qualquer
+// origem, exceto em produção, onde a lista é obrigatória
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const CORS_OPEN = CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes('*');
+
+if (CORS_OPEN && process.env.NODE_ENV === 'production') {
+  console.error('❌ Em produção, CORS_ORIGINS precisa listar as origens aceitas (ex.: https://meu-app.up.railway.app); * não é aceito.');
+  process.exit(1);
+}
+
+// Atrás de um proxy (ex.: Railway), o IP do cliente e o HTTPS vêm dos cabeçalhos X-Forwarded-*
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(CORS_OPEN ? {} : { origin: CORS_ORIGINS, credentials: true }));
+app.use('/api', (req, res, next) => {
+  // Marca todas as respostas quando o servidor não está transcrevendo de verdade
+  const mode = transcriptionProviders.mode();
+  if (mode !== 'live') {
+    res.setHeader('X-Transcription-Mode', mode);
+  }
+  next();
+});
+app.use('/api', (req, res, next) => authenticateApi(req, res, next));
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('dist'));
 
-// Configurar AssemblyAI
-const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY || 'sua-chave-aqui';
-const ASSEMBLYAI_BASE_URL = 'https://api.assemblyai.com/v2';
+// Configurar provedores de transcrição (AssemblyAI, Whisper local e mock)
+const transcriptionProviders = createTranscriptionProviders();
+
+// Em produção, o servidor não sobe sem um provedor de transcrição de verdade
+if (process.env.NODE_ENV === 'production' && transcriptionProviders.mode() !== 'live') {
+  console.error(`❌ Provedor de transcrição "${transcriptionProviders.defaultName}" não pode ser usado em produção (modo: ${transcriptionProviders.mode()}).`);
+  console.error('   Configure ASSEMBLYAI_API_KEY (ou WHISPER_MODEL) antes de iniciar o servidor.');
+  process.exit(1);
+}
+
+// Com a autenticação ligada, só o administrador consegue criar as chaves
+if (AUTH.enabled && !AUTH.adminKey) {
+  console.error('❌ API_AUTH=on exige ADMIN_API_KEY (a chave que cria e revoga as demais).');
+  process.exit(1);
+}
+if (!AUTH.enabled && process.env.NODE_ENV === 'production') {
+  console.warn('⚠️  API_AUTH=off: as rotas /api estão abertas para qualquer um');
+}
+
+// Configurar biblioteca de transcrições
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const library = createTranscriptLibrary({ dir: path.join(DATA_DIR, 'transcripts'), mediaDir: MEDIA_DIR });
+const vocabularies = createVocabularyStore({ file: path.join(DATA_DIR, 'vocabularies.json') });
+
+// Configurar chaves de API, limite de requisições e sessões do navegador
+const apiKeys = createApiKeyStore({
+  file: path.join(DATA_DIR, 'api-keys.json'),
+  defaultDailyMinutes: AUTH.defaultDailyMinutes,
+  defaultRateLimit: AUTH.rateLimitPerMinute
+});
+const rateLimiter = createRateLimiter();
+
+// Uso e custo por job. O custo estimado por minuto transcrito vem de
+// COST_PER_MINUTE_<PROVEDOR> (ex.: COST_PER_MINUTE_ASSEMBLYAI); sem a variável,
+// vale o preço padrão abaixo (zero para os provedores locais)
+const DEFAULT_COST_PER_MINUTE = { assemblyai: 0.0062 };
+const costPerMinute = (provider) => {
+  const value = process.env[`COST_PER_MINUTE_${provider.toUpperCase()}`];
+  return value !== undefined && value !== '' ? Number(value) || 0 : DEFAULT_COST_PER_MINUTE[provider] || 0;
+};
+const usageLog = createUsageLog({
+  file: path.join(DATA_DIR, 'usage.jsonl'),
+  rates: Object.fromEntries(transcriptionProviders.list().map(({ name }) => [name, costPerMinute(name)])),
+  currency: process.env.COST_CURRENCY || 'USD',
+  retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 365
+});
+const sessions = createSessionSigner({
+  secret: process.env.SESSION_SECRET || undefined,
+  ttlMs: AUTH.sessionHours * 60 * 60 * 1000
+});
+
+// Cache de transcrições: mesma mídia (id do YouTube ou hash do áudio) com as
+// mesmas opções devolve a transcrição salva, sem baixar nem transcrever de novo
+const CACHE = {
+  enabled: process.env.TRANSCRIPT_CACHE !== 'off',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  ttlDays: parseInt(process.env.CACHE_TTL_DAYS, 10) || 0
+};
+const transcriptCache = createTranscriptCache({
+  file: path.join(DATA_DIR, 'cache.json'),
+  library,
+  maxEntries: CACHE.maxEntries,
+  ttlMs: CACHE.ttlDays * 24 * 60 * 60 * 1000
+});
+
+// Configurar fila de jobs (toda transcrição concluída é salva na biblioteca)
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2,
+  ttlMs: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  onResult: (job, result) => saveToLibrary(job, result)
+});
+
+// Links informados pelos clientes não podem apontar para a rede interna do
+// servidor; ALLOWED_PRIVATE_HOSTS libera hosts específicos (ex.: localhost em testes)
+const destinationGuard = createDestinationGuard({ allowedHosts: parseHostList(process.env.ALLOWED_PRIVATE_HOSTS) });
+
+// Webhooks: rotas de transcrição com `callbackUrl` recebem o resultado por POST
+// quando o job termina (WEBHOOK_SECRET assina quando a requisição não traz segredo)
+const webhooks = createWebhookDispatcher({
+  jobQueue,
+  guard: destinationGuard,
+  file: path.join(DATA_DIR, 'webhooks.json'),
+  defaultSecret: process.env.WEBHOOK_SECRET || null,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  retryBaseMs: (parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 10) * 1000,
+  timeoutMs: (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000,
+  maxLogEntries: parseInt(process.env.WEBHOOK_LOG_MAX, 10) || 500
+});
+
+// Configurar lotes (vários arquivos ou playlists do YouTube, um job por item)
+const batches = createBatchStore({ jobQueue });
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS, 10) || 50;
+
+// Configurar tradução (LibreTranslate ou simulada)
+const translationProvider = createTranslationProvider();
+const TRANSLATION_CHUNK_SIZE = parseInt(process.env.TRANSLATION_CHUNK_SIZE, 10) || 4000;
+const TRANSLATION_DEFAULT_TARGET = process.env.TRANSLATION_DEFAULT_TARGET || 'pt';
+
+// Limites padrão das legendas (podem ser sobrescritos por query string)
+const SUBTITLE_LIMITS = {
+  maxCharsPerLine: parseInt(process.env.SUBTITLE_MAX_CHARS_PER_LINE, 10) || DEFAULT_SUBTITLE_LIMITS.maxCharsPerLine,
+  maxLines: parseInt(process.env.SUBTITLE_MAX_LINES, 10) || DEFAULT_SUBTITLE_LIMITS.maxLines,
+  maxCueDurationMs: parseInt(process.env.SUBTITLE_MAX_CUE_DURATION_MS, 10) || DEFAULT_SUBTITLE_LIMITS.maxCueDurationMs
+};
+
+// Limites para mídia baixada por URL; a duração máxima vale para qualquer mídia
+const MAX_DOWNLOAD_BYTES = (parseInt(process.env.MAX_DOWNLOAD_MB, 10) || 500) * 1024 * 1024;
+const MAX_MEDIA_DURATION_SECONDS = (parseInt(process.env.MAX_MEDIA_DURATION_MINUTES, 10) || 120) * 60;
+
+// Segmentação de áudios longos: 'auto' segmenta a partir de SEGMENT_MIN_MINUTES,
+// 'on' sempre segmenta e 'off' envia o áudio inteiro (pode ser trocado por requisição)
+const SEGMENTATION_MODES = ['auto', 'on', 'off'];
+const SEGMENTATION = {
+  mode: SEGMENTATION_MODES.includes(process.env.SEGMENTATION_MODE) ? process.env.SEGMENTATION_MODE : 'auto',
+  minSeconds: (parseInt(process.env.SEGMENT_MIN_MINUTES, 10) || 30) * 60,
+  targetSeconds: (parseInt(process.env.SEGMENT_TARGET_MINUTES, 10) || DEFAULT_SEGMENTATION.targetSeconds / 60) * 60,
+  concurrency: parseInt(process.env.SEGMENT_CONCURRENCY, 10) || DEFAULT_SEGMENTATION.concurrency,
+  maxRetries: parseInt(process.env.SEGMENT_MAX_RETRIES, 10) || DEFAULT_SEGMENTATION.maxRetries
+};
+
+// Resumo, capítulos e palavras-chave: 'auto' usa o provedor quando ele sabe
+// gerá-los (AssemblyAI, áudio em inglês) e o algoritmo local nos demais casos;
+// 'local' usa sempre o algoritmo local
+const INSIGHTS_BACKENDS = ['auto', 'local'];
+const INSIGHTS = {
+  backend: INSIGHTS_BACKENDS.includes(process.env.INSIGHTS_BACKEND) ? process.env.INSIGHTS_BACKEND : 'auto',
+  chapterSeconds: (parseInt(process.env.INSIGHTS_CHAPTER_MINUTES, 10) || 5) * 60
+};
 
 // Configurar Multer para upload
 const storage = multer.diskStorage({
@@ -40,18 +231,267 @@ const storage = multer.diskStorage({
   }
 });
 
+// Tamanho máximo dos arquivos enviados (upload simples ou em partes)
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 4096) * 1024 * 1024;
+
 const upload = multer({ 
   storage,
-  limits: { fileSize: 100 * 1024 * 1024 } // 100MB
+  limits: { fileSize: MAX_UPLOAD_BYTES }
+});
+
+// Configurar uploads em partes (retomáveis)
+const chunkedUploads = createChunkedUploads({
+  dir: path.join('uploads', 'chunked'),
+  maxBytes: MAX_UPLOAD_BYTES,
+  chunkSize: (parseInt(process.env.UPLOAD_CHUNK_MB, 10) || 8) * 1024 * 1024,
+  ttlMs: (parseFloat(process.env.UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  maxOpenPerOwner: parseInt(process.env.MAX_OPEN_UPLOADS, 10) || 5,
+  maxReservedBytesPerOwner: (parseInt(process.env.MAX_OPEN_UPLOADS_MB, 10) || 2 * MAX_UPLOAD_BYTES / 1024 / 1024) * 1024 * 1024
+});
+
+// =============================================
+// AUTENTICAÇÃO, COTAS E LIMITES
+// =============================================
+
+const ADMIN_PRINCIPAL = { id: 'admin', name: 'Administrador', admin: true, dailyMinutes: 0, rateLimitPerMinute: null };
+
+// Rotas abertas mesmo com a autenticação ligada (health check e login da interface)
+const PUBLIC_API_PATHS = ['/health', '/auth/session'];
+
+// As partes de um upload não contam no limite por minuto: um arquivo grande
+// tem centenas delas e o upload em si já foi contado ao ser criado
+const isRateLimitExempt = (req) => req.method === 'PUT' && /^\/uploads\/[^/]+\/chunks\/\d+$/.test(req.path);
+
+const toPrincipal = (key) => ({ id: key.id, name: key.name, admin: false, ...apiKeys.limits(key) });
+
+// Compara os hashes, em tempo constante
+const isAdminSecret = (secret) => Boolean(AUTH.adminKey) && crypto.timingSafeEqual(
+  Buffer.from(hashApiKey(secret)),
+  Buffer.from(hashApiKey(AUTH.adminKey))
+);
+
+// Dono de uma chave (administrador ou chave emitida), ou null se ela não vale
+const principalFromSecret = (secret) => {
+  if (isAdminSecret(secret)) {
+    return ADMIN_PRINCIPAL;
+  }
+  const key = apiKeys.authenticate(secret);
+  return key ? toPrincipal(key) : null;
+};
+
+// Quem fez a requisição. undefined quando não há credencial (ou só uma sessão
+// vencida); null quando a chave enviada é inválida ou foi revogada.
+const resolvePrincipal = (req) => {
+  const authorization = req.get('authorization') || '';
+  const secret = req.get('x-api-key') || (/^bearer /i.test(authorization) ? authorization.slice(7).trim() : null);
+  if (secret) {
+    return principalFromSecret(secret);
+  }
+  const subject = sessions.verify(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  if (subject === 'admin') {
+    return AUTH.adminKey ? ADMIN_PRINCIPAL : undefined;
+  }
+  const key = subject ? apiKeys.get(subject) : null;
+  return key && !key.revokedAt ? toPrincipal(key) : undefined;
+};
+
+// Middleware de /api: identifica a chave (req.apiKey), aplica o limite de
+// requisições por minuto (por chave, ou por IP sem autenticação) e conta o uso
+const authenticateApi = (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  const principal = resolvePrincipal(req);
+  if (principal === null || (AUTH.enabled && !principal)) {
+    return res.status(401).json({
+      error: principal === null
+        ? 'Chave de API inválida ou revogada'
+        : 'Autenticação necessária: envie a chave de API em "Authorization: Bearer <chave>" ou "X-API-Key"',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+  req.apiKey = principal || null;
+
+  if (!principal?.admin && !isRateLimitExempt(req)) {
+    const limit = principal?.rateLimitPerMinute || AUTH.rateLimitPerMinute;
+    const rate = rateLimiter.hit(principal ? `key:${principal.id}` : `ip:${req.ip}`, limit);
+    res.setHeader('X-RateLimit-Limit', rate.limit);
+    res.setHeader('X-RateLimit-Remaining', rate.remaining);
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', rate.retryAfterSeconds);
+      return res.status(429).json({
+        error: `Limite de ${limit} requisições por minuto atingido. Tente de novo em ${rate.retryAfterSeconds}s.`,
+        code: 'RATE_LIMITED'
+      });
+    }
+  }
+
+  if (principal) {
+    apiKeys.recordRequest(principal.id);
+  }
+  next();
+};
+
+const remainingMinutes = (principal) => (
+  !principal || principal.admin ? Infinity : apiKeys.remainingMinutes(apiKeys.get(principal.id))
+);
+
+// Corpo da resposta 429 de cota esgotada
+const quotaError = (remaining, seconds) => ({
+  error: remaining > 0
+    ? `A mídia tem ${Math.ceil(seconds / 60)} min, mas restam ${(Math.floor(remaining * 10) / 10).toLocaleString('pt-BR')} min da cota de hoje`
+    : 'Cota diária de minutos transcritos esgotada',
+  code: 'QUOTA_EXCEEDED',
+  remainingMinutes: Math.floor(remaining * 100) / 100
 });
 
+// Corpo da resposta 429 se `seconds` de áudio não couberem no que resta da
+// cota de hoje (já descontados os minutos reservados pelos jobs em andamento);
+// null se couberem
+const quotaExceeded = (req, seconds = 0) => {
+  const remaining = remainingMinutes(req.apiKey);
+  return remaining > 0 && seconds / 60 <= remaining ? null : quotaError(remaining, seconds);
+};
+
+// Confere a cota e reserva `seconds` para um job que vai para a fila, para que
+// requisições em paralelo e lotes não passem juntos do limite. Devolve
+// { exceeded } com o corpo da resposta 429 ou { reservation } (null para o
+// administrador e sem autenticação), liberada por followJob quando o job termina.
+// Não pode haver `await` entre esta conferência e a reserva.
+const reserveQuota = (req, seconds) => {
+  const exceeded = quotaExceeded(req, seconds);
+  if (exceeded) {
+    return { exceeded };
+  }
+  const principal = req.apiKey;
+  return { reservation: principal && !principal.admin ? apiKeys.reserve(principal.id, seconds / 60) : null };
+};
+
+// Reservas feitas pelos próprios jobs: links só têm a duração conhecida depois
+// do download. { [id do job]: token da reserva }
+const jobReservations = new Map();
+
+// Registra a duração medida no job e reserva os minutos na cota do dono; o
+// job falha com QUOTA_EXCEEDED se a mídia não couber no que resta
+const holdJobQuota = (job, seconds) => {
+  usageLog.noteMedia(job.id, seconds);
+  const key = job.ownerId && apiKeys.get(job.ownerId);
+  if (!key || !seconds) {
+    return;
+  }
+  const remaining = apiKeys.remainingMinutes(key);
+  if (seconds / 60 > remaining) {
+    throw Object.assign(new Error(quotaError(remaining, seconds).error), { code: 'QUOTA_EXCEEDED' });
+  }
+  jobReservations.set(job.id, apiKeys.reserve(key.id, seconds / 60));
+};
+
+// Recusa novas transcrições de quem já esgotou a cota do dia
+const requireQuota = (req, res, next) => {
+  const exceeded = quotaExceeded(req);
+  if (exceeded) {
+    return res.status(429).json(exceeded);
+  }
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.apiKey?.admin) {
+    return res.status(403).json({ error: 'Rota restrita ao administrador (ADMIN_API_KEY)', code: 'ADMIN_REQUIRED' });
+  }
+  next();
+};
+
+// Jobs, lotes, uploads, transcrições e listas de vocabulário guardam o id da
+// chave que os criou. Cada chave só enxerga os seus; o administrador e as
+// requisições sem chave (autenticação desligada) enxergam todos.
+const ownerIdOf = (req) => req.apiKey?.id || null;
+
+const canAccess = (req, resource) => !req.apiKey || req.apiKey.admin || (resource.ownerId ?? null) === req.apiKey.id;
+
+// Filtro de dono para as listagens (undefined = sem filtro)
+const ownerFilter = (req) => (!req.apiKey || req.apiKey.admin ? undefined : req.apiKey.id);
+
+// Recursos de outra chave são tratados como inexistentes (404)
+const visibleJob = (req, id) => {
+  const job = jobQueue.get(id);
+  return job && canAccess(req, job) ? job : null;
+};
+
+const visibleBatch = (req, id) => {
+  const batch = batches.get(id);
+  return batch && canAccess(req, batch) ? batch : null;
+};
+
+const visibleUpload = async (req, id) => {
+  const upload = await chunkedUploads.get(id);
+  return upload && canAccess(req, upload) ? upload : null;
+};
+
+const visibleTranscript = async (req, id) => {
+  const record = await library.get(id);
+  return record && canAccess(req, record) ? record : null;
+};
+
+const visibleVocabulary = (req, id) => {
+  const vocabulary = vocabularies.get(id);
+  return vocabulary && canAccess(req, vocabulary) ? vocabulary : null;
+};
+
+// Acompanha um job criado por uma requisição: envia o webhook de conclusão,
+// registra uso e custo e lança os minutos transcritos na cota de quem pediu
+// (o cache e os jobs com falha não contam), no lugar dos minutos reservados
+const followJob = (req, job, transcriptionOptions, callback, { reservation = null } = {}) => {
+  webhooks.watch(job.id, callback);
+  const principal = req.apiKey;
+  jobQueue.whenFinished(job.id, (finished) => {
+    apiKeys.release(reservation);
+    apiKeys.release(jobReservations.get(job.id));
+    jobReservations.delete(job.id);
+    const entry = usageLog.record(finished, {
+      user: principal ? { id: principal.id, name: principal.name } : null,
+      provider: transcriptionOptions.provider || transcriptionProviders.defaultName
+    });
+    if (principal) {
+      apiKeys.recordJob(principal.id, entry.billedSeconds / 60);
+    }
+  });
+};
+
+// Dados de quem está autenticado, para a interface
+const describePrincipal = (principal) => {
+  if (!principal) return null;
+  const remaining = remainingMinutes(principal);
+  return {
+    id: principal.id,
+    name: principal.name,
+    admin: principal.admin,
+    dailyMinutes: principal.dailyMinutes || null,
+    usageToday: principal.admin ? null : apiKeys.usageOn(principal.id),
+    remainingMinutes: Number.isFinite(remaining) ? Math.floor(remaining * 100) / 100 : null
+  };
+};
+
 // =============================================
-// FUNÇÕES AUXILIARES (sem alteração)
+// FUNÇÕES AUXILIARES
 // =============================================
 
-const convertVideoToAudio = (inputPath, outputPath) => {
+// Job "vazio" usado quando as funções auxiliares rodam fora da fila
+const noopJob = { setStage: () => {}, setProgress: () => {} };
+
+// Converte "HH:MM:SS.ms" (formato do ffmpeg) em segundos
+const timemarkToSeconds = (timemark) => {
+  return String(timemark).split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// `preprocessing` (ver lib/preprocessing.js) corta o trecho, escolhe a faixa de
+// áudio e aplica os filtros; o limite de duração vale para o trecho cortado
+const convertVideoToAudio = (inputPath, outputPath, job = noopJob, { maxDurationSeconds = null, preprocessing = null } = {}) => {
   return new Promise((resolve, reject) => {
     const isWav = outputPath.endsWith('.wav');
+    const { trimStart = 0, trimEnd = null, audioTrack = null, filters = [] } = preprocessing || {};
+    let rejectedByLimit = false;
+    let expectedSeconds = null;
     
     let command = ffmpeg(inputPath)
       .audioFrequency(16000)
@@ -59,20 +499,50 @@ const convertVideoToAudio = (inputPath, outputPath) => {
       .on('start', (commandLine) => {
         console.log('FFmpeg iniciado:', commandLine);
       })
+      .on('codecData', (data) => {
+        const durationSeconds = timemarkToSeconds(data.duration);
+        if (!Number.isFinite(durationSeconds)) {
+          return;
+        }
+        if (trimStart >= durationSeconds) {
+          rejectedByLimit = true;
+          command.kill('SIGKILL');
+          return reject(new Error(`O início do corte (${trimStart}s) passa do fim da mídia (${Math.round(durationSeconds)}s)`));
+        }
+        expectedSeconds = Math.min(trimEnd ?? durationSeconds, durationSeconds) - trimStart;
+        if (maxDurationSeconds && expectedSeconds > maxDurationSeconds) {
+          rejectedByLimit = true;
+          command.kill('SIGKILL');
+          reject(new Error(`Mídia muito longa: ${Math.round(expectedSeconds / 60)} min (máximo: ${Math.round(maxDurationSeconds / 60)} min)`));
+        }
+      })
       .on('progress', (progress) => {
-        console.log(`Progresso: ${Math.round(progress.percent || 0)}%`);
+        // Com corte, o percentual do fluent-ffmpeg (sobre a mídia inteira) não serve
+        const rawPercent = expectedSeconds
+          ? (timemarkToSeconds(progress.timemark) / expectedSeconds) * 100
+          : progress.percent;
+        const percent = Math.min(100, Math.max(0, Math.round(rawPercent || 0)));
+        console.log(`Progresso: ${percent}%`);
+        job.setProgress({ percent, timemark: progress.timemark });
       })
       .on('end', () => {
         console.log('Conversão concluída:', outputPath);
         resolve(outputPath);
       })
       .on('error', (err) => {
+        if (rejectedByLimit) {
+          return;
+        }
         console.error('Erro na conversão:', err);
+
+        if (audioTrack !== null && /matches no streams/.test(err.message)) {
+          return reject(new Error(`Faixa de áudio ${audioTrack} não encontrada na mídia`));
+        }
         
         if (!isWav && outputPath.endsWith('.mp3')) {
           console.log('Tentando conversão para WAV...');
           const wavPath = outputPath.replace('.mp3', '.wav');
-          convertVideoToAudio(inputPath, wavPath)
+          convertVideoToAudio(inputPath, wavPath, job, { maxDurationSeconds, preprocessing })
             .then(resolve)
             .catch(reject);
         } else {
@@ -80,6 +550,19 @@ const convertVideoToAudio = (inputPath, outputPath) => {
         }
       });
 
+    if (trimStart) {
+      command.seekInput(trimStart);
+    }
+    if (trimEnd !== null) {
+      command.duration(trimEnd - trimStart);
+    }
+    if (audioTrack !== null) {
+      command.outputOptions(['-map', `0:a:${audioTrack}`]);
+    }
+    if (filters.length > 0) {
+      command.audioFilters(buildFilterChain(filters));
+    }
+
     if (isWav) {
       command
         .audioCodec('pcm_s16le')
@@ -102,6 +585,39 @@ const convertVideoToAudio = (inputPath, outputPath) => {
   });
 };
 
+// Grava uma stream de download em disco, reportando os bytes recebidos ao job.
+// Com `maxBytes`, o download é interrompido assim que passar do limite.
+const downloadToFile = (readable, destPath, { job = noopJob, totalBytes = null, maxBytes = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (maxBytes && totalBytes && totalBytes > maxBytes) {
+      readable.destroy();
+      return reject(new Error(`Arquivo muito grande: ${(totalBytes / 1024 / 1024).toFixed(0)}MB (máximo: ${(maxBytes / 1024 / 1024).toFixed(0)}MB)`));
+    }
+
+    const writeStream = fs.createWriteStream(destPath);
+    let downloadedBytes = 0;
+
+    readable.on('data', (chunk) => {
+      downloadedBytes += chunk.length;
+      if (maxBytes && downloadedBytes > maxBytes) {
+        readable.unpipe(writeStream);
+        readable.destroy();
+        writeStream.destroy();
+        return reject(new Error(`Download excedeu o limite de ${(maxBytes / 1024 / 1024).toFixed(0)}MB`));
+      }
+      job.setProgress({
+        downloadedBytes,
+        ...(totalBytes ? { totalBytes, percent: Math.round((downloadedBytes / totalBytes) * 100) } : {})
+      });
+    });
+    readable.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('finish', () => resolve(downloadedBytes));
+
+    readable.pipe(writeStream);
+  });
+};
+
 const cleanupFile = (filePath) => {
   try {
     if (fs.existsSync(filePath)) {
@@ -113,174 +629,366 @@ const cleanupFile = (filePath) => {
   }
 };
 
-const uploadToAssemblyAI = async (filePath) => {
+const transcribeAudio = async (filePath, options = {}, job = noopJob) => {
   try {
-    console.log('Fazendo upload para AssemblyAI...');
-    const fileData = fs.readFileSync(filePath);
-    const response = await fetch(`${ASSEMBLYAI_BASE_URL}/upload`, {
-      method: 'POST',
-      headers: {
-        'authorization': ASSEMBLYAI_API_KEY,
-        'content-type': 'application/octet-stream'
-      },
-      body: fileData
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Erro no upload: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    console.log('Upload concluído:', data.upload_url);
-    return data.upload_url;
+    const provider = transcriptionProviders.get(options.provider || transcriptionProviders.defaultName);
+    console.log(`Transcrevendo com ${provider.label}...`);
+    const nativeInsights = Boolean(options.insights) && INSIGHTS.backend === 'auto'
+      && Boolean(provider.supportsInsights?.(options.language));
+    const result = await provider.transcribe(filePath, { ...options, nativeInsights }, job);
+    // Grafias da lista de vocabulário que o provedor não aplicou por conta própria
+    const spellings = options.vocabulary
+      ? options.vocabulary.spellings.filter(spelling => !provider.supportsVocabulary || !isNativeSpelling(spelling))
+      : [];
+    return { ...applySpellings(result, spellings), provider: provider.name };
   } catch (error) {
-    console.error('Erro no upload:', error);
+    console.error('Erro na transcrição:', error);
     throw error;
   }
 };
 
-const startTranscription = async (audioUrl, options = {}) => {
-  try {
-    console.log('Iniciando transcrição...');
-    const transcriptRequest = {
-      audio_url: audioUrl,
-      language_detection: !options.language || options.language === 'auto',
-      punctuate: true,
-      format_text: true,
-      ...options
-    };
-
-    if (options.language && options.language !== 'auto') {
-      transcriptRequest.language_code = options.language;
-      delete transcriptRequest.language_detection;
+// Monta as opções de transcrição a partir do corpo da requisição.
+// `speakers` liga a separação por falantes: 'auto' ou a quantidade esperada (1-10).
+// `provider` escolhe o provedor de transcrição (padrão: TRANSCRIPTION_PROVIDER).
+// `segmentation` ('auto', 'on' ou 'off') sobrescreve SEGMENTATION_MODE.
+// `trimStart`, `trimEnd`, `audioTrack` e `filters` definem o pré-processamento do áudio.
+// `vocabularyId` escolhe uma lista de vocabulário (copiada para as opções do job);
+// com `req`, só vale uma lista visível à chave da requisição.
+// `insights` (true ou 'true') pede resumo, capítulos e palavras-chave.
+// `force` (true ou 'true') ignora o cache e transcreve de novo.
+const buildTranscriptionOptions = ({ language, speakers, provider, segmentation, trimStart, trimEnd, audioTrack, filters, vocabularyId, insights, force } = {}, req = {}) => {
+  const options = {};
+  if (language && language !== 'auto') {
+    options.language = language;
+  }
+  if (speakers !== undefined && speakers !== null && speakers !== '' && speakers !== 'off') {
+    options.speakerLabels = true;
+    if (speakers !== 'auto') {
+      const count = Number(speakers);
+      if (!Number.isInteger(count) || count < 1 || count > 10) {
+        throw new Error(`Quantidade de falantes inválida: ${speakers}. Use 'auto' ou um número entre 1 e 10`);
+      }
+      options.speakersExpected = count;
+    }
+  }
+  if (provider) {
+    const selected = transcriptionProviders.get(String(provider).toLowerCase());
+    if (!selected) {
+      throw new Error(`Provedor de transcrição desconhecido: ${provider}`);
+    }
+    if (!selected.isAvailable()) {
+      throw new Error(`Provedor de transcrição não configurado neste servidor: ${selected.label}`);
+    }
+    options.provider = selected.name;
+  }
+  if (segmentation) {
+    if (!SEGMENTATION_MODES.includes(segmentation)) {
+      throw new Error(`Modo de segmentação inválido: ${segmentation}. Use ${SEGMENTATION_MODES.join(', ')}`);
+    }
+    options.segmentation = segmentation;
+  }
+  const preprocessing = parsePreprocessingOptions({ trimStart, trimEnd, audioTrack, filters });
+  if (preprocessing) {
+    options.preprocessing = preprocessing;
+  }
+  if (vocabularyId) {
+    const vocabulary = visibleVocabulary(req, String(vocabularyId));
+    if (!vocabulary) {
+      throw new Error(`Lista de vocabulário não encontrada: ${vocabularyId}`);
     }
+    const { id, name, boostTerms, boostParam, spellings } = vocabulary;
+    options.vocabulary = { id, name, boostTerms, boostParam, spellings };
+  }
+  if (insights === true || insights === 'true') {
+    options.insights = true;
+  }
+  if (force === true || force === 'true') {
+    options.force = true;
+  }
+  return options;
+};
 
-    const response = await fetch(`${ASSEMBLYAI_BASE_URL}/transcript`, {
-      method: 'POST',
-      headers: {
-        'authorization': ASSEMBLYAI_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(transcriptRequest)
-    });
+// Monta a resposta enviada ao cliente a partir do resultado da transcrição
+const toTranscriptionResponse = (result) => ({
+  transcription: result.text,
+  confidence: result.confidence,
+  language_detected: result.language_code,
+  duration: result.audio_duration ?? null,
+  provider: result.provider,
+  simulated: result.provider === 'mock',
+  words: result.words || [],
+  utterances: (result.utterances || []).map(({ speaker, text, start, end, confidence }) => ({
+    speaker,
+    text,
+    start,
+    end,
+    confidence
+  })),
+  insights: result.insights || null
+});
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Erro ao iniciar transcrição: ${response.status} - ${errorText}`);
-    }
+// Gera uma cópia MP3 leve do áudio convertido para o player do editor.
+// Retorna o nome do arquivo em MEDIA_DIR, ou null se a cópia falhar.
+const savePlaybackAudio = (convertedPath, job) => {
+  return new Promise((resolve) => {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    const fileName = `${job.id}.mp3`;
+    ffmpeg(convertedPath)
+      .audioCodec('libmp3lame')
+      .audioBitrate('48k')
+      .format('mp3')
+      .on('end', () => resolve(fileName))
+      .on('error', (err) => {
+        console.error('Erro ao gerar áudio para o player:', err);
+        resolve(null);
+      })
+      .save(path.join(MEDIA_DIR, fileName));
+  });
+};
 
-    const data = await response.json();
-    console.log('Transcrição iniciada:', data.id);
-    return data.id;
-  } catch (error) {
-    console.error('Erro ao iniciar transcrição:', error);
-    throw error;
+// Decide se o áudio convertido deve ser transcrito em trechos. No modo 'auto',
+// áudios com separação de falantes seguem inteiros: os rótulos (A, B...) de
+// trechos diferentes não correspondem às mesmas pessoas.
+const shouldSegment = (durationSeconds, options) => {
+  const mode = options.segmentation || SEGMENTATION.mode;
+  if (mode !== 'auto') {
+    return mode === 'on';
+  }
+  if (options.speakerLabels) {
+    return false;
   }
+  return durationSeconds !== null && durationSeconds >= SEGMENTATION.minSeconds;
 };
 
-const waitForTranscription = async (transcriptId) => {
+// Duração do WAV convertido (lida só do cabeçalho), ou null se não der para ler
+const readConvertedDuration = (convertedPath) => {
   try {
-    console.log('Aguardando conclusão da transcrição...');
-    while (true) {
-      const response = await fetch(`${ASSEMBLYAI_BASE_URL}/transcript/${transcriptId}`, {
-        headers: {
-          'authorization': ASSEMBLYAI_API_KEY
-        }
-      });
+    return readWavDuration(convertedPath);
+  } catch (error) {
+    console.error('Erro ao ler a duração do áudio:', error);
+    return null;
+  }
+};
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Erro ao verificar status: ${response.status} - ${errorText}`);
-      }
+// Tempo estimado de processamento para o provedor e a segmentação que seriam usados
+const estimateProcessingTime = (durationSeconds, options) => {
+  const provider = transcriptionProviders.get(options.provider || transcriptionProviders.defaultName);
+  const segmented = shouldSegment(durationSeconds, options);
+  return estimateProcessingSeconds(durationSeconds, {
+    realtimeFactor: provider.realtimeFactor,
+    parallelism: segmented ? SEGMENTATION.concurrency : 1
+  });
+};
 
-      const data = await response.json();
-      console.log('Status da transcrição:', data.status);
+// Transcreve o áudio em trechos cortados nos silêncios, em paralelo, e une o resultado
+const transcribeSegmented = async (convertedPath, options, job) => {
+  // Cada trecho usa o provedor sem mexer na etapa do job; o progresso é por trecho
+  const segmentJob = { id: job.id, setStage: () => {}, setProgress: () => {} };
+  const provider = transcriptionProviders.get(options.provider || transcriptionProviders.defaultName);
+  const result = await transcribeInSegments({
+    audioPath: convertedPath,
+    workDir: path.join('uploads', `${job.id}_segments`),
+    // Resumo e capítulos saem da transcrição unida, nunca de cada trecho
+    transcribe: (segmentPath) => transcribeAudio(segmentPath, { ...options, insights: false }, segmentJob),
+    job,
+    targetSeconds: SEGMENTATION.targetSeconds,
+    concurrency: SEGMENTATION.concurrency,
+    maxRetries: SEGMENTATION.maxRetries
+  });
+  return { ...result, provider: provider.name };
+};
 
-      if (data.status === 'completed') {
-        console.log('Transcrição concluída!');
-        return data;
-      } else if (data.status === 'error') {
-        throw new Error(`Erro na transcrição: ${data.error}`);
-      }
+// Chave do cache: tipo da impressão digital, a impressão e as opções (com o
+// provedor padrão explícito, para que trocar o padrão não devolva outro resultado).
+// Com `ownerId`, a chave é só daquele dono: uma chave de API não recebe a
+// transcrição (nem a edição) de outra.
+const transcriptCacheKey = (kind, fingerprint, options, ownerId = null) => (
+  `${kind}:${fingerprint}:${optionsFingerprint({ ...options, provider: options.provider || transcriptionProviders.defaultName })}`
+  + (ownerId ? `:${ownerId}` : '')
+);
 
-      await new Promise(resolve => setTimeout(resolve, 3000));
-    }
-  } catch (error) {
-    console.error('Erro ao aguardar transcrição:', error);
-    throw error;
-  }
+// Estado do cache para uma transcrição que não veio dele
+const cacheMissStatus = (options) => {
+  if (!CACHE.enabled) return 'off';
+  return options.force ? 'bypass' : 'miss';
 };
 
-const transcribeAudio = async (filePath, options = {}) => {
+// Resultado de job montado a partir de uma transcrição salva (acerto no cache)
+const toCachedResult = ({ record, entry }) => ({
+  transcription: record.text,
+  confidence: record.confidence,
+  language_detected: record.language,
+  duration: record.duration,
+  provider: record.provider,
+  simulated: record.provider === 'mock',
+  words: record.words,
+  utterances: record.utterances || [],
+  insights: record.insights || null,
+  mediaOffset: record.mediaOffset || 0,
+  transcriptId: record.id,
+  mediaUrl: record.mediaFile ? `/api/transcripts/${record.id}/media` : null,
+  cache: { status: 'hit', cachedAt: entry.createdAt }
+});
+
+// Procura o áudio convertido no cache pelo hash do conteúdo. Devolve o resultado
+// salvo (acerto) ou a chave para guardar o novo resultado. Sem cache, ou se o
+// hash falhar, devolve só as chaves já conhecidas.
+const lookupAudioCache = async (convertedPath, options, cacheKeys, ownerId) => {
+  if (!CACHE.enabled) {
+    return { cached: null, cacheKeys };
+  }
+  let audioKey;
   try {
-    if (ASSEMBLYAI_API_KEY === 'sua-chave-aqui') {
-      return {
-        text: `Transcrição simulada usando AssemblyAI para o arquivo: ${path.basename(filePath)}\n\nEsta é uma demonstração. Para funcionar de verdade, você precisa configurar sua chave da AssemblyAI nas variáveis de ambiente.`,
-        confidence: 0.95,
-        language_code: options.language || 'pt'
-      };
-    }
-    const audioUrl = await uploadToAssemblyAI(filePath);
-    const transcriptId = await startTranscription(audioUrl, options);
-    const result = await waitForTranscription(transcriptId);
-    return {
-      text: result.text,
-      confidence: result.confidence,
-      language_code: result.language_code,
-      words: result.words,
-      utterances: result.utterances
-    };
+    audioKey = transcriptCacheKey('audio', await hashFile(convertedPath), options, ownerId);
   } catch (error) {
-    console.error('Erro na transcrição:', error);
-    throw error;
+    console.error('Erro ao calcular o hash do áudio:', error);
+    return { cached: null, cacheKeys };
   }
+  const cached = options.force ? null : await transcriptCache.lookup(audioKey);
+  return { cached, cacheKeys: [...cacheKeys, audioKey] };
 };
 
-const validateMediaFile = (filePath, originalName) => {
-  return new Promise((resolve, reject) => {
-    if (!fs.existsSync(filePath)) {
-      return reject(new Error('Arquivo não encontrado'));
-    }
-    const stats = fs.statSync(filePath);
-    if (stats.size === 0) {
-      return reject(new Error('Arquivo está vazio'));
-    }
-    const allowedExtensions = ['.mp4', '.avi', '.mov', '.mkv', '.webm', '.mp3', '.wav', '.m4a', '.aac', '.flac'];
-    const extension = path.extname(originalName).toLowerCase();
-    
-    if (!allowedExtensions.includes(extension)) {
-      return reject(new Error(`Formato não suportado: ${extension}. Formatos aceitos: ${allowedExtensions.join(', ')}`));
-    }
-    console.log(`Arquivo validado: ${originalName} (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
-    resolve({
-      size: stats.size,
-      extension: extension,
-      name: originalName
+// Transcreve o áudio já convertido e guarda a cópia para reprodução.
+// Com corte, os tempos voltam a ser relativos à mídia original e `mediaOffset`
+// indica onde começa o áudio de reprodução (que contém só o trecho cortado).
+// `cacheKeys` são chaves já calculadas (ex.: id do YouTube) que também devem
+// apontar para o resultado; a do hash do áudio é acrescentada aqui.
+const transcribeConvertedAudio = async (convertedPath, options, job, { cacheKeys: knownKeys = [] } = {}) => {
+  const { cached, cacheKeys } = await lookupAudioCache(convertedPath, options, knownKeys, job.ownerId);
+  if (cached) {
+    console.log(`Job ${job.id}: áudio já transcrito (cache), usando a transcrição ${cached.record.id}`);
+    return toCachedResult(cached);
+  }
+
+  const result = shouldSegment(readConvertedDuration(convertedPath), options)
+    ? await transcribeSegmented(convertedPath, options, job)
+    : await transcribeAudio(convertedPath, options, job);
+  const mediaFile = await savePlaybackAudio(convertedPath, job);
+  const offsetSeconds = options.preprocessing?.trimStart || 0;
+  const response = offsetTimestamps(toTranscriptionResponse(result), Math.round(offsetSeconds * 1000));
+  return {
+    ...response,
+    insights: options.insights ? response.insights || buildLocalInsights(response) : null,
+    mediaFile,
+    mediaOffset: offsetSeconds,
+    cache: { status: cacheMissStatus(options) },
+    cacheKeys
+  };
+};
+
+// Resumo, capítulos e palavras-chave pelo algoritmo local. Uma falha aqui não
+// descarta a transcrição: o resultado segue sem `insights`.
+const buildLocalInsights = (response) => {
+  try {
+    const insights = generateLocalInsights({ text: response.transcription, words: response.words }, {
+      language: response.language_detected,
+      chapterSeconds: INSIGHTS.chapterSeconds
     });
-  });
+    console.log(`Resumo local: ${insights.chapters.length} capítulo(s), ${insights.keyPhrases.length} palavra(s)-chave`);
+    return insights;
+  } catch (error) {
+    console.error('Erro ao gerar resumo e capítulos:', error);
+    return null;
+  }
 };
 
-const translateText = async (text) => {
+// Salva o resultado de um job na biblioteca e devolve o resultado com o id salvo.
+// Uma falha ao salvar não descarta a transcrição: o resultado segue sem `transcriptId`.
+// Resultados vindos do cache já estão salvos; os novos passam a ocupar o cache.
+const saveToLibrary = async (job, { cacheKeys = [], ...result }) => {
+  if (result.cache?.status === 'hit') {
+    return result;
+  }
+  const source = { ...job.source, ...(result.source || {}) };
+  const words = result.words || [];
+  let record;
   try {
-    return `[TRADUÇÃO SIMULADA] ${text}`;
+    record = await library.save({
+      jobId: job.id,
+      ownerId: job.ownerId ?? null,
+      title: source.title || source.fileName || source.url || 'Transcrição',
+      sourceType: source.type || job.type,
+      source,
+      language: result.language_detected || null,
+      confidence: result.confidence ?? null,
+      provider: result.provider || null,
+      duration: result.duration ?? (words.length > 0 ? words[words.length - 1].end / 1000 : null),
+      text: result.transcription,
+      words,
+      utterances: result.utterances || [],
+      mediaFile: result.mediaFile || null,
+      mediaOffset: result.mediaOffset || 0,
+      insights: result.insights || null
+    });
   } catch (error) {
-    console.error('Erro na tradução:', error);
-    throw new Error('Falha ao traduzir o texto: ' + error.message);
+    console.error('Erro ao salvar transcrição na biblioteca:', error);
+    return result;
+  }
+  if (cacheKeys.length > 0) {
+    await transcriptCache.store(cacheKeys, record.id);
+  }
+  return {
+    ...result,
+    transcriptId: record.id,
+    mediaUrl: record.mediaFile ? `/api/transcripts/${record.id}/media` : null
+  };
+};
+
+const ALLOWED_EXTENSIONS = ['.mp4', '.avi', '.mov', '.mkv', '.webm', '.mp3', '.wav', '.m4a', '.aac', '.flac'];
+
+// Inspeciona a mídia com ffprobe e confere faixa de áudio, corte e duração máxima.
+// Lança erro com `code` (MEDIA_NO_AUDIO, MEDIA_TOO_LONG...) se não puder ser transcrita.
+const inspectMedia = async (input, preprocessing = null) => {
+  const info = await probeMedia(input);
+  const effectiveSeconds = validateProbe(info, { maxDurationSeconds: MAX_MEDIA_DURATION_SECONDS, preprocessing });
+  return { ...info, effectiveSeconds };
+};
+
+const validateMediaFile = async (filePath, originalName, { preprocessing = null } = {}) => {
+  if (!fs.existsSync(filePath)) {
+    throw new Error('Arquivo não encontrado');
+  }
+  const stats = fs.statSync(filePath);
+  if (stats.size === 0) {
+    throw new Error('Arquivo está vazio');
+  }
+  const extension = path.extname(originalName).toLowerCase();
+  
+  if (!ALLOWED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Formato não suportado: ${extension}. Formatos aceitos: ${ALLOWED_EXTENSIONS.join(', ')}`);
   }
+  const probe = await inspectMedia(filePath, preprocessing);
+  console.log(`Arquivo validado: ${originalName} (${(stats.size / 1024 / 1024).toFixed(2)}MB, ${probe.format}, ${probe.durationSeconds ? Math.round(probe.durationSeconds) + 's' : 'duração desconhecida'})`);
+  return {
+    size: stats.size,
+    extension: extension,
+    name: originalName,
+    probe
+  };
 };
 
-const formatText = async (text) => {
+const translateText = async (text, { source = 'auto', target = TRANSLATION_DEFAULT_TARGET } = {}) => {
   try {
-    const formatted = text
-      .split(/[.!?]+/)
-      .filter(sentence => sentence.trim().length > 0)
-      .map(sentence => sentence.trim())
-      .join('.\n\n');
-    return formatted + '.';
+    // A AssemblyAI retorna códigos regionais (ex.: en_us); os tradutores usam só o idioma
+    source = source.split(/[_-]/)[0];
+    const chunks = splitIntoChunks(text, TRANSLATION_CHUNK_SIZE);
+    console.log(`Traduzindo ${chunks.length} bloco(s) de ${source} para ${target} (${translationProvider.name})...`);
+    const translated = [];
+    for (const chunk of chunks) {
+      if (!chunk.trim()) {
+        translated.push(chunk);
+        continue;
+      }
+      const result = await translationProvider.translate(chunk, { source, target });
+      // Preserva o espaçamento e as quebras de linha nas pontas dos blocos, que
+      // os tradutores costumam descartar
+      translated.push(chunk.match(/^\s*/)[0] + result.trim() + chunk.match(/\s*$/)[0]);
+    }
+    const result = translated.join('');
+    return translationProvider.simulated ? `${SIMULATED_TRANSLATION_MARKER} ${result}` : result;
   } catch (error) {
-    console.error('Erro na formatação:', error);
-    throw new Error('Falha ao formatar o texto: ' + error.message);
+    console.error('Erro na tradução:', error);
+    throw new Error('Falha ao traduzir o texto: ' + error.message);
   }
 };
 
@@ -288,60 +996,148 @@ const formatText = async (text) => {
 // ROTAS DA API
 // =============================================
 
-// MUDANÇA 2: Rota do YouTube completamente substituída
-// Rota para transcrever YouTube com play-dl
-app.post('/api/transcribe-youtube', async (req, res) => {
-  let audioPath = null;
-  let convertedPath = null;
+// Coloca na fila a transcrição de um vídeo do YouTube (baixado com play-dl).
+// Com o vídeo no cache (mesmo id e mesmas opções), o job já nasce concluído.
+// `ownerId`: id da chave de API que pediu a transcrição.
+const enqueueYouTubeTranscription = async (url, transcriptionOptions, { source = { url }, ownerId = null } = {}) => {
+  const videoKey = CACHE.enabled ? transcriptCacheKey('youtube', play.extractID(url), transcriptionOptions, ownerId) : null;
+  if (videoKey && !transcriptionOptions.force) {
+    const cached = await transcriptCache.lookup(videoKey);
+    if (cached) {
+      console.log(`Vídeo do YouTube já transcrito (cache): ${url}`);
+      return jobQueue.complete('youtube', source, toCachedResult(cached), { ownerId });
+    }
+  }
 
-  try {
-    const { url, language } = req.body;
+  return jobQueue.enqueue('youtube', source, async (job) => {
+    let audioPath = null;
+    let convertedPath = null;
 
-    // Validar URL com play-dl
-    const validation = await play.validate(url);
-    if (validation !== 'yt_video') {
-      return res.status(400).json({ 
-        error: 'URL do YouTube inválida ou não suportada' 
+    try {
+      console.log('Processando YouTube com play-dl:', url);
+      job.setStage('downloading');
+
+      // Baixar áudio do YouTube
+      audioPath = `temp_youtube_${job.id}.webm`;
+      convertedPath = `temp_youtube_${job.id}.wav`;
+
+      // Obter informações e a stream do áudio
+      const stream = await play.stream(url, {
+        discordPlayerCompatibility: true // Opção que ajuda na estabilidade
       });
-    }
 
-    console.log('Processando YouTube com play-dl:', url);
+      await downloadToFile(stream.stream, audioPath, { job });
+      const probe = await inspectMedia(audioPath, transcriptionOptions.preprocessing);
+      usageLog.noteMedia(job.id, probe.effectiveSeconds);
 
-    // Baixar áudio do YouTube
-    audioPath = `temp_youtube_${Date.now()}.webm`;
-    convertedPath = `temp_youtube_${Date.now()}.wav`;
+      console.log('Áudio baixado, convertendo...');
+      job.setStage('converting');
 
-    // Obter informações e a stream do áudio
-    const stream = await play.stream(url, {
-      discordPlayerCompatibility: true // Opção que ajuda na estabilidade
-    });
+      // Converter para áudio compatível
+      await convertVideoToAudio(audioPath, convertedPath, job, { preprocessing: transcriptionOptions.preprocessing });
+
+      // Transcrever com AssemblyAI
+      return await transcribeConvertedAudio(convertedPath, transcriptionOptions, job, {
+        cacheKeys: videoKey ? [videoKey] : []
+      });
+    } catch (error) {
+      throw Object.assign(new Error('Erro ao processar vídeo do YouTube: ' + error.message), { code: error.code });
+    } finally {
+      // Limpar arquivos temporários
+      cleanupFile(audioPath);
+      cleanupFile(convertedPath);
+    }
+  }, { ownerId });
+};
+
+// Duração a transcrever de um vídeo do YouTube (com o corte), para a reserva da
+// cota. Os vídeos de playlist já vêm com a duração; sem ela, consulta o play-dl.
+const youtubeSeconds = async (video, preprocessing) => {
+  const durationSeconds = video.durationInSec || (await play.video_basic_info(video.url)).video_details.durationInSec || 0;
+  const { trimStart = 0, trimEnd = null } = preprocessing || {};
+  return Math.max(0, Math.min(trimEnd ?? durationSeconds, durationSeconds) - trimStart);
+};
 
-    const writeStream = fs.createWriteStream(audioPath);
-    stream.stream.pipe(writeStream);
+// MUDANÇA 2: Rota do YouTube completamente substituída
+// Rota para transcrever YouTube com play-dl (processamento em segundo plano).
+// Uma playlist vira um lote, com um job por vídeo.
+app.post('/api/transcribe-youtube', requireQuota, async (req, res) => {
+  try {
+    const { url } = req.body;
 
-    await new Promise((resolve, reject) => {
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
-      stream.stream.on('error', reject);
-    });
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Validar URL com play-dl
+    const validation = await play.validate(url);
 
-    console.log('Áudio baixado, convertendo...');
+    if (validation === 'yt_playlist') {
+      const playlist = await play.playlist_info(url, { incomplete: true });
+      const videos = (await playlist.all_videos()).slice(0, MAX_BATCH_ITEMS);
+      if (videos.length === 0) {
+        return res.status(400).json({ error: 'A playlist não tem vídeos disponíveis' });
+      }
 
-    // Converter para áudio compatível
-    await convertVideoToAudio(audioPath, convertedPath);
+      // A playlist inteira precisa caber na cota antes de qualquer vídeo entrar na fila
+      const durations = await Promise.all(videos.map(video => youtubeSeconds(video, transcriptionOptions.preprocessing)));
+      const exceeded = quotaExceeded(req, durations.reduce((total, seconds) => total + seconds, 0));
+      if (exceeded) {
+        return res.status(429).json(exceeded);
+      }
+      const reservations = durations.map(seconds => reserveQuota(req, seconds).reservation);
 
-    // Transcrever com AssemblyAI
-    const transcriptionOptions = {};
-    if (language && language !== 'auto') {
-      transcriptionOptions.language = language;
+      const items = await Promise.all(videos.map(async (video, index) => {
+        const reservation = reservations[index];
+        try {
+          const job = await enqueueYouTubeTranscription(video.url, transcriptionOptions, {
+            source: { url: video.url, title: video.title },
+            ownerId: ownerIdOf(req)
+          });
+          followJob(req, job, transcriptionOptions, callback, { reservation });
+          return { jobId: job.id, title: video.title || video.url };
+        } catch (error) {
+          apiKeys.release(reservation);
+          throw error;
+        }
+      }));
+      const batch = batches.create({
+        type: 'youtube_playlist',
+        title: playlist.title,
+        source: { url, totalVideos: playlist.videoCount ?? videos.length },
+        items,
+        ownerId: ownerIdOf(req)
+      });
+      return res.status(202).json({ batchId: batch.id, jobIds: items.map(item => item.jobId), total: batch.total });
     }
 
-    const result = await transcribeAudio(convertedPath, transcriptionOptions);
+    if (validation !== 'yt_video') {
+      return res.status(400).json({ 
+        error: 'URL do YouTube inválida ou não suportada' 
+      });
+    }
 
-    res.json({ 
-      transcription: result.text,
-      confidence: result.confidence,
-      language_detected: result.language_code
+    const { exceeded, reservation } = reserveQuota(req, await youtubeSeconds({ url }, transcriptionOptions.preprocessing));
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+    let job;
+    try {
+      job = await enqueueYouTubeTranscription(url, transcriptionOptions, { ownerId: ownerIdOf(req) });
+    } catch (error) {
+      apiKeys.release(reservation);
+      throw error;
+    }
+    followJob(req, job, transcriptionOptions, callback, { reservation });
+    res.status(job.stage === 'done' ? 200 : 202).json({
+      jobId: job.id,
+      stage: job.stage,
+      cache: job.result?.cache?.status || cacheMissStatus(transcriptionOptions)
     });
 
   } catch (error) {
@@ -349,26 +1145,70 @@ app.post('/api/transcribe-youtube', async (req, res) => {
     res.status(500).json({ 
       error: 'Erro ao processar vídeo do YouTube: ' + error.message 
     });
-  } finally {
-    // Limpar arquivos temporários
-    cleanupFile(audioPath);
-    cleanupFile(convertedPath);
   }
 });
 
 
-// Rota para transcrever Instagram (sem alteração)
-app.post('/api/transcribe-instagram', async (req, res) => {
+// Rota para transcrever Instagram (posts, Reels e IGTV públicos)
+app.post('/api/transcribe-instagram', requireQuota, async (req, res) => {
   try {
-    const { url, language } = req.body;
-    console.log('Processando Instagram:', url);
-    const transcription = `Transcrição simulada do Instagram usando AssemblyAI: ${url}\n\nEsta é uma demonstração. Para Instagram funcionar de verdade, você precisa implementar um downloader específico.`;
-    res.json({ 
-      transcription,
-      confidence: 0.95,
-      language_detected: language || 'pt'
-    });
-  } catch (error) {
+    const { url } = req.body;
+
+    try {
+      validateInstagramUrl(url);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, errorCode: error.code });
+    }
+
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const job = jobQueue.enqueue('instagram', { url }, async (job) => {
+      let videoPath = null;
+      let convertedPath = null;
+
+      try {
+        console.log('Processando Instagram:', url);
+        job.setStage('downloading');
+
+        const media = await resolveInstagramMedia(url, { fetchImpl: destinationGuard.fetch });
+        console.log(`Vídeo do Instagram encontrado (${media.kind} ${media.shortcode})`);
+
+        videoPath = `temp_instagram_${job.id}.mp4`;
+        convertedPath = `temp_instagram_${job.id}.wav`;
+
+        const response = await fetchInstagramVideo(media.videoUrl, { fetchImpl: destinationGuard.fetch });
+        const totalBytes = parseInt(response.headers.get('content-length'), 10) || null;
+        await downloadToFile(Readable.fromWeb(response.body), videoPath, {
+          job,
+          totalBytes,
+          maxBytes: MAX_DOWNLOAD_BYTES
+        });
+        const probe = await inspectMedia(videoPath, transcriptionOptions.preprocessing);
+        holdJobQuota(job, probe.effectiveSeconds);
+
+        console.log('Vídeo baixado, convertendo...');
+        job.setStage('converting');
+        await convertVideoToAudio(videoPath, convertedPath, job, { preprocessing: transcriptionOptions.preprocessing });
+
+        return await transcribeConvertedAudio(convertedPath, transcriptionOptions, job);
+      } catch (error) {
+        throw Object.assign(new Error('Erro ao processar vídeo do Instagram: ' + error.message), { code: error.code });
+      } finally {
+        cleanupFile(videoPath);
+        cleanupFile(convertedPath);
+      }
+    }, { ownerId: ownerIdOf(req) });
+
+    followJob(req, job, transcriptionOptions, callback);
+    res.status(202).json({ jobId: job.id, stage: job.stage });
+  } catch (error) {
     console.error('Erro Instagram:', error);
     res.status(500).json({ 
       error: 'Erro ao processar vídeo do Instagram: ' + error.message 
@@ -376,45 +1216,1063 @@ app.post('/api/transcribe-instagram', async (req, res) => {
   }
 });
 
-// Rota para upload de arquivo (sem alteração)
-app.post('/api/transcribe-file', upload.single('video'), async (req, res) => {
-  let convertedPath = null;
+// Rota para transcrever qualquer link: arquivos diretos, feeds RSS de podcast,
+// SoundCloud, YouTube e Instagram
+app.post('/api/transcribe-url', requireQuota, async (req, res) => {
+  try {
+    const { url, episode } = req.body;
+
+    const sourceType = await detectSourceType(url);
+    if (!sourceType) {
+      return res.status(400).json({ error: 'URL inválida. Use um link http(s).' });
+    }
+    if (sourceType === 'playlist') {
+      return res.status(400).json({ error: 'Listas de reprodução não são suportadas nesta rota' });
+    }
+    try {
+      if (sourceType === 'instagram') {
+        validateInstagramUrl(url);
+      } else if (sourceType === 'http') {
+        await destinationGuard.check(url);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message, errorCode: error.code });
+    }
+
+    const episodeNumber = episode === undefined || episode === '' ? 1 : Number(episode);
+    if (!Number.isInteger(episodeNumber) || episodeNumber < 1) {
+      return res.status(400).json({ error: 'Número do episódio inválido' });
+    }
+
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const job = jobQueue.enqueue('url', { url, sourceType }, async (job) => {
+      let mediaPath = null;
+      let convertedPath = null;
+
+      try {
+        console.log(`Processando link (${sourceType}):`, url);
+        job.setStage('downloading');
+
+        const media = await openMediaSource(url, { episode: episodeNumber, fetchImpl: destinationGuard.fetch });
+        job.setProgress({ sourceType: media.type, title: media.title });
+
+        if (media.durationSeconds && media.durationSeconds > MAX_MEDIA_DURATION_SECONDS) {
+          media.stream.destroy();
+          throw new Error(`Mídia muito longa: ${Math.round(media.durationSeconds / 60)} min (máximo: ${MAX_MEDIA_DURATION_SECONDS / 60} min)`);
+        }
+
+        mediaPath = `temp_url_${job.id}${media.extension}`;
+        convertedPath = `temp_url_${job.id}.wav`;
+
+        await downloadToFile(media.stream, mediaPath, {
+          job,
+          totalBytes: media.totalBytes,
+          maxBytes: MAX_DOWNLOAD_BYTES
+        });
+        const probe = await inspectMedia(mediaPath, transcriptionOptions.preprocessing);
+        holdJobQuota(job, probe.effectiveSeconds);
+
+        console.log('Mídia baixada, convertendo...');
+        job.setStage('converting');
+        await convertVideoToAudio(mediaPath, convertedPath, job, {
+          maxDurationSeconds: MAX_MEDIA_DURATION_SECONDS,
+          preprocessing: transcriptionOptions.preprocessing
+        });
+
+        const result = await transcribeConvertedAudio(convertedPath, transcriptionOptions, job);
+        return {
+          ...result,
+          source: { type: media.type, title: media.title, url }
+        };
+      } catch (error) {
+        throw Object.assign(new Error('Erro ao processar link: ' + error.message), { code: error.code });
+      } finally {
+        cleanupFile(mediaPath);
+        cleanupFile(convertedPath);
+      }
+    }, { ownerId: ownerIdOf(req) });
+
+    followJob(req, job, transcriptionOptions, callback);
+    res.status(202).json({ jobId: job.id, stage: job.stage, sourceType });
+  } catch (error) {
+    console.error('Erro link:', error);
+    res.status(500).json({ 
+      error: 'Erro ao processar link: ' + error.message 
+    });
+  }
+});
+
+// Coloca na fila a transcrição de um arquivo já recebido (upload simples ou em partes).
+// O arquivo é apagado ao final do job. `mediaSeconds`: duração medida na validação;
+// `ownerId`: id da chave de API que enviou o arquivo.
+const enqueueFileTranscription = (filePath, originalName, transcriptionOptions, { mediaSeconds = null, ownerId = null } = {}) => {
+  return jobQueue.enqueue('file', { fileName: originalName }, async (job) => {
+    usageLog.noteMedia(job.id, mediaSeconds);
+    let convertedPath = null;
+    try {
+      console.log('Processando arquivo:', originalName);
+      convertedPath = path.join('uploads', `${job.id}_converted.wav`);
+      console.log('Convertendo para áudio...');
+      job.setStage('converting');
+      await convertVideoToAudio(filePath, convertedPath, job, { preprocessing: transcriptionOptions.preprocessing });
+      return await transcribeConvertedAudio(convertedPath, transcriptionOptions, job);
+    } catch (error) {
+      throw Object.assign(new Error('Erro ao processar arquivo: ' + error.message), { code: error.code });
+    } finally {
+      cleanupFile(filePath);
+      cleanupFile(convertedPath);
+    }
+  }, { ownerId });
+};
+
+// Multer com erro em JSON (ex.: arquivo acima do limite ou arquivos demais)
+const withUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ 
+        error: `Arquivo muito grande (máximo: ${(MAX_UPLOAD_BYTES / 1024 / 1024).toFixed(0)}MB). Use o upload em partes para arquivos maiores.` 
+      });
+    }
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Envie no máximo ${MAX_BATCH_ITEMS} arquivos por lote` });
+    }
+    next(error);
+  });
+};
+
+const uploadSingle = (field) => withUploadErrors(upload.single(field));
+const uploadArray = (field) => withUploadErrors(upload.array(field, MAX_BATCH_ITEMS));
+
+// Rota para upload de arquivo (processamento em segundo plano)
+app.post('/api/transcribe-file', requireQuota, uploadSingle('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Nenhum arquivo enviado' });
     }
-    const language = req.body.language;
-    console.log('Processando arquivo:', req.file.filename);
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      cleanupFile(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+    let media;
     try {
-      await validateMediaFile(req.file.path, req.file.originalname);
+      media = await validateMediaFile(req.file.path, req.file.originalname, { preprocessing: transcriptionOptions.preprocessing });
     } catch (error) {
+      cleanupFile(req.file.path);
       return res.status(400).json({ 
-        error: 'Arquivo inválido: ' + error.message 
+        error: 'Arquivo inválido: ' + error.message,
+        code: error.code
       });
     }
-    const fileExtension = path.extname(req.file.filename);
-    const baseName = path.basename(req.file.filename, fileExtension);
-    convertedPath = path.join('uploads', `${baseName}_converted.wav`);
-    console.log('Convertendo para áudio...');
-    await convertVideoToAudio(req.file.path, convertedPath);
-    const transcriptionOptions = {};
-    if (language && language !== 'auto') {
-      transcriptionOptions.language = language;
+    const { exceeded, reservation } = reserveQuota(req, media.probe.effectiveSeconds || 0);
+    if (exceeded) {
+      cleanupFile(req.file.path);
+      return res.status(429).json(exceeded);
     }
-    const result = await transcribeAudio(convertedPath, transcriptionOptions);
-    res.json({ 
-      transcription: result.text,
-      confidence: result.confidence,
-      language_detected: result.language_code
+    const job = enqueueFileTranscription(req.file.path, req.file.originalname, transcriptionOptions, {
+      mediaSeconds: media.probe.effectiveSeconds,
+      ownerId: ownerIdOf(req)
     });
+    followJob(req, job, transcriptionOptions, callback, { reservation });
+    res.status(202).json({ jobId: job.id, stage: job.stage });
   } catch (error) {
     console.error('Erro arquivo:', error);
+    cleanupFile(req.file?.path);
     res.status(500).json({ 
       error: 'Erro ao processar arquivo: ' + error.message 
     });
+  }
+});
+
+// Rota para transcrever vários arquivos de uma vez (um job por arquivo, agrupados em lote)
+app.post('/api/transcribe-files', requireQuota, uploadArray('videos'), async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Nenhum arquivo enviado' });
+    }
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      files.forEach(file => cleanupFile(file.path));
+      return res.status(400).json({ error: error.message });
+    }
+    const durations = [];
+    try {
+      for (const file of files) {
+        const media = await validateMediaFile(file.path, file.originalname, { preprocessing: transcriptionOptions.preprocessing });
+        durations.push(media.probe.effectiveSeconds || 0);
+      }
+    } catch (error) {
+      files.forEach(file => cleanupFile(file.path));
+      return res.status(400).json({ 
+        error: 'Arquivo inválido: ' + error.message,
+        code: error.code
+      });
+    }
+    const exceeded = quotaExceeded(req, durations.reduce((total, seconds) => total + seconds, 0));
+    if (exceeded) {
+      files.forEach(file => cleanupFile(file.path));
+      return res.status(429).json(exceeded);
+    }
+    const items = files.map((file, index) => {
+      const { reservation } = reserveQuota(req, durations[index]);
+      const job = enqueueFileTranscription(file.path, file.originalname, transcriptionOptions, {
+        mediaSeconds: durations[index],
+        ownerId: ownerIdOf(req)
+      });
+      followJob(req, job, transcriptionOptions, callback, { reservation });
+      return { jobId: job.id, title: file.originalname };
+    });
+    const batch = batches.create({ type: 'files', title: req.body.title || null, items, ownerId: ownerIdOf(req) });
+    res.status(202).json({ batchId: batch.id, jobIds: items.map(item => item.jobId), total: batch.total });
+  } catch (error) {
+    console.error('Erro lote de arquivos:', error);
+    files.forEach(file => cleanupFile(file.path));
+    res.status(500).json({ 
+      error: 'Erro ao processar arquivos: ' + error.message 
+    });
+  }
+});
+
+// Responde com o status do erro de upload (400, 404, 409, 413, 422, 429) ou 500
+const sendUploadError = (res, error) => {
+  if (!error.status) {
+    console.error('Erro no upload em partes:', error);
+  }
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+// Rota para iniciar um upload em partes
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const { fileName, size, chunkSize } = req.body;
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return res.status(400).json({ error: `Formato não suportado: ${extension || 'sem extensão'}` });
+    }
+    res.status(201).json(await chunkedUploads.create({ fileName, size, chunkSize, ownerId: ownerIdOf(req) }));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Rota para consultar as partes já recebidas (usada para retomar o upload)
+app.get('/api/uploads/:id', async (req, res) => {
+  const status = await visibleUpload(req, req.params.id);
+  if (!status) {
+    return res.status(404).json({ error: 'Upload não encontrado' });
+  }
+  res.json(status);
+});
+
+// Rota para enviar uma parte: corpo binário + cabeçalho X-Chunk-Checksum (SHA-256 em hex)
+app.put(
+  '/api/uploads/:id/chunks/:index',
+  express.raw({ type: () => true, limit: chunkedUploads.maxChunkSize }),
+  async (req, res) => {
+    try {
+      if (!(await visibleUpload(req, req.params.id))) {
+        return res.status(404).json({ error: 'Upload não encontrado' });
+      }
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      res.json(await chunkedUploads.writeChunk(req.params.id, req.params.index, data, req.get('x-chunk-checksum')));
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  }
+);
+
+// Rota para finalizar o upload e iniciar a transcrição
+app.post('/api/uploads/:id/complete', requireQuota, async (req, res) => {
+  try {
+    if (!(await visibleUpload(req, req.params.id))) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+    let transcriptionOptions;
+    let callback;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+      callback = webhooks.parseCallback(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const file = await chunkedUploads.complete(req.params.id);
+    let media;
+    try {
+      media = await validateMediaFile(file.path, file.fileName, { preprocessing: transcriptionOptions.preprocessing });
+    } catch (error) {
+      cleanupFile(file.path);
+      return res.status(400).json({ error: 'Arquivo inválido: ' + error.message, code: error.code });
+    }
+    const { exceeded, reservation } = reserveQuota(req, media.probe.effectiveSeconds || 0);
+    if (exceeded) {
+      cleanupFile(file.path);
+      return res.status(429).json(exceeded);
+    }
+
+    const job = enqueueFileTranscription(file.path, file.fileName, transcriptionOptions, {
+      mediaSeconds: media.probe.effectiveSeconds,
+      ownerId: ownerIdOf(req)
+    });
+    followJob(req, job, transcriptionOptions, callback, { reservation });
+    res.status(202).json({ jobId: job.id, stage: job.stage });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Rota para cancelar um upload em partes
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    if (!(await visibleUpload(req, req.params.id))) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+    await chunkedUploads.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Informações da mídia para a rota de verificação: arquivo enviado, upload em
+// partes já completo ou link (YouTube via play-dl; arquivos diretos via ffprobe)
+const probeRequestMedia = async (req, preprocessing) => {
+  if (req.file) {
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      throw Object.assign(new Error(`Formato não suportado: ${extension}`), { status: 400 });
+    }
+    return { title: req.file.originalname, ...(await inspectMedia(req.file.path, preprocessing)) };
+  }
+
+  const { uploadId, url } = req.body;
+  if (uploadId) {
+    if (!(await visibleUpload(req, uploadId))) {
+      throw Object.assign(new Error('Upload não encontrado'), { status: 404 });
+    }
+    const file = await chunkedUploads.assembledFile(uploadId);
+    return { title: file.fileName, ...(await inspectMedia(file.path, preprocessing)) };
+  }
+
+  const sourceType = url ? await detectSourceType(url) : null;
+  if (sourceType === 'youtube') {
+    const { video_details: video } = await play.video_basic_info(url);
+    const durationSeconds = video.durationInSec || null;
+    const effectiveSeconds = validateProbe(
+      { durationSeconds, audioStreams: [{ track: 0 }] },
+      { maxDurationSeconds: MAX_MEDIA_DURATION_SECONDS, preprocessing }
+    );
+    return { title: video.title, durationSeconds, effectiveSeconds, audioStreams: [], videoStreams: [] };
+  }
+  if (sourceType === 'http') {
+    // O ffprobe não recebe a URL: ele seguiria redirecionamentos e listas HLS
+    // sem passar pelo filtro de destinos. A mídia é baixada antes, como na transcrição.
+    await destinationGuard.check(url);
+    const media = await openMediaSource(url, { fetchImpl: destinationGuard.fetch });
+    const mediaPath = `temp_probe_${crypto.randomUUID()}${media.extension}`;
+    try {
+      await downloadToFile(media.stream, mediaPath, { totalBytes: media.totalBytes, maxBytes: MAX_DOWNLOAD_BYTES });
+      return { title: media.title || url, ...(await inspectMedia(mediaPath, preprocessing)) };
+    } finally {
+      cleanupFile(mediaPath);
+    }
+  }
+  if (sourceType) {
+    throw Object.assign(new Error('Verificação prévia não disponível para este tipo de link'), { status: 400 });
+  }
+  throw Object.assign(new Error('Envie um arquivo (video), um uploadId ou uma url'), { status: 400 });
+};
+
+// Status dos erros da origem do link (rede, feed, download) na verificação prévia;
+// 422 fica reservado para a mídia recusada pela validação (códigos MEDIA_*)
+const SOURCE_ERROR_STATUS = {
+  INVALID_URL: 400,
+  DESTINATION_BLOCKED: 400,
+  UNSUPPORTED_SOURCE: 400,
+  FEED_EPISODE_NOT_FOUND: 404,
+  FEED_NO_ENCLOSURE: 404,
+  FEED_TOO_LARGE: 413,
+  DESTINATION_UNRESOLVED: 502,
+  TOO_MANY_REDIRECTS: 502,
+  SOURCE_UNAVAILABLE: 502
+};
+
+// Rota para verificar a mídia antes de transcrever: contêiner, faixas de áudio,
+// duração e tempo estimado de processamento
+app.post('/api/probe', uploadSingle('video'), async (req, res) => {
+  try {
+    let transcriptionOptions;
+    try {
+      transcriptionOptions = buildTranscriptionOptions(req.body, req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const info = await probeRequestMedia(req, transcriptionOptions.preprocessing);
+    res.json({
+      ...info,
+      segmented: shouldSegment(info.effectiveSeconds, transcriptionOptions),
+      estimatedProcessingSeconds: estimateProcessingTime(info.effectiveSeconds, transcriptionOptions)
+    });
+  } catch (error) {
+    if (error.code?.startsWith('MEDIA_')) {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+    const status = error.status || SOURCE_ERROR_STATUS[error.code];
+    if (!status) {
+      console.error('Erro na verificação da mídia:', error);
+    }
+    res.status(status || 500).json({ 
+      error: status ? error.message : 'Erro ao verificar mídia: ' + error.message,
+      code: error.code
+    });
   } finally {
     cleanupFile(req.file?.path);
-    cleanupFile(convertedPath);
+  }
+});
+
+// Rota para consultar o andamento de um job de transcrição
+app.get('/api/jobs/:id', (req, res) => {
+  const job = visibleJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado' });
+  }
+  res.json(job);
+});
+
+// Rota para acompanhar um job em tempo real via Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = visibleJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (snapshot) => {
+    res.write(`event: update\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (jobQueue.isFinished(snapshot)) {
+      close();
+      res.end();
+    }
+  };
+
+  // Comentário periódico para evitar que proxies fechem a conexão ociosa
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobQueue.subscribe(job.id, send);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', close);
+  send(job);
+});
+
+// Gera e envia as legendas a partir das palavras, com os limites da query string
+const sendSubtitles = (req, res, words, fileBaseName) => {
+  const format = (req.query.format || 'srt').toLowerCase();
+  const subtitleFormat = SUBTITLE_FORMATS[format];
+  if (!subtitleFormat) {
+    return res.status(400).json({ 
+      error: `Formato de legenda não suportado: ${format}. Formatos aceitos: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` 
+    });
+  }
+
+  if (!words || words.length === 0) {
+    return res.status(422).json({ error: 'Esta transcrição não possui marcações de tempo por palavra' });
+  }
+
+  const limits = { ...SUBTITLE_LIMITS };
+  for (const key of Object.keys(limits)) {
+    const value = parseInt(req.query[key], 10);
+    if (value > 0) {
+      limits[key] = value;
+    }
+  }
+
+  const cues = buildCues(words, limits);
+  res.setHeader('Content-Type', subtitleFormat.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileBaseName}.${format}"`);
+  res.send(subtitleFormat.render(cues));
+};
+
+// Rota para baixar legendas (SRT ou WebVTT) de um job concluído
+app.get('/api/jobs/:id/subtitles', (req, res) => {
+  const job = visibleJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado' });
+  }
+  if (job.stage !== 'done') {
+    return res.status(409).json({ error: 'A transcrição ainda não foi concluída' });
+  }
+  sendSubtitles(req, res, job.result.words, `transcricao-${job.id}`);
+});
+
+// Rota para agrupar em um lote jobs já criados (ex.: arquivos enviados em partes)
+app.post('/api/batches', (req, res) => {
+  const { jobIds, title } = req.body;
+  if (!Array.isArray(jobIds) || jobIds.length === 0) {
+    return res.status(400).json({ error: 'Informe a lista de jobs (jobIds)' });
+  }
+  if (jobIds.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({ error: `Um lote aceita no máximo ${MAX_BATCH_ITEMS} itens` });
+  }
+  const items = [];
+  for (const jobId of jobIds) {
+    const job = visibleJob(req, jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Job não encontrado: ${jobId}` });
+    }
+    items.push({ jobId, title: job.source.title || job.source.fileName || job.source.url || jobId });
+  }
+  const batch = batches.create({ type: 'jobs', title: title || null, items, ownerId: ownerIdOf(req) });
+  res.status(201).json(batch);
+});
+
+// Rota para consultar o andamento de um lote
+app.get('/api/batches/:id', (req, res) => {
+  const batch = visibleBatch(req, req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Lote não encontrado' });
+  }
+  res.json(batch);
+});
+
+// Rota para acompanhar um lote em tempo real via Server-Sent Events
+app.get('/api/batches/:id/events', (req, res) => {
+  const batch = visibleBatch(req, req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Lote não encontrado' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (snapshot) => {
+    res.write(`event: update\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (snapshot.finished) {
+      close();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = batches.subscribe(batch.id, send);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', close);
+  send(batch);
+});
+
+// Nome de arquivo seguro (sem acentos nem extensão) a partir de um título
+const toSafeFileName = (title) => {
+  const base = path.basename(String(title), path.extname(String(title)))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80);
+  return base || 'transcricao';
+};
+
+// Nome de arquivo de um item do lote, numerado na ordem do lote
+const toFileBaseName = (title, index) => `${String(index + 1).padStart(2, '0')}-${toSafeFileName(title)}`;
+
+// Rota para baixar todas as transcrições de um lote concluído (ZIP com TXT, SRT e VTT)
+app.get('/api/batches/:id/download', (req, res) => {
+  const batch = visibleBatch(req, req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Lote não encontrado' });
+  }
+  if (!batch.finished) {
+    return res.status(409).json({ error: 'O lote ainda não foi concluído' });
+  }
+
+  const entries = [];
+  batch.items.forEach((item, index) => {
+    const job = jobQueue.get(item.jobId);
+    if (!job || job.stage !== 'done') return;
+    const baseName = toFileBaseName(item.title, index);
+    entries.push({ name: `${baseName}.txt`, content: job.result.transcription || '' });
+    const words = job.result.words || [];
+    if (words.length > 0) {
+      const cues = buildCues(words, SUBTITLE_LIMITS);
+      for (const [format, subtitleFormat] of Object.entries(SUBTITLE_FORMATS)) {
+        entries.push({ name: `${baseName}.${format}`, content: subtitleFormat.render(cues) });
+      }
+    }
+  });
+
+  if (entries.length === 0) {
+    return res.status(422).json({ error: 'Nenhum item do lote foi transcrito com sucesso' });
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="lote-${batch.id}.zip"`);
+  res.send(createZip(entries));
+});
+
+// Gera e envia a exportação no formato pedido. Query string: `format` (md, docx,
+// pdf ou json), `timestamps` (marcação a cada N segundos) e `names[A]=Ana`
+// (nomes dos falantes no lugar de "Falante A")
+const sendExport = async (req, res, record) => {
+  const format = (req.query.format || 'md').toLowerCase();
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({ 
+      error: `Formato de exportação não suportado: ${format}. Formatos aceitos: ${Object.keys(EXPORT_FORMATS).join(', ')}` 
+    });
+  }
+
+  const timestampInterval = req.query.timestamps ? Number(req.query.timestamps) : 0;
+  if (!Number.isInteger(timestampInterval) || timestampInterval < 0) {
+    return res.status(400).json({ error: `Intervalo de marcação de tempo inválido: ${req.query.timestamps}` });
+  }
+  const speakerNames = req.query.names && typeof req.query.names === 'object' ? req.query.names : {};
+
+  const document = buildExportDocument(record, { timestampInterval, speakerNames });
+  const content = await exportFormat.render(document, record);
+  res.setHeader('Content-Type', exportFormat.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${toSafeFileName(record.title || 'transcricao')}.${format}"`);
+  res.send(content);
+};
+
+// Rota para exportar o resultado de um job concluído
+app.get('/api/jobs/:id/export', async (req, res) => {
+  try {
+    const job = visibleJob(req, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job não encontrado' });
+    }
+    if (job.stage !== 'done') {
+      return res.status(409).json({ error: 'A transcrição ainda não foi concluída' });
+    }
+    const { result, source } = job;
+    await sendExport(req, res, {
+      id: result.transcriptId || null,
+      jobId: job.id,
+      title: source.title || source.fileName || source.url || 'Transcrição',
+      source: { ...source, ...(result.source || {}) },
+      createdAt: job.finishedAt,
+      language: result.language_detected || null,
+      confidence: result.confidence ?? null,
+      provider: result.provider || null,
+      duration: result.duration ?? null,
+      text: result.transcription,
+      words: result.words || [],
+      utterances: result.utterances || []
+    });
+  } catch (error) {
+    console.error('Erro ao exportar transcrição:', error);
+    res.status(500).json({ error: 'Erro ao exportar transcrição: ' + error.message });
+  }
+});
+
+// Rota para listar as transcrições salvas (mais recentes primeiro)
+app.get('/api/transcripts', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json(await library.list({ limit, offset, ownerId: ownerFilter(req) }));
+  } catch (error) {
+    console.error('Erro ao listar transcrições:', error);
+    res.status(500).json({ error: 'Erro ao listar transcrições: ' + error.message });
+  }
+});
+
+// Rota para busca de texto nas transcrições salvas
+app.get('/api/transcripts/search', async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Informe o termo de busca (q)' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json({ query, results: await library.search(query, { limit, ownerId: ownerFilter(req) }) });
+  } catch (error) {
+    console.error('Erro na busca:', error);
+    res.status(500).json({ error: 'Erro na busca: ' + error.message });
+  }
+});
+
+// Rota para obter uma transcrição salva completa (com palavras e falas)
+app.get('/api/transcripts/:id', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    res.json(record);
+  } catch (error) {
+    console.error('Erro ao obter transcrição:', error);
+    res.status(500).json({ error: 'Erro ao obter transcrição: ' + error.message });
+  }
+});
+
+// Rota para salvar a edição do texto de uma transcrição (os tempos das palavras são mantidos)
+app.patch('/api/transcripts/:id', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+
+    const changes = {};
+    if (req.body.words !== undefined) {
+      try {
+        Object.assign(changes, applyWordEdits(record, req.body.words));
+      } catch (error) {
+        return res.status(400).json({ error: 'Edição inválida: ' + error.message });
+      }
+    }
+    if (typeof req.body.title === 'string' && req.body.title.trim()) {
+      changes.title = req.body.title.trim();
+    }
+
+    res.json(await library.update(record.id, changes));
+  } catch (error) {
+    console.error('Erro ao salvar edição:', error);
+    res.status(500).json({ error: 'Erro ao salvar edição: ' + error.message });
+  }
+});
+
+// Rota para tocar o áudio de uma transcrição salva (com suporte a Range para o player)
+app.get('/api/transcripts/:id/media', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    const mediaPath = record && library.mediaPath(record);
+    if (!mediaPath || !fs.existsSync(mediaPath)) {
+      return res.status(404).json({ error: 'Áudio não disponível para esta transcrição' });
+    }
+    res.sendFile(path.resolve(mediaPath));
+  } catch (error) {
+    console.error('Erro ao enviar áudio:', error);
+    res.status(500).json({ error: 'Erro ao enviar áudio: ' + error.message });
+  }
+});
+
+// Rota para remover uma transcrição salva
+app.delete('/api/transcripts/:id', async (req, res) => {
+  try {
+    if (!(await visibleTranscript(req, req.params.id))) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    const removed = await library.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    transcriptCache.clear({ transcriptId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Erro ao remover transcrição:', error);
+    res.status(500).json({ error: 'Erro ao remover transcrição: ' + error.message });
+  }
+});
+
+// Rota para baixar legendas de uma transcrição salva
+app.get('/api/transcripts/:id/subtitles', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    sendSubtitles(req, res, record.words, `transcricao-${record.id}`);
+  } catch (error) {
+    console.error('Erro ao gerar legendas:', error);
+    res.status(500).json({ error: 'Erro ao gerar legendas: ' + error.message });
+  }
+});
+
+// Rota para exportar uma transcrição salva (DOCX, PDF, Markdown ou JSON)
+app.get('/api/transcripts/:id/export', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    await sendExport(req, res, record);
+  } catch (error) {
+    console.error('Erro ao exportar transcrição:', error);
+    res.status(500).json({ error: 'Erro ao exportar transcrição: ' + error.message });
+  }
+});
+
+// Rota para gerar (ou refazer) resumo, capítulos e palavras-chave de uma
+// transcrição salva, com o algoritmo local (reflete as edições feitas no editor)
+app.post('/api/transcripts/:id/insights', async (req, res) => {
+  try {
+    const record = await visibleTranscript(req, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Transcrição não encontrada' });
+    }
+    const insights = generateLocalInsights({ text: record.text, words: record.words }, {
+      language: record.language,
+      chapterSeconds: INSIGHTS.chapterSeconds
+    });
+    await library.update(record.id, { insights });
+    res.json(insights);
+  } catch (error) {
+    console.error('Erro ao gerar resumo e capítulos:', error);
+    res.status(500).json({ error: 'Erro ao gerar resumo e capítulos: ' + error.message });
+  }
+});
+
+// =============================================
+// ROTAS DE SESSÃO E ADMINISTRAÇÃO DAS CHAVES
+// =============================================
+
+// Estado da sessão: se a autenticação é exigida e quem está autenticado
+app.get('/api/auth/session', (req, res) => {
+  const principal = resolvePrincipal(req) || null;
+  res.json({ authRequired: AUTH.enabled, authenticated: Boolean(principal), key: describePrincipal(principal) });
+});
+
+// Login da interface: troca a chave de API por um cookie de sessão
+app.post('/api/auth/session', (req, res) => {
+  const rate = rateLimiter.hit(`login:${req.ip}`, 10);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', rate.retryAfterSeconds);
+    return res.status(429).json({ error: `Tentativas demais. Tente de novo em ${rate.retryAfterSeconds}s.`, code: 'RATE_LIMITED' });
+  }
+  const secret = String(req.body?.apiKey || '').trim();
+  const principal = secret ? principalFromSecret(secret) : null;
+  if (!principal) {
+    return res.status(401).json({ error: 'Chave de API inválida ou revogada', code: 'AUTH_REQUIRED' });
+  }
+  const { token, expiresAt } = sessions.issue(principal.id);
+  res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, token, {
+    maxAgeSeconds: AUTH.sessionHours * 60 * 60,
+    secure: req.secure
+  }));
+  console.log(`Sessão iniciada: ${principal.name}`);
+  res.json({ authRequired: AUTH.enabled, authenticated: true, expiresAt, key: describePrincipal(principal) });
+});
+
+app.delete('/api/auth/session', (req, res) => {
+  res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAgeSeconds: 0, secure: req.secure }));
+  res.status(204).end();
+});
+
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+// Emite uma chave; o segredo (`secret`) só aparece nesta resposta
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  let data;
+  try {
+    data = parseApiKeyInput(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const { secret, key } = await apiKeys.create(data);
+    console.log(`Chave de API emitida: ${key.name} (${key.prefix}…)`);
+    res.status(201).json({ ...key, secret });
+  } catch (error) {
+    console.error('Erro ao emitir chave de API:', error);
+    res.status(500).json({ error: 'Erro ao emitir chave de API: ' + error.message });
+  }
+});
+
+// Altera nome, cota diária ou limite por minuto de uma chave
+app.patch('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  let changes;
+  try {
+    changes = parseApiKeyInput(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const key = await apiKeys.update(req.params.id, changes);
+    if (!key) {
+      return res.status(404).json({ error: 'Chave de API não encontrada' });
+    }
+    res.json(key);
+  } catch (error) {
+    console.error('Erro ao atualizar chave de API:', error);
+    res.status(500).json({ error: 'Erro ao atualizar chave de API: ' + error.message });
+  }
+});
+
+// Revoga uma chave (ela continua listada, com o uso, mas deixa de ser aceita)
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await apiKeys.revoke(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'Chave de API não encontrada' });
+    }
+    console.log(`Chave de API revogada: ${key.name} (${key.prefix}…)`);
+    res.json(key);
+  } catch (error) {
+    console.error('Erro ao revogar chave de API:', error);
+    res.status(500).json({ error: 'Erro ao revogar chave de API: ' + error.message });
+  }
+});
+
+// Uso por chave e por dia (requisições, jobs e minutos transcritos), `?days=` de 1 a 90
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const usage = apiKeys.usageReport({ days }).map(entry => ({
+    ...entry,
+    name: entry.name || (entry.id === ADMIN_PRINCIPAL.id ? ADMIN_PRINCIPAL.name : null)
+  }));
+  res.json({ days, usage });
+});
+
+// =============================================
+// ROTAS DE ESTATÍSTICAS DE USO
+// =============================================
+
+// Uso e custo por dia, usuário, provedor e origem, com as falhas (`?days=` de 1 a 365).
+// O administrador vê todos os jobs e pode filtrar com `?userId=`; uma chave
+// comum vê só os próprios.
+app.get('/api/stats', (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  const principal = req.apiKey;
+  const userId = principal && !principal.admin ? principal.id : req.query.userId || null;
+  res.json({ userId, ...usageLog.stats({ days, userId }) });
+});
+
+// =============================================
+// ROTAS DO CACHE
+// =============================================
+
+// O cache abrange todas as chaves: só o administrador
+app.get('/api/cache', requireAdmin, (req, res) => {
+  res.json({ enabled: CACHE.enabled, ...transcriptCache.stats() });
+});
+
+// Esvazia o cache (ou só as entradas de `?transcriptId=`); as transcrições
+// continuam na biblioteca
+app.delete('/api/cache', requireAdmin, (req, res) => {
+  const removed = transcriptCache.clear({ transcriptId: req.query.transcriptId || null });
+  console.log(`Cache esvaziado: ${removed} entrada(s) removida(s)`);
+  res.json({ removed });
+});
+
+// =============================================
+// ROTAS DE WEBHOOKS
+// =============================================
+
+// Registro das entregas (mais recentes primeiro), com filtros `?jobId=` e `?status=`.
+// Cada chave vê só as entregas dos próprios jobs; o administrador vê todas.
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  res.json({
+    deliveries: webhooks.list({
+      jobId: req.query.jobId || null,
+      status: req.query.status || null,
+      ownerId: ownerFilter(req),
+      limit
+    })
+  });
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery || !canAccess(req, delivery)) {
+    return res.status(404).json({ error: 'Entrega de webhook não encontrada' });
+  }
+  res.json(delivery);
+});
+
+// =============================================
+// ROTAS DE VOCABULÁRIO
+// =============================================
+
+app.get('/api/vocabularies', (req, res) => {
+  res.json({ vocabularies: vocabularies.list({ ownerId: ownerFilter(req) }) });
+});
+
+app.post('/api/vocabularies', async (req, res) => {
+  let data;
+  try {
+    data = parseVocabularyInput(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    res.status(201).json(await vocabularies.create({ ...data, ownerId: ownerIdOf(req) }));
+  } catch (error) {
+    console.error('Erro ao salvar lista de vocabulário:', error);
+    res.status(500).json({ error: 'Erro ao salvar lista de vocabulário: ' + error.message });
+  }
+});
+
+app.get('/api/vocabularies/:id', (req, res) => {
+  const vocabulary = visibleVocabulary(req, req.params.id);
+  if (!vocabulary) {
+    return res.status(404).json({ error: 'Lista de vocabulário não encontrada' });
+  }
+  res.json(vocabulary);
+});
+
+app.patch('/api/vocabularies/:id', async (req, res) => {
+  let changes;
+  try {
+    changes = parseVocabularyInput(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    if (!visibleVocabulary(req, req.params.id)) {
+      return res.status(404).json({ error: 'Lista de vocabulário não encontrada' });
+    }
+    const vocabulary = await vocabularies.update(req.params.id, changes);
+    if (!vocabulary) {
+      return res.status(404).json({ error: 'Lista de vocabulário não encontrada' });
+    }
+    res.json(vocabulary);
+  } catch (error) {
+    console.error('Erro ao atualizar lista de vocabulário:', error);
+    res.status(500).json({ error: 'Erro ao atualizar lista de vocabulário: ' + error.message });
+  }
+});
+
+app.delete('/api/vocabularies/:id', async (req, res) => {
+  try {
+    if (!visibleVocabulary(req, req.params.id)) {
+      return res.status(404).json({ error: 'Lista de vocabulário não encontrada' });
+    }
+    const removed = await vocabularies.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Lista de vocabulário não encontrada' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Erro ao remover lista de vocabulário:', error);
+    res.status(500).json({ error: 'Erro ao remover lista de vocabulário: ' + error.message });
   }
 });
 
@@ -443,36 +2301,94 @@ app.get('/api/languages', (req, res) => {
   res.json({ languages });
 });
 
-// Rota de health check (sem alteração)
+// Rota para listar os filtros de pré-processamento de áudio disponíveis
+app.get('/api/audio-filters', (req, res) => {
+  const filters = Object.entries(AUDIO_FILTER_PRESETS).map(([name, preset]) => ({ name, label: preset.label }));
+  res.json({ filters });
+});
+
+// Rota de health check
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    hasAssemblyAI: !!(ASSEMBLYAI_API_KEY && ASSEMBLYAI_API_KEY !== 'sua-chave-aqui'),
+    hasAssemblyAI: transcriptionProviders.get('assemblyai').isAvailable(),
+    mode: transcriptionProviders.mode(),
     ffmpegPath: ffmpegStatic,
-    service: 'AssemblyAI'
+    service: transcriptionProviders.get(transcriptionProviders.defaultName).label,
+    transcriptionProviders: transcriptionProviders.list(),
+    translationProvider: translationProvider.name,
+    segmentation: SEGMENTATION,
+    insights: INSIGHTS,
+    cache: { enabled: CACHE.enabled, ...transcriptCache.stats() },
+    webhooks: webhooks.stats(),
+    auth: { enabled: AUTH.enabled, rateLimitPerMinute: AUTH.rateLimitPerMinute, defaultDailyMinutes: AUTH.defaultDailyMinutes },
+    jobs: jobQueue.stats()
   });
 });
 
-// Rota para processar o texto (traduzir e formatar) (sem alteração)
+// Rota para processar o texto (formatar e traduzir). Com `words` (as palavras
+// da transcrição, com tempos), os parágrafos seguem as pausas da fala. A
+// formatação vem antes da tradução, com as regras do idioma de origem.
 app.post('/api/process-text', async (req, res) => {
   try {
-    const { text, shouldTranslate = true, shouldFormat = true } = req.body;
+    const {
+      text,
+      words = null,
+      shouldTranslate = true,
+      shouldFormat = true,
+      sourceLanguage = 'auto',
+      targetLanguage = TRANSLATION_DEFAULT_TARGET,
+      formatting = {}
+    } = req.body;
     if (!text) {
       return res.status(400).json({ error: 'Texto não fornecido' });
     }
-    let processedText = text;
-    if (shouldTranslate) {
-      processedText = await translateText(processedText);
+    if (words !== null && !Array.isArray(words)) {
+      return res.status(400).json({ error: 'words deve ser uma lista de palavras' });
     }
+    if (shouldTranslate && sourceLanguage !== 'auto' && sourceLanguage === targetLanguage) {
+      return res.status(400).json({ error: 'Idioma de origem e destino são iguais' });
+    }
+    let formattingOptions;
+    try {
+      formattingOptions = parseFormattingOptions({ language: sourceLanguage, ...formatting });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let processedText = text;
+    let formatted = null;
     if (shouldFormat) {
-      processedText = await formatText(processedText);
+      formatted = formatTranscript({ text, words }, formattingOptions);
+      console.log(`Texto formatado: ${formatted.paragraphs} parágrafo(s), ${formatted.removedFillers} hesitação(ões) removida(s)${formatted.usedTimings ? ', pausas pelos tempos das palavras' : ''}`);
+      processedText = formatted.text;
+    }
+    if (shouldTranslate) {
+      processedText = await translateText(processedText, {
+        source: sourceLanguage,
+        target: targetLanguage
+      });
     }
     res.json({ 
       processedText,
+      simulated: shouldTranslate && !!translationProvider.simulated,
       operations: {
         translated: shouldTranslate,
-        formatted: shouldFormat
+        formatted: shouldFormat,
+        ...(formatted ? {
+          formatting: {
+            paragraphs: formatted.paragraphs,
+            sentences: formatted.sentences,
+            removedFillers: formatted.removedFillers,
+            usedTimings: formatted.usedTimings
+          }
+        } : {}),
+        ...(shouldTranslate ? {
+          translationProvider: translationProvider.name,
+          sourceLanguage,
+          targetLanguage
+        } : {})
       }
     });
   } catch (error) {
@@ -493,7 +2409,19 @@ app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
   console.log(`📱 Acesse: http://localhost:${PORT}`);
   console.log(`🔧 FFmpeg configurado: ${ffmpegStatic}`);
-  console.log(`🤖 AssemblyAI configurado: ${!!(ASSEMBLYAI_API_KEY && ASSEMBLYAI_API_KEY !== 'sua-chave-aqui')}`);
+  console.log(`🤖 AssemblyAI configurado: ${transcriptionProviders.get('assemblyai').isAvailable()}`);
+  console.log(`🎙️ Provedor de transcrição padrão: ${transcriptionProviders.defaultName} (modo: ${transcriptionProviders.mode()})`);
+  if (transcriptionProviders.mode() === 'mock') {
+    console.log('⚠️  Modo mock ativo: as transcrições são simuladas');
+  } else if (transcriptionProviders.mode() === 'unconfigured') {
+    console.log('⚠️  Provedor padrão sem configuração: as transcrições vão falhar até que ASSEMBLYAI_API_KEY seja definida');
+  }
+  for (const provider of transcriptionProviders.list()) {
+    console.log(`   ${provider.available ? '✅' : '⚪'} ${provider.label}`);
+  }
+  if (translationProvider.simulated) {
+    console.log('⚠️  Tradução simulada: defina TRANSLATION_API_URL para traduzir de verdade');
+  }
   if (ffmpegStatic) {
     console.log('✅ FFmpeg encontrado e configurado');
   } else {
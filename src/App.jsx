@@ -1,10 +1,69 @@
-import React, { useState } from 'react';
-import { Upload, Link, Play, FileText, Copy, Loader2, CheckCircle, AlertCircle, Languages, Type } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Upload, Link, Play, FileText, Copy, Loader2, CheckCircle, AlertCircle, Languages, Type, Download, Users, Globe, History, Search, Trash2, PenLine, SlidersHorizontal, ChevronDown, ChevronUp, FileDown, BookMarked, Sparkles, BarChart3 } from 'lucide-react';
+import TranscriptEditor from './TranscriptEditor.jsx';
+import VocabularyManager from './VocabularyManager.jsx';
+import UsageDashboard from './UsageDashboard.jsx';
+import { uploadInChunks, uploadFileInChunks, completeUpload, cancelUpload } from './chunkedUpload.js';
+
+// Rótulos das etapas reportadas por /api/jobs/:id/events
+const STAGE_LABELS = {
+  queued: 'Na fila',
+  downloading: 'Baixando mídia',
+  converting: 'Convertendo áudio',
+  uploading: 'Enviando áudio',
+  transcribing: 'Transcrevendo',
+  done: 'Concluído',
+  failed: 'Falhou',
+  expired: 'Expirado'
+};
+
+const STAGE_ORDER = ['queued', 'downloading', 'converting', 'uploading', 'transcribing', 'done'];
+
+const PROVIDER_STATUS_LABELS = {
+  queued: 'aguardando na AssemblyAI',
+  processing: 'processando na AssemblyAI',
+  completed: 'finalizando'
+};
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+// Converte milissegundos em mm:ss (ou hh:mm:ss)
+const formatTimestamp = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Formatos do menu de exportação (/api/.../export)
+const EXPORT_OPTIONS = [
+  { format: 'docx', label: 'Word (DOCX)' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON completo' }
+];
+
+// Tempo estimado em texto curto (ex.: "~40 s", "~12 min")
+const formatEstimate = (seconds) => {
+  if (!seconds) return 'indisponível';
+  return seconds < 90 ? `~${seconds} s` : `~${Math.round(seconds / 60)} min`;
+};
+
+// Chave do localStorage com o último idioma escolhido para transcrição
+const LANGUAGE_STORAGE_KEY = 'transcritor:language';
+
+const SPEAKER_OPTIONS = [
+  { value: '', label: 'Desligado' },
+  { value: 'auto', label: 'Automático' },
+  ...[2, 3, 4, 5, 6].map(count => ({ value: String(count), label: `${count} falantes` }))
+];
 
 const VideoTranscriptionApp = () => {
   const [activeTab, setActiveTab] = useState('upload');
   const [youtubeUrl, setYoutubeUrl] = useState('');
   const [instagramUrl, setInstagramUrl] = useState('');
+  const [mediaUrl, setMediaUrl] = useState('');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [transcription, setTranscription] = useState('');
@@ -14,6 +73,286 @@ const VideoTranscriptionApp = () => {
   const [error, setError] = useState('');
   const [isTranslating, setIsTranslating] = useState(false);
   const [isFormatting, setIsFormatting] = useState(false);
+  const [formatOptions, setFormatOptions] = useState({ removeFillers: false, timestamps: false });
+  const [processedLanguage, setProcessedLanguage] = useState('');
+  const [job, setJob] = useState(null);
+  const [uploadPercent, setUploadPercent] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [words, setWords] = useState([]);
+  const [speakers, setSpeakers] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('');
+  const [serverMode, setServerMode] = useState('live');
+  const [isSimulated, setIsSimulated] = useState(false);
+  const [playbackUrl, setPlaybackUrl] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [utterances, setUtterances] = useState([]);
+  const [speakerNames, setSpeakerNames] = useState({});
+  const [languageDetected, setLanguageDetected] = useState('');
+  const [confidence, setConfidence] = useState(null);
+  const [languages, setLanguages] = useState([{ code: 'auto', name: 'Detectar Automaticamente' }]);
+  const [language, setLanguage] = useState(() => localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'auto');
+  const [targetLanguage, setTargetLanguage] = useState('pt');
+  const [transcriptId, setTranscriptId] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showPreprocessing, setShowPreprocessing] = useState(false);
+  const [trimStart, setTrimStart] = useState('');
+  const [trimEnd, setTrimEnd] = useState('');
+  const [audioTrack, setAudioTrack] = useState('');
+  const [filterPresets, setFilterPresets] = useState([]);
+  const [audioFilters, setAudioFilters] = useState([]);
+  const [playbackOffset, setPlaybackOffset] = useState(0);
+  const [probe, setProbe] = useState(null);
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [isProbing, setIsProbing] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [exportTimestamps, setExportTimestamps] = useState('');
+  const [vocabularies, setVocabularies] = useState([]);
+  const [vocabularyId, setVocabularyId] = useState('');
+  const [showVocabulary, setShowVocabulary] = useState(false);
+  const [wantInsights, setWantInsights] = useState(false);
+  const [insights, setInsights] = useState(null);
+  const [openInsights, setOpenInsights] = useState({ summary: true, chapters: false, keyPhrases: false });
+  const [isGeneratingInsights, setIsGeneratingInsights] = useState(false);
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [fromCache, setFromCache] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+
+  // Opções enviadas com cada pedido de transcrição
+  const requestOptions = {
+    language,
+    speakers,
+    provider,
+    trimStart,
+    trimEnd,
+    audioTrack,
+    filters: audioFilters,
+    vocabularyId,
+    insights: wantInsights,
+    force: forceRefresh
+  };
+  const [historyQuery, setHistoryQuery] = useState('');
+
+  // Função para acompanhar um job de transcrição até a conclusão (via SSE)
+  const waitForJob = (jobId) => {
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`/api/jobs/${jobId}/events`);
+
+      events.addEventListener('update', (event) => {
+        const snapshot = JSON.parse(event.data);
+        setJob(snapshot);
+
+        if (snapshot.stage === 'done') {
+          events.close();
+          resolve(snapshot.result);
+        } else if (snapshot.stage === 'failed') {
+          events.close();
+          reject(new Error(snapshot.error || 'Erro ao processar vídeo'));
+        }
+      });
+
+      events.onerror = () => {
+        // O navegador reconecta sozinho; só desiste se a conexão foi encerrada
+        if (events.readyState === EventSource.CLOSED) {
+          reject(new Error('Conexão com o servidor perdida'));
+        }
+      };
+    });
+  };
+
+  // Acompanha um lote (vários arquivos ou playlist) até todos os itens terminarem
+  const waitForBatch = (batchId) => {
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`/api/batches/${batchId}/events`);
+
+      events.addEventListener('update', (event) => {
+        const snapshot = JSON.parse(event.data);
+        setBatch(snapshot);
+
+        if (snapshot.finished) {
+          events.close();
+          resolve(snapshot);
+        }
+      });
+
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          reject(new Error('Conexão com o servidor perdida'));
+        }
+      };
+    });
+  };
+
+  // Texto auxiliar com o detalhe do progresso da etapa atual
+  const describeProgress = (job) => {
+    const { stage, progress = {} } = job;
+    if (stage === 'queued' && job.queuePosition > 0) {
+      return `Posição na fila: ${job.queuePosition}`;
+    }
+    if (stage === 'downloading' && progress.downloadedBytes) {
+      return `${formatBytes(progress.downloadedBytes)} baixados`;
+    }
+    if (stage === 'converting' && progress.percent !== undefined) {
+      return `${progress.percent}%`;
+    }
+    if (stage === 'transcribing' && progress.segmentsTotal > 1) {
+      return `Trechos: ${progress.segmentsDone || 0}/${progress.segmentsTotal}`;
+    }
+    if (stage === 'transcribing' && progress.providerStatus) {
+      return PROVIDER_STATUS_LABELS[progress.providerStatus] || progress.providerStatus;
+    }
+    return '';
+  };
+
+  // Percentual exibido na barra: cada etapa ocupa uma fatia igual e o
+  // progresso do ffmpeg preenche a fatia de conversão
+  const overallPercent = (job) => {
+    const index = STAGE_ORDER.indexOf(job.stage);
+    if (index < 0) return 0;
+    const slice = 100 / (STAGE_ORDER.length - 1);
+    const stagePercent = job.stage === 'converting' ? (job.progress?.percent || 0) / 100 : 0;
+    return Math.min(100, Math.round((index + stagePercent) * slice));
+  };
+
+  // Lembra o último idioma escolhido entre as sessões
+  useEffect(() => {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  }, [language]);
+
+  // Nome legível de um código de idioma (a AssemblyAI pode retornar variantes como en_us)
+  const languageName = (code) => {
+    if (!code) return '';
+    const match = languages.find(item => item.code === code)
+      || languages.find(item => item.code === code.split(/[_-]/)[0]);
+    return match ? match.name : code;
+  };
+
+  // Carrega o histórico de transcrições (ou o resultado da busca)
+  const loadHistory = async (query = historyQuery) => {
+    try {
+      const response = await fetch(query.trim()
+        ? `/api/transcripts/search?q=${encodeURIComponent(query.trim())}`
+        : '/api/transcripts');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar histórico');
+      }
+
+      setHistory(data.results || data.transcripts);
+    } catch (error) {
+      console.error('Erro ao carregar histórico:', error);
+    }
+  };
+
+  // Listas de vocabulário; a escolhida some da seleção se tiver sido excluída
+  const loadVocabularies = () => {
+    fetch('/api/vocabularies')
+      .then(response => response.json())
+      .then(data => {
+        const lists = data.vocabularies || [];
+        setVocabularies(lists);
+        setVocabularyId(current => (lists.some(item => item.id === current) ? current : ''));
+      })
+      .catch(error => console.error('Erro ao carregar listas de vocabulário:', error));
+  };
+
+  useEffect(() => {
+    loadHistory('');
+    loadVocabularies();
+
+    fetch('/api/languages')
+      .then(response => response.json())
+      .then(data => setLanguages(data.languages || []))
+      .catch(error => console.error('Erro ao carregar idiomas:', error));
+
+    fetch('/api/audio-filters')
+      .then(response => response.json())
+      .then(data => setFilterPresets(data.filters || []))
+      .catch(error => console.error('Erro ao carregar filtros de áudio:', error));
+
+    // Provedores de transcrição disponíveis neste servidor
+    fetch('/api/health')
+      .then(response => response.json())
+      .then(data => {
+        setProviders((data.transcriptionProviders || []).filter(item => item.available));
+        setServerMode(data.mode || 'live');
+      })
+      .catch(error => console.error('Erro ao consultar provedores:', error));
+  }, []);
+
+  // Reabre uma transcrição salva
+  const openTranscript = async (id) => {
+    try {
+      const response = await fetch(`/api/transcripts/${id}`);
+      const record = await response.json();
+
+      if (!response.ok) {
+        throw new Error(record.error || 'Erro ao abrir transcrição');
+      }
+
+      setJob(null);
+      setError('');
+      setProcessedTranscription('');
+      setProcessedLanguage('');
+      showResult({
+        transcription: record.text,
+        words: record.words,
+        utterances: record.utterances,
+        language_detected: record.language,
+        confidence: record.confidence,
+        mediaUrl: record.mediaFile ? `/api/transcripts/${record.id}/media` : null,
+        mediaOffset: record.mediaOffset,
+        simulated: record.provider === 'mock',
+        transcriptId: record.id,
+        insights: record.insights
+      });
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    }
+  };
+
+  // Remove uma transcrição salva
+  const deleteTranscript = async (id) => {
+    if (!window.confirm('Excluir esta transcrição do histórico?')) return;
+
+    try {
+      const response = await fetch(`/api/transcripts/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Erro ao excluir transcrição');
+      }
+      if (id === transcriptId) {
+        resetApp();
+      }
+      loadHistory();
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    }
+  };
+
+  // Exibe o resultado de um job concluído
+  const showResult = (result) => {
+    setTranscriptId(result.transcriptId || null);
+    setTranscription(result.transcription);
+    setWords(result.words || []);
+    setUtterances(result.utterances || []);
+    setSpeakerNames({});
+    setLanguageDetected(result.language_detected || '');
+    setConfidence(result.confidence ?? null);
+    setPlaybackUrl(result.mediaUrl || null);
+    setPlaybackOffset(result.mediaOffset || 0);
+    setInsights(result.insights || null);
+    setFromCache(result.cache?.status === 'hit');
+    setIsEditing(false);
+    setIsSimulated(!!result.simulated);
+    setStatus('completed');
+    loadHistory();
+  };
 
   // Função para chamar API do YouTube
   const handleYouTubeSubmit = async () => {
@@ -23,6 +362,11 @@ const VideoTranscriptionApp = () => {
     setStatus('processing');
     setTranscription('');
     setError('');
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
     
     try {
       const response = await fetch('/api/transcribe-youtube', {
@@ -30,7 +374,7 @@ const VideoTranscriptionApp = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: youtubeUrl }),
+        body: JSON.stringify({ url: youtubeUrl, ...requestOptions }),
       });
 
       const data = await response.json();
@@ -39,8 +383,16 @@ const VideoTranscriptionApp = () => {
         throw new Error(data.error || 'Erro ao processar vídeo');
       }
 
-      setTranscription(data.transcription);
-      setStatus('completed');
+      // Playlists viram um lote com um job por vídeo
+      if (data.batchId) {
+        await waitForBatch(data.batchId);
+        setStatus('idle');
+        loadHistory();
+        return;
+      }
+
+      const result = await waitForJob(data.jobId);
+      showResult(result);
     } catch (error) {
       console.error('Erro:', error);
       setError(error.message);
@@ -58,6 +410,11 @@ const VideoTranscriptionApp = () => {
     setStatus('processing');
     setTranscription('');
     setError('');
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
     
     try {
       const response = await fetch('/api/transcribe-instagram', {
@@ -65,7 +422,7 @@ const VideoTranscriptionApp = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: instagramUrl }),
+        body: JSON.stringify({ url: instagramUrl, ...requestOptions }),
       });
 
       const data = await response.json();
@@ -74,8 +431,48 @@ const VideoTranscriptionApp = () => {
         throw new Error(data.error || 'Erro ao processar vídeo');
       }
 
-      setTranscription(data.transcription);
-      setStatus('completed');
+      const result = await waitForJob(data.jobId);
+      showResult(result);
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Função para chamar API de links genéricos (arquivos, podcasts, SoundCloud)
+  const handleLinkSubmit = async () => {
+    if (!mediaUrl.trim()) return;
+    
+    setIsProcessing(true);
+    setStatus('processing');
+    setTranscription('');
+    setError('');
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
+    
+    try {
+      const response = await fetch('/api/transcribe-url', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url: mediaUrl, ...requestOptions }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao processar link');
+      }
+
+      const result = await waitForJob(data.jobId);
+      showResult(result);
     } catch (error) {
       console.error('Erro:', error);
       setError(error.message);
@@ -87,37 +484,171 @@ const VideoTranscriptionApp = () => {
 
   // Função para upload de arquivo
   const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
+    const files = [...event.target.files];
+    const file = files[0];
+    // Limpa a seleção para que o mesmo arquivo possa ser escolhido de novo (retomada)
+    event.target.value = '';
     if (!file) return;
+    if (files.length > 1) {
+      return handleBatchUpload(files);
+    }
     
     setUploadedFile(file);
     setIsProcessing(true);
     setStatus('processing');
     setTranscription('');
     setError('');
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
     
+    setUploadPercent(0);
+
+    try {
+      // O arquivo vai em partes: se a conexão cair, basta selecioná-lo de novo para retomar
+      const uploadId = await uploadFileInChunks(file, { onProgress: setUploadPercent });
+      setUploadPercent(null);
+
+      // Verifica a mídia antes de transcrever; se for recusada (422), o upload é descartado.
+      // Em falhas de rede ou do servidor ele fica guardado para uma nova tentativa.
+      try {
+        setProbe(await requestProbe({ ...requestOptions, uploadId }));
+      } catch (error) {
+        if (error.status === 422) {
+          await cancelUpload(file, uploadId).catch(() => {});
+        }
+        throw error;
+      }
+      setPendingUpload({ file, uploadId });
+      setStatus('idle');
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    } finally {
+      setUploadPercent(null);
+      setIsProcessing(false);
+    }
+  };
+
+  // Consulta /api/probe (duração, faixas de áudio e tempo estimado)
+  const requestProbe = async (body) => {
+    const response = await fetch('/api/probe', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw Object.assign(new Error(data.error || 'Erro ao verificar mídia'), { code: data.code, status: response.status });
+    }
+    return data;
+  };
+
+  // Verifica um link antes de transcrever
+  const handleProbeUrl = async (url) => {
+    setIsProbing(true);
+    setError('');
+    setProbe(null);
+    if (status === 'error') setStatus('idle');
+
+    try {
+      setProbe(await requestProbe({ ...requestOptions, url }));
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    } finally {
+      setIsProbing(false);
+    }
+  };
+
+  // Inicia a transcrição do arquivo já enviado e verificado
+  const startPendingUpload = async () => {
+    const { file, uploadId } = pendingUpload;
+    setIsProcessing(true);
+    setStatus('processing');
+    setPendingUpload(null);
+    setProbe(null);
+
+    try {
+      const jobId = await completeUpload(file, uploadId, requestOptions);
+      const result = await waitForJob(jobId);
+      showResult(result);
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+      setStatus('error');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Descarta o arquivo enviado sem transcrever
+  const discardPendingUpload = async () => {
+    const { file, uploadId } = pendingUpload;
+    setPendingUpload(null);
+    setProbe(null);
+    setUploadedFile(null);
+    await cancelUpload(file, uploadId).catch(error => console.error('Erro ao descartar upload:', error));
+  };
+
+  // Envia vários arquivos (um de cada vez, em partes) e acompanha o lote formado pelos jobs
+  const handleBatchUpload = async (files) => {
+    setUploadedFile(null);
+    setIsProcessing(true);
+    setStatus('processing');
+    setTranscription('');
+    setError('');
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
+    setUploadPercent(0);
+
     try {
-      const formData = new FormData();
-      formData.append('video', file);
+      const jobIds = [];
+      for (const [index, file] of files.entries()) {
+        const jobId = await uploadInChunks(
+          file,
+          requestOptions,
+          { onProgress: (percent) => setUploadPercent(Math.round((index * 100 + percent) / files.length)) }
+        );
+        jobIds.push(jobId);
+      }
+      setUploadPercent(null);
 
-      const response = await fetch('/api/transcribe-file', {
+      const response = await fetch('/api/batches', {
         method: 'POST',
-        body: formData,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ jobIds }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Erro ao processar arquivo');
+        throw new Error(data.error || 'Erro ao criar lote');
       }
 
-      setTranscription(data.transcription);
-      setStatus('completed');
+      setBatch(data);
+      await waitForBatch(data.id);
+      setStatus('idle');
+      loadHistory();
     } catch (error) {
       console.error('Erro:', error);
       setError(error.message);
       setStatus('error');
     } finally {
+      setUploadPercent(null);
       setIsProcessing(false);
     }
   };
@@ -128,8 +659,10 @@ const VideoTranscriptionApp = () => {
       setIsTranslating(shouldTranslate);
       setIsFormatting(shouldFormat);
 
-      // Usar o texto processado se disponível, caso contrário usar a transcrição original
+      // Usar o texto processado se disponível, caso contrário usar a transcrição original.
+      // Só a transcrição original acompanha as palavras com tempos (parágrafos pelas pausas).
       const textToProcess = processedTranscription || text;
+      const sourceLanguage = processedLanguage || languageDetected || 'auto';
 
       const response = await fetch('/api/process-text', {
         method: 'POST',
@@ -138,8 +671,14 @@ const VideoTranscriptionApp = () => {
         },
         body: JSON.stringify({ 
           text: textToProcess,
+          ...(!processedTranscription && words.length > 0 && shouldFormat ? {
+            words: words.map(({ text, start, end, speaker }) => ({ text, start, end, speaker }))
+          } : {}),
           shouldTranslate,
-          shouldFormat
+          shouldFormat,
+          sourceLanguage,
+          targetLanguage,
+          formatting: formatOptions
         }),
       });
 
@@ -150,6 +689,9 @@ const VideoTranscriptionApp = () => {
       }
 
       setProcessedTranscription(data.processedText);
+      if (shouldTranslate) {
+        setProcessedLanguage(targetLanguage);
+      }
       setStatus('completed');
     } catch (error) {
       console.error('Erro:', error);
@@ -161,9 +703,75 @@ const VideoTranscriptionApp = () => {
     }
   };
 
+  // Salva a edição feita no editor e atualiza a transcrição exibida
+  const saveEdits = async (editedWords) => {
+    const response = await fetch(`/api/transcripts/${transcriptId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ words: editedWords }),
+    });
+
+    const record = await response.json();
+
+    if (!response.ok) {
+      throw new Error(record.error || 'Erro ao salvar edição');
+    }
+
+    setTranscription(record.text);
+    setWords(record.words);
+    setUtterances(record.utterances || []);
+    setProcessedTranscription('');
+    setProcessedLanguage('');
+    loadHistory();
+  };
+
+  // Gera resumo, capítulos e palavras-chave de uma transcrição já salva
+  const generateInsights = async () => {
+    setIsGeneratingInsights(true);
+    try {
+      const response = await fetch(`/api/transcripts/${transcriptId}/insights`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao gerar resumo');
+      }
+      setInsights(data);
+      setOpenInsights({ summary: true, chapters: true, keyPhrases: true });
+    } catch (error) {
+      console.error('Erro:', error);
+      setError(error.message);
+    } finally {
+      setIsGeneratingInsights(false);
+    }
+  };
+
+  const toggleInsights = (section) => setOpenInsights({ ...openInsights, [section]: !openInsights[section] });
+
+  const speakerName = (speaker) => speakerNames[speaker] || `Speaker ${speaker}`;
+
+  // Texto da transcrição com o nome de cada falante antes da fala
+  const speakerTranscript = () => utterances
+    .map(utterance => `${speakerName(utterance.speaker)} [${formatTimestamp(utterance.start)}]: ${utterance.text}`)
+    .join('\n\n');
+
+  // Link de exportação da transcrição atual (salva ou só no job), com os nomes dados aos falantes
+  const exportUrl = (format) => {
+    const params = new URLSearchParams({ format });
+    if (exportTimestamps) {
+      params.set('timestamps', exportTimestamps);
+    }
+    Object.entries(speakerNames)
+      .filter(([, name]) => name.trim())
+      .forEach(([speaker, name]) => params.append(`names[${speaker}]`, name.trim()));
+    const base = transcriptId ? `/api/transcripts/${transcriptId}` : `/api/jobs/${job.id}`;
+    return `${base}/export?${params}`;
+  };
+
   // Função para copiar transcrição
   const copyTranscription = async () => {
-    const textToCopy = processedTranscription || transcription;
+    const textToCopy = processedTranscription
+      || (utterances.length > 0 ? speakerTranscript() : transcription);
     try {
       await navigator.clipboard.writeText(textToCopy);
       setIsCopied(true);
@@ -184,15 +792,33 @@ const VideoTranscriptionApp = () => {
   const resetApp = () => {
     setYoutubeUrl('');
     setInstagramUrl('');
+    setMediaUrl('');
     setUploadedFile(null);
     setTranscription('');
     setProcessedTranscription('');
+    setProcessedLanguage('');
+    setInsights(null);
     setStatus('idle');
     setIsProcessing(false);
     setIsCopied(false);
     setError('');
     setIsTranslating(false);
     setIsFormatting(false);
+    setJob(null);
+    setBatch(null);
+    setProbe(null);
+    setWords([]);
+    setUtterances([]);
+    setSpeakerNames({});
+    setLanguageDetected('');
+    setConfidence(null);
+    setPlaybackUrl(null);
+    setIsEditing(false);
+    setTranscriptId(null);
+    setIsSimulated(false);
+    setFromCache(false);
+    setPendingUpload(null);
+    setIsExportOpen(false);
   };
 
   return (
@@ -206,11 +832,97 @@ const VideoTranscriptionApp = () => {
           <p className="text-gray-600 text-lg">
             Converta áudio de vídeos em texto automaticamente
           </p>
+          {!showDashboard && (
+            <button
+              type="button"
+              onClick={() => setShowDashboard(true)}
+              className="mt-3 inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <BarChart3 className="w-4 h-4 mr-1" />
+              Uso e custos
+            </button>
+          )}
         </div>
 
-        {/* Main Content */}
-        <div className="max-w-4xl mx-auto">
-          <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+        {showDashboard && <UsageDashboard onClose={() => setShowDashboard(false)} />}
+
+        {serverMode !== 'live' && (
+          <div className="max-w-6xl mx-auto mb-6 p-4 rounded-lg bg-yellow-50 border border-yellow-300 text-yellow-800 flex items-center">
+            <AlertCircle className="w-5 h-5 mr-3 shrink-0" />
+            {serverMode === 'mock'
+              ? 'Servidor em modo de teste (mock): as transcrições são simuladas e não refletem o áudio.'
+              : 'Nenhum provedor de transcrição está configurado no servidor. As transcrições vão falhar.'}
+          </div>
+        )}
+
+        {/* Main Content (fica montado enquanto o painel de uso está aberto) */}
+        <div className={`max-w-6xl mx-auto flex flex-col lg:flex-row gap-6 ${showDashboard ? 'hidden' : ''}`}>
+          {/* Histórico */}
+          <aside className="lg:w-72 shrink-0 bg-white rounded-2xl shadow-xl p-4 self-start">
+            <h2 className="text-lg font-medium text-gray-700 flex items-center mb-3">
+              <History className="w-5 h-5 mr-2" />
+              Histórico
+            </h2>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                loadHistory();
+              }}
+              className="relative mb-3"
+            >
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="search"
+                value={historyQuery}
+                onChange={(e) => {
+                  setHistoryQuery(e.target.value);
+                  if (!e.target.value) loadHistory('');
+                }}
+                placeholder="Buscar nas transcrições..."
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </form>
+            {history.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                {historyQuery ? 'Nenhuma transcrição encontrada.' : 'Nenhuma transcrição salva ainda.'}
+              </p>
+            ) : (
+              <ul className="space-y-2 max-h-[70vh] overflow-y-auto">
+                {history.map(item => (
+                  <li
+                    key={item.id}
+                    className={`group p-3 rounded-lg border cursor-pointer transition-colors ${
+                      item.id === transcriptId
+                        ? 'border-blue-400 bg-blue-50'
+                        : 'border-gray-200 hover:border-blue-300'
+                    }`}
+                    onClick={() => openTranscript(item.id)}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-700 break-all line-clamp-2">{item.title}</span>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteTranscript(item.id);
+                        }}
+                        className="text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                        title="Excluir"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(item.createdAt).toLocaleString('pt-BR')}
+                      {item.duration ? ` · ${formatTimestamp(item.duration * 1000)}` : ''}
+                    </p>
+                    <p className="text-xs text-gray-600 mt-1 line-clamp-2">{item.snippet || item.preview}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </aside>
+
+          <div className="flex-1 min-w-0 bg-white rounded-2xl shadow-xl overflow-hidden">
             {/* Tabs */}
             <div className="flex border-b border-gray-200">
               <button
@@ -246,6 +958,17 @@ const VideoTranscriptionApp = () => {
                 <Link className="w-5 h-5 inline-block mr-2" />
                 Instagram
               </button>
+              <button
+                onClick={() => setActiveTab('link')}
+                className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
+                  activeTab === 'link'
+                    ? 'bg-emerald-500 text-white'
+                    : 'text-gray-600 hover:text-emerald-500'
+                }`}
+              >
+                <Globe className="w-5 h-5 inline-block mr-2" />
+                Link
+              </button>
             </div>
 
             <div className="p-8">
@@ -255,14 +978,15 @@ const VideoTranscriptionApp = () => {
                   <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-blue-400 transition-colors">
                     <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
                     <h3 className="text-lg font-medium text-gray-700 mb-2">
-                      Envie seu vídeo
+                      Envie seus vídeos
                     </h3>
                     <p className="text-gray-500 mb-4">
-                      Suporta MP4, AVI, MOV, MKV (até 100MB)
+                      Suporta MP4, AVI, MOV, MKV, MP3, WAV e outros — arquivos grandes são enviados em partes
                     </p>
                     <input
                       type="file"
                       accept="video/*,audio/*"
+                      multiple
                       onChange={handleFileUpload}
                       className="hidden"
                       id="file-upload"
@@ -276,7 +1000,7 @@ const VideoTranscriptionApp = () => {
                           : 'bg-blue-500 text-white hover:bg-blue-600'
                       }`}
                     >
-                      {isProcessing ? 'Processando...' : 'Escolher Arquivo'}
+                      {isProcessing ? 'Processando...' : 'Escolher Arquivos'}
                     </label>
                     {uploadedFile && (
                       <p className="mt-4 text-sm text-gray-600">
@@ -300,7 +1024,7 @@ const VideoTranscriptionApp = () => {
                           YouTube
                         </h3>
                         <p className="text-gray-500 text-sm">
-                          Cole o link do vídeo do YouTube
+                          Cole o link do vídeo ou da playlist do YouTube
                         </p>
                       </div>
                     </div>
@@ -313,6 +1037,13 @@ const VideoTranscriptionApp = () => {
                         className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
                         disabled={isProcessing}
                       />
+                      <button
+                        onClick={() => handleProbeUrl(youtubeUrl)}
+                        disabled={!youtubeUrl.trim() || isProcessing || isProbing}
+                        className="px-4 py-3 rounded-lg border border-red-300 text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isProbing ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Verificar'}
+                      </button>
                       <button
                         onClick={handleYouTubeSubmit}
                         disabled={!youtubeUrl.trim() || isProcessing}
@@ -331,7 +1062,7 @@ const VideoTranscriptionApp = () => {
                       <ul className="text-red-700 text-sm space-y-1">
                         <li>• Vídeos públicos do YouTube</li>
                         <li>• YouTube Shorts</li>
-                        <li>• Listas de reprodução (vídeo individual)</li>
+                        <li>• Listas de reprodução (cada vídeo vira um item do lote)</li>
                         <li>• Máximo 2 horas de duração</li>
                       </ul>
                     </div>
@@ -384,23 +1115,350 @@ const VideoTranscriptionApp = () => {
                         <li>• Posts com vídeo</li>
                         <li>• Instagram Reels</li>
                         <li>• IGTV</li>
-                        <li>• Stories (se públicos)</li>
+                        <li>• Apenas contas públicas (Stories não são suportados)</li>
                       </ul>
                     </div>
                   </div>
                 </div>
               )}
 
+              {/* Link Tab */}
+              {activeTab === 'link' && (
+                <div>
+                  <div className="space-y-4">
+                    <div className="flex items-center gap-3 mb-4">
+                      <div className="w-10 h-10 bg-emerald-100 rounded-lg flex items-center justify-center">
+                        <Globe className="w-6 h-6 text-emerald-600" />
+                      </div>
+                      <div>
+                        <h3 className="text-lg font-medium text-gray-700">
+                          Link
+                        </h3>
+                        <p className="text-gray-500 text-sm">
+                          Cole um link direto de áudio/vídeo, feed de podcast ou faixa do SoundCloud
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex gap-3">
+                      <input
+                        type="url"
+                        value={mediaUrl}
+                        onChange={(e) => setMediaUrl(e.target.value)}
+                        placeholder="https://exemplo.com/episodio.mp3"
+                        className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                        disabled={isProcessing}
+                      />
+                      <button
+                        onClick={() => handleProbeUrl(mediaUrl)}
+                        disabled={!mediaUrl.trim() || isProcessing || isProbing}
+                        className="px-4 py-3 rounded-lg border border-emerald-300 text-emerald-600 hover:bg-emerald-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isProbing ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Verificar'}
+                      </button>
+                      <button
+                        onClick={handleLinkSubmit}
+                        disabled={!mediaUrl.trim() || isProcessing}
+                        className="bg-emerald-500 text-white px-6 py-3 rounded-lg hover:bg-emerald-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                      >
+                        {isProcessing ? (
+                          <Loader2 className="w-5 h-5 animate-spin" />
+                        ) : (
+                          <Globe className="w-5 h-5" />
+                        )}
+                        Transcrever
+                      </button>
+                    </div>
+                    <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-4">
+                      <h4 className="font-medium text-emerald-800 mb-2">Formatos suportados:</h4>
+                      <ul className="text-emerald-700 text-sm space-y-1">
+                        <li>• Links diretos (.mp4, .mp3, .wav, .m4a...)</li>
+                        <li>• Feeds RSS de podcast (episódio mais recente)</li>
+                        <li>• Faixas do SoundCloud</li>
+                        <li>• Vídeos do YouTube e do Instagram</li>
+                      </ul>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Opções de transcrição */}
+              <div className="mt-6 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <Languages className="w-4 h-4" />
+                <label htmlFor="language">Idioma do áudio:</label>
+                <select
+                  id="language"
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  disabled={isProcessing}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                >
+                  {languages.map(item => (
+                    <option key={item.code} value={item.code}>{item.name}</option>
+                  ))}
+                </select>
+                <Users className="w-4 h-4 ml-4" />
+                <label htmlFor="speakers">Identificar falantes:</label>
+                <select
+                  id="speakers"
+                  value={speakers}
+                  onChange={(e) => setSpeakers(e.target.value)}
+                  disabled={isProcessing}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                >
+                  {SPEAKER_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {providers.length > 1 && (
+                  <>
+                    <label htmlFor="provider" className="ml-4">Mecanismo:</label>
+                    <select
+                      id="provider"
+                      value={provider}
+                      onChange={(e) => setProvider(e.target.value)}
+                      disabled={isProcessing}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Padrão do servidor</option>
+                      {providers.map(item => (
+                        <option key={item.name} value={item.name}>{item.label}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                <BookMarked className="w-4 h-4 ml-4" />
+                <label htmlFor="vocabulary">Vocabulário:</label>
+                <select
+                  id="vocabulary"
+                  value={vocabularyId}
+                  onChange={(e) => setVocabularyId(e.target.value)}
+                  disabled={isProcessing}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Nenhum</option>
+                  {vocabularies.map(item => (
+                    <option key={item.id} value={item.id}>{item.name}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setShowVocabulary(!showVocabulary)}
+                  className="flex items-center gap-1 text-blue-600 hover:text-blue-700"
+                >
+                  Gerenciar listas
+                  {showVocabulary ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+                <label className="ml-4 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={wantInsights}
+                    onChange={(e) => setWantInsights(e.target.checked)}
+                    disabled={isProcessing}
+                  />
+                  Resumo, capítulos e palavras-chave
+                </label>
+                <label className="ml-4 flex items-center gap-1" title="Mídias já transcritas com as mesmas opções voltam do histórico na hora">
+                  <input
+                    type="checkbox"
+                    checked={forceRefresh}
+                    onChange={(e) => setForceRefresh(e.target.checked)}
+                    disabled={isProcessing}
+                  />
+                  Transcrever de novo (ignorar cache)
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setShowPreprocessing(!showPreprocessing)}
+                  className="ml-4 flex items-center gap-1 text-blue-600 hover:text-blue-700"
+                >
+                  <SlidersHorizontal className="w-4 h-4" />
+                  Pré-processamento
+                  {trimStart || trimEnd || audioTrack || audioFilters.length > 0 ? ' (ativo)' : ''}
+                  {showPreprocessing ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+              </div>
+
+              {/* Listas de vocabulário */}
+              {showVocabulary && (
+                <VocabularyManager vocabularies={vocabularies} onChange={loadVocabularies} />
+              )}
+
+              {/* Pré-processamento do áudio */}
+              {showPreprocessing && (
+                <div className="mt-3 p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-600 space-y-3">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label htmlFor="trim-start">Transcrever de</label>
+                    <input
+                      id="trim-start"
+                      value={trimStart}
+                      onChange={(e) => setTrimStart(e.target.value)}
+                      placeholder="00:00"
+                      disabled={isProcessing}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                    <label htmlFor="trim-end">até</label>
+                    <input
+                      id="trim-end"
+                      value={trimEnd}
+                      onChange={(e) => setTrimEnd(e.target.value)}
+                      placeholder="fim"
+                      disabled={isProcessing}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="text-xs text-gray-500">(segundos ou MM:SS)</span>
+                    <label htmlFor="audio-track" className="ml-4">Faixa de áudio:</label>
+                    <select
+                      id="audio-track"
+                      value={audioTrack}
+                      onChange={(e) => setAudioTrack(e.target.value)}
+                      disabled={isProcessing}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Padrão</option>
+                      {[0, 1, 2, 3, 4, 5].map(track => (
+                        <option key={track} value={track}>{`Faixa ${track + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4">
+                    <span>Filtros:</span>
+                    {filterPresets.map(preset => (
+                      <label key={preset.name} className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={audioFilters.includes(preset.name)}
+                          onChange={(e) => setAudioFilters(current => (e.target.checked
+                            ? [...current, preset.name]
+                            : current.filter(name => name !== preset.name)))}
+                          disabled={isProcessing}
+                        />
+                        {preset.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Verificação da mídia */}
+              {probe && (
+                <div className="mt-6 p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-700">
+                  <p className="font-medium break-all">{probe.title}</p>
+                  <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1">
+                    <span>
+                      Duração: {probe.durationSeconds ? formatTimestamp(probe.durationSeconds * 1000) : 'desconhecida'}
+                      {probe.effectiveSeconds && probe.durationSeconds - probe.effectiveSeconds > 0.5
+                        ? ` (trecho de ${formatTimestamp(probe.effectiveSeconds * 1000)})`
+                        : ''}
+                    </span>
+                    {probe.audioStreams.length > 0 && (
+                      <span>
+                        Áudio: {probe.audioStreams.length} faixa(s) · {probe.audioStreams.map(stream => stream.codec).join(', ')}
+                      </span>
+                    )}
+                    {probe.videoStreams.length > 0 && probe.videoStreams[0].width && (
+                      <span>Vídeo: {probe.videoStreams[0].width}×{probe.videoStreams[0].height}</span>
+                    )}
+                    <span>Processamento estimado: {formatEstimate(probe.estimatedProcessingSeconds)}</span>
+                    {probe.segmented && <span>Será transcrito em trechos paralelos</span>}
+                  </div>
+                  {pendingUpload && (
+                    <div className="mt-4 flex gap-3">
+                      <button
+                        onClick={startPendingUpload}
+                        className="px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-colors flex items-center"
+                      >
+                        <Play className="w-4 h-4 mr-2" />
+                        Iniciar transcrição
+                      </button>
+                      <button
+                        onClick={discardPendingUpload}
+                        className="px-4 py-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors"
+                      >
+                        Cancelar
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Status */}
-              {status === 'processing' && (
+              {status === 'processing' && !batch && (
                 <div className="mt-8 p-4 rounded-lg bg-blue-50 border border-blue-200">
-                  <div className="flex items-center justify-center text-blue-600">
-                    <Loader2 className="w-6 h-6 animate-spin mr-3" />
-                    <span className="font-medium">Processando vídeo... Isso pode levar alguns minutos.</span>
+                  <div className="flex items-center justify-between text-blue-600">
+                    <div className="flex items-center">
+                      <Loader2 className="w-6 h-6 animate-spin mr-3" />
+                      <span className="font-medium">
+                        {job ? STAGE_LABELS[job.stage] || job.stage : uploadPercent !== null ? 'Enviando arquivo' : 'Enviando...'}
+                      </span>
+                    </div>
+                    {job ? (
+                      <span className="text-sm">{describeProgress(job)}</span>
+                    ) : uploadPercent !== null && (
+                      <span className="text-sm">{uploadPercent}%</span>
+                    )}
+                  </div>
+                  <div className="mt-3 h-2 bg-blue-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 transition-all duration-300"
+                      style={{ width: `${job ? overallPercent(job) : uploadPercent || 0}%` }}
+                    />
                   </div>
                 </div>
               )}
               
+              {/* Lote */}
+              {batch && (
+                <div className="mt-8 p-4 rounded-lg bg-blue-50 border border-blue-200">
+                  <div className="flex items-center justify-between gap-3 text-blue-700">
+                    <div className="flex items-center min-w-0">
+                      {batch.finished ? (
+                        <CheckCircle className="w-6 h-6 mr-3 flex-shrink-0" />
+                      ) : (
+                        <Loader2 className="w-6 h-6 animate-spin mr-3 flex-shrink-0" />
+                      )}
+                      <span className="font-medium truncate">
+                        {batch.title ? `Lote: ${batch.title}` : 'Lote'} · {batch.done}/{batch.total} concluído(s)
+                        {batch.failed > 0 ? ` · ${batch.failed} com erro` : ''}
+                      </span>
+                    </div>
+                    {batch.finished && batch.done > 0 && (
+                      <a
+                        href={`/api/batches/${batch.id}/download`}
+                        className="px-3 py-1 text-sm rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-colors flex items-center flex-shrink-0"
+                      >
+                        <Download className="w-4 h-4 mr-1" />
+                        Baixar ZIP
+                      </a>
+                    )}
+                  </div>
+                  <div className="mt-3 h-2 bg-blue-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 transition-all duration-300"
+                      style={{ width: `${batch.percent}%` }}
+                    />
+                  </div>
+                  <ul className="mt-4 space-y-2 max-h-72 overflow-y-auto">
+                    {batch.items.map(item => (
+                      <li key={item.jobId} className="flex items-center justify-between gap-3 text-sm">
+                        <span className="text-gray-700 truncate" title={item.error || item.title}>{item.title}</span>
+                        {item.transcriptId ? (
+                          <button
+                            onClick={() => openTranscript(item.transcriptId)}
+                            className="text-blue-600 hover:underline flex-shrink-0"
+                          >
+                            Abrir
+                          </button>
+                        ) : (
+                          <span className={`flex-shrink-0 ${item.stage === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                            {STAGE_LABELS[item.stage] || item.stage}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {status === 'completed' && (
                 <div className="mt-8 p-4 rounded-lg bg-green-50 border border-green-200">
                   <div className="flex items-center text-green-600">
@@ -429,8 +1487,67 @@ const VideoTranscriptionApp = () => {
                     <h3 className="text-lg font-medium text-gray-700 flex items-center">
                       <FileText className="w-5 h-5 mr-2" />
                       Transcrição
+                      {isSimulated && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded bg-yellow-100 text-yellow-800">
+                          Simulada
+                        </span>
+                      )}
+                      {fromCache && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded bg-green-100 text-green-800" title="Mesma mídia e mesmas opções de uma transcrição anterior">
+                          Do cache
+                        </span>
+                      )}
+                      {languageDetected && (
+                        <span className="ml-3 text-sm font-normal text-gray-500">
+                          {languageName(languageDetected)}
+                          {confidence !== null && ` · ${Math.round(confidence * 100)}% de confiança`}
+                        </span>
+                      )}
                     </h3>
-                    <div className="flex gap-2">
+                    <div className="flex flex-wrap gap-2">
+                      {transcriptId && words.length > 0 && (
+                        <button
+                          onClick={() => setIsEditing(!isEditing)}
+                          className={`px-4 py-2 rounded-lg transition-colors flex items-center ${
+                            isEditing
+                              ? 'bg-indigo-600 text-white'
+                              : 'bg-indigo-500 text-white hover:bg-indigo-600'
+                          }`}
+                        >
+                          <PenLine className="w-4 h-4 mr-2" />
+                          {isEditing ? 'Fechar editor' : 'Editor'}
+                        </button>
+                      )}
+                      {transcriptId && (
+                        <button
+                          onClick={generateInsights}
+                          disabled={isGeneratingInsights}
+                          className={`px-4 py-2 rounded-lg transition-colors flex items-center ${
+                            isGeneratingInsights
+                              ? 'bg-gray-400 cursor-not-allowed'
+                              : 'bg-amber-500 text-white hover:bg-amber-600'
+                          }`}
+                          title="Gerar com o algoritmo local, a partir do texto atual"
+                        >
+                          {isGeneratingInsights ? (
+                            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                          ) : (
+                            <Sparkles className="w-4 h-4 mr-2" />
+                          )}
+                          {insights ? 'Refazer resumo' : 'Resumir'}
+                        </button>
+                      )}
+                      <select
+                        value={targetLanguage}
+                        onChange={(e) => setTargetLanguage(e.target.value)}
+                        disabled={isTranslating || isFormatting}
+                        className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                        title="Idioma de destino da tradução"
+                      >
+                        {languages.filter(item => item.code !== 'auto').map(item => (
+                          <option key={item.code} value={item.code}>{item.name}</option>
+                        ))}
+                      </select>
                       <button
                         onClick={() => processText(transcription, true, false)}
                         disabled={isTranslating || isFormatting}
@@ -493,6 +1610,58 @@ const VideoTranscriptionApp = () => {
                           </>
                         )}
                       </button>
+                      {(transcriptId || job) && words.length > 0 && ['srt', 'vtt'].map((format) => (
+                        <a
+                          key={format}
+                          href={transcriptId
+                            ? `/api/transcripts/${transcriptId}/subtitles?format=${format}`
+                            : `/api/jobs/${job.id}/subtitles?format=${format}`}
+                          download
+                          className="px-4 py-2 rounded-lg transition-colors flex items-center bg-teal-500 text-white hover:bg-teal-600"
+                        >
+                          <Download className="w-4 h-4 mr-2" />
+                          {format.toUpperCase()}
+                        </a>
+                      ))}
+                      {(transcriptId || job) && (
+                        <div className="relative">
+                          <button
+                            onClick={() => setIsExportOpen(!isExportOpen)}
+                            className="px-4 py-2 rounded-lg transition-colors flex items-center bg-indigo-500 text-white hover:bg-indigo-600"
+                          >
+                            <FileDown className="w-4 h-4 mr-2" />
+                            Exportar
+                            <ChevronDown className="w-4 h-4 ml-1" />
+                          </button>
+                          {isExportOpen && (
+                            <div className="absolute right-0 mt-2 w-56 p-3 space-y-1 bg-white border border-gray-200 rounded-lg shadow-lg z-20 text-sm">
+                              <label htmlFor="export-timestamps" className="block text-gray-600">Marcar o tempo</label>
+                              <select
+                                id="export-timestamps"
+                                value={exportTimestamps}
+                                onChange={(e) => setExportTimestamps(e.target.value)}
+                                className="w-full mb-2 px-2 py-1 border border-gray-300 rounded-lg"
+                              >
+                                <option value="">Não marcar</option>
+                                <option value="30">A cada 30 s</option>
+                                <option value="60">A cada 1 min</option>
+                                <option value="300">A cada 5 min</option>
+                              </select>
+                              {EXPORT_OPTIONS.map(option => (
+                                <a
+                                  key={option.format}
+                                  href={exportUrl(option.format)}
+                                  download
+                                  onClick={() => setIsExportOpen(false)}
+                                  className="block px-2 py-1 rounded text-gray-700 hover:bg-gray-100"
+                                >
+                                  {option.label}
+                                </a>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
                       <button
                         onClick={resetApp}
                         className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors"
@@ -501,11 +1670,112 @@ const VideoTranscriptionApp = () => {
                       </button>
                     </div>
                   </div>
-                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-6">
-                    <pre className="whitespace-pre-wrap text-gray-700 text-sm font-sans">
-                      {processedTranscription || transcription}
-                    </pre>
-                  </div>
+                  {insights && !isEditing && (
+                    <div className="mb-4 border border-amber-200 rounded-lg divide-y divide-amber-100 bg-amber-50 text-sm">
+                      {[
+                        { key: 'summary', label: 'Resumo', empty: !insights.summary },
+                        { key: 'chapters', label: `Capítulos (${insights.chapters.length})`, empty: insights.chapters.length === 0 },
+                        { key: 'keyPhrases', label: `Palavras-chave (${insights.keyPhrases.length})`, empty: insights.keyPhrases.length === 0 }
+                      ].filter(section => !section.empty).map(section => (
+                        <div key={section.key}>
+                          <button
+                            type="button"
+                            onClick={() => toggleInsights(section.key)}
+                            className="w-full px-4 py-2 flex items-center justify-between font-medium text-amber-900 hover:bg-amber-100"
+                          >
+                            {section.label}
+                            {openInsights[section.key] ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                          </button>
+                          {openInsights[section.key] && (
+                            <div className="px-4 pb-3 text-gray-700">
+                              {section.key === 'summary' && (
+                                <p className="whitespace-pre-line">{insights.summary}</p>
+                              )}
+                              {section.key === 'chapters' && (
+                                <ol className="space-y-2">
+                                  {insights.chapters.map((chapter, index) => (
+                                    <li key={index} className="flex gap-3">
+                                      <span className="w-14 shrink-0 text-xs text-gray-500 pt-0.5">{formatTimestamp(chapter.start)}</span>
+                                      <div>
+                                        <p className="font-medium text-gray-800">{chapter.headline}</p>
+                                        <p className="text-gray-600">{chapter.summary}</p>
+                                      </div>
+                                    </li>
+                                  ))}
+                                </ol>
+                              )}
+                              {section.key === 'keyPhrases' && (
+                                <div className="flex flex-wrap gap-2">
+                                  {insights.keyPhrases.map(phrase => (
+                                    <span key={phrase.text} className="px-2 py-1 rounded-full bg-white border border-amber-200 text-xs">
+                                      {phrase.text}
+                                      {phrase.count > 1 && <span className="ml-1 text-gray-400">×{phrase.count}</span>}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {!isEditing && (
+                    <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-600">
+                      <span>Ao formatar:</span>
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={formatOptions.removeFillers}
+                          onChange={(e) => setFormatOptions({ ...formatOptions, removeFillers: e.target.checked })}
+                          className="mr-2"
+                        />
+                        Remover hesitações ("é", "tipo", "hum")
+                      </label>
+                      <label className="flex items-center" title="Disponível para a transcrição original, que tem os tempos das palavras">
+                        <input
+                          type="checkbox"
+                          checked={formatOptions.timestamps}
+                          onChange={(e) => setFormatOptions({ ...formatOptions, timestamps: e.target.checked })}
+                          disabled={words.length === 0 || Boolean(processedTranscription)}
+                          className="mr-2"
+                        />
+                        Marcar o tempo de cada parágrafo
+                      </label>
+                    </div>
+                  )}
+                  {isEditing ? (
+                    <TranscriptEditor
+                      words={words}
+                      mediaUrl={playbackUrl}
+                      mediaOffset={playbackOffset}
+                      onSave={saveEdits}
+                    />
+                  ) : utterances.length > 0 && !processedTranscription ? (
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-6 space-y-4">
+                      {utterances.map((utterance, index) => (
+                        <div key={index} className="flex gap-4">
+                          <div className="w-40 shrink-0">
+                            <input
+                              type="text"
+                              value={speakerName(utterance.speaker)}
+                              onChange={(e) => setSpeakerNames({ ...speakerNames, [utterance.speaker]: e.target.value })}
+                              className="w-full font-medium text-indigo-700 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-indigo-500 focus:outline-none"
+                              title="Clique para renomear o falante"
+                            />
+                            <span className="text-xs text-gray-500">{formatTimestamp(utterance.start)}</span>
+                          </div>
+                          <p className="text-gray-700 text-sm">{utterance.text}</p>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-6">
+                      <pre className="whitespace-pre-wrap text-gray-700 text-sm font-sans">
+                        {processedTranscription || transcription}
+                      </pre>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
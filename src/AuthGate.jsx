@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Loader2, LogOut } from 'lucide-react';
+
+// Cota do dia em texto curto (ex.: "12 de 120 min hoje")
+const formatQuota = (key) => {
+  if (!key || key.admin) return 'Administrador';
+  const used = Math.round(key.usageToday?.minutes || 0);
+  return key.dailyMinutes ? `${used} de ${key.dailyMinutes} min hoje` : `${used} min hoje`;
+};
+
+// Pede a chave de API quando o servidor exige autenticação (/api/auth/session).
+// O login vira um cookie de sessão, então o restante da interface continua
+// usando fetch, EventSource e links de download sem cabeçalhos extras.
+const AuthGate = ({ children }) => {
+  const [session, setSession] = useState(null);
+  const [apiKey, setApiKey] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSession = () => {
+    fetch('/api/auth/session')
+      .then(response => response.json())
+      .then(setSession)
+      .catch(() => setSession({ authRequired: false, authenticated: false, key: null }));
+  };
+
+  useEffect(loadSession, []);
+
+  const login = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch('/api/auth/session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ apiKey }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao entrar');
+      }
+      setApiKey('');
+      setSession(data);
+    } catch (loginError) {
+      setError(loginError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const logout = async () => {
+    await fetch('/api/auth/session', { method: 'DELETE' });
+    loadSession();
+  };
+
+  if (!session) {
+    return null;
+  }
+
+  if (session.authRequired && !session.authenticated) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <form onSubmit={login} className="w-full max-w-md bg-white rounded-xl shadow-lg p-8 space-y-4">
+          <div className="flex items-center text-gray-800">
+            <KeyRound className="w-6 h-6 mr-2 text-blue-500" />
+            <h1 className="text-xl font-semibold">Entrar com a chave de API</h1>
+          </div>
+          <p className="text-sm text-gray-600">
+            Este servidor exige autenticação. Peça uma chave ao administrador.
+          </p>
+          <input
+            type="password"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            placeholder="tvk_..."
+            autoFocus
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={isSubmitting || !apiKey.trim()}
+            className="w-full px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-400 transition-colors flex items-center justify-center"
+          >
+            {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Entrar
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {session.authenticated && (
+        <div className="fixed top-3 right-3 z-10 flex items-center gap-2 px-3 py-1.5 rounded-full bg-white shadow text-xs text-gray-600">
+          <KeyRound className="w-3.5 h-3.5 text-blue-500" />
+          <span className="font-medium text-gray-800">{session.key?.name}</span>
+          <span>· {formatQuota(session.key)}</span>
+          <button
+            type="button"
+            onClick={logout}
+            className="ml-1 p-0.5 text-gray-500 hover:text-red-600"
+            title="Sair"
+          >
+            <LogOut className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+      {children}
+    </>
+  );
+};
+
+export default AuthGate;
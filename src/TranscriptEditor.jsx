@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Save, Loader2, CheckCircle } from 'lucide-react';
+
+// Índice da palavra em reprodução (busca binária pelos tempos em ms)
+const findWordIndex = (words, timeMs) => {
+  let low = 0;
+  let high = words.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (words[middle].start <= timeMs) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found >= 0 && timeMs <= words[found].end + 500 ? found : -1;
+};
+
+// Editor da transcrição sincronizado com o player: a palavra atual fica
+// destacada, um clique leva o player até a palavra e um duplo clique edita o texto.
+// `mediaOffset` (segundos) é o ponto da mídia original onde o áudio começa
+// (transcrições cortadas têm tempos relativos à mídia original).
+const TranscriptEditor = ({ words, mediaUrl, mediaOffset = 0, onSave }) => {
+  const audioRef = useRef(null);
+  const activeWordRef = useRef(null);
+  const [currentTimeMs, setCurrentTimeMs] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [edits, setEdits] = useState(() => words.map(word => word.text));
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSaved, setIsSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setEdits(words.map(word => word.text));
+  }, [words]);
+
+  const activeIndex = useMemo(() => findWordIndex(words, currentTimeMs), [words, currentTimeMs]);
+  const isDirty = edits.some((text, index) => text !== words[index]?.text);
+
+  // Mantém a palavra atual visível durante a reprodução
+  useEffect(() => {
+    if (isPlaying && activeWordRef.current) {
+      activeWordRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeIndex, isPlaying]);
+
+  const seekTo = (word) => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = Math.max(0, word.start / 1000 - mediaOffset);
+    setCurrentTimeMs(word.start);
+    audioRef.current.play();
+  };
+
+  const commitEdit = (index, text) => {
+    setEdits(current => current.map((value, i) => (i === index ? text : value)));
+    setEditingIndex(null);
+    setIsSaved(false);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSave(edits.map(text => ({ text })));
+      setIsSaved(true);
+    } catch (error) {
+      console.error('Erro ao salvar edição:', error);
+      setError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="sticky top-0 z-10 bg-gray-50 border-b border-gray-200 p-4 flex flex-wrap items-center gap-3">
+        {mediaUrl ? (
+          <audio
+            ref={audioRef}
+            src={mediaUrl}
+            controls
+            className="flex-1 min-w-[240px]"
+            onTimeUpdate={(e) => setCurrentTimeMs((e.target.currentTime + mediaOffset) * 1000)}
+            onPlay={() => setIsPlaying(true)}
+            onPause={() => setIsPlaying(false)}
+          />
+        ) : (
+          <p className="flex-1 text-sm text-gray-500">Áudio não disponível para esta transcrição.</p>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || isSaving}
+          className="px-4 py-2 rounded-lg transition-colors flex items-center bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : isSaved && !isDirty ? (
+            <CheckCircle className="w-4 h-4 mr-2" />
+          ) : (
+            <Save className="w-4 h-4 mr-2" />
+          )}
+          {isSaved && !isDirty ? 'Salvo' : 'Salvar edição'}
+        </button>
+      </div>
+      {error && <p className="px-4 pt-3 text-sm text-red-600">{error}</p>}
+      <p className="px-4 pt-3 text-xs text-gray-500">
+        Clique em uma palavra para ouvir o trecho; clique duas vezes para corrigir. Deixe em branco para remover a palavra.
+      </p>
+      <div className="p-4 text-sm leading-7 text-gray-700 max-h-[60vh] overflow-y-auto">
+        {words.map((word, index) => (
+          <React.Fragment key={index}>
+            {editingIndex === index ? (
+              <input
+                autoFocus
+                defaultValue={edits[index]}
+                size={Math.max(edits[index].length, 3)}
+                className="px-1 border border-indigo-400 rounded focus:outline-none"
+                onBlur={(e) => commitEdit(index, e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitEdit(index, e.target.value);
+                  if (e.key === 'Escape') setEditingIndex(null);
+                }}
+              />
+            ) : (
+              <span
+                ref={index === activeIndex ? activeWordRef : null}
+                onClick={() => seekTo(word)}
+                onDoubleClick={() => setEditingIndex(index)}
+                title={`${(word.start / 1000).toFixed(1)}s`}
+                className={`cursor-pointer rounded px-0.5 ${
+                  index === activeIndex ? 'bg-yellow-200' : 'hover:bg-gray-200'
+                } ${edits[index] !== word.text ? 'text-indigo-700 underline decoration-dotted' : ''} ${
+                  edits[index] === '' ? 'line-through text-gray-400' : ''
+                }`}
+              >
+                {edits[index] || word.text}
+              </span>
+            )}{' '}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptEditor;
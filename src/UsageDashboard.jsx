@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, BarChart3, Loader2, RefreshCw, XCircle } from 'lucide-react';
+
+const PERIOD_OPTIONS = [7, 30, 90];
+
+// Data ISO (aaaa-mm-dd) como dd/mm
+const shortDate = (date) => `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+
+const formatMinutes = (minutes) => (minutes >= 120 ? `${(minutes / 60).toFixed(1)} h` : `${minutes.toFixed(1)} min`);
+
+const formatCost = (value, currency) => new Intl.NumberFormat('pt-BR', {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 4
+}).format(value);
+
+const formatPercent = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+// Gráfico de barras (empilhadas) por dia, feito só com divs.
+// `series`: [{ key, label, color }]; cada item de `data` traz um valor por série.
+const BarChart = ({ title, data, series, format }) => {
+  const max = Math.max(0, ...data.map(item => series.reduce((total, serie) => total + item[serie.key], 0)));
+  const labelEvery = Math.ceil(data.length / 10);
+
+  return (
+    <div className="bg-white rounded-xl shadow p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-gray-700">{title}</h3>
+        {series.length > 1 && (
+          <div className="flex gap-3 text-xs text-gray-500">
+            {series.map(serie => (
+              <span key={serie.key} className="flex items-center gap-1">
+                <span className={`w-2.5 h-2.5 rounded-sm ${serie.color}`} />
+                {serie.label}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="flex items-end gap-px h-40 border-b border-gray-200">
+        {data.map(item => {
+          const total = series.reduce((sum, serie) => sum + item[serie.key], 0);
+          return (
+            <div
+              key={item.date}
+              className="flex-1 flex flex-col-reverse h-full"
+              title={`${shortDate(item.date)}: ${series.map(serie => `${serie.label} ${format(item[serie.key])}`).join(' · ')}`}
+            >
+              {max > 0 && total > 0 && series.map(serie => (
+                <div
+                  key={serie.key}
+                  className={serie.color}
+                  style={{ height: `${(item[serie.key] / max) * 100}%` }}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-px mt-1 text-[10px] text-gray-400">
+        {data.map((item, index) => (
+          <div key={item.date} className="flex-1 text-center overflow-hidden">
+            {index % labelEvery === 0 ? shortDate(item.date) : ''}
+          </div>
+        ))}
+      </div>
+      {max === 0 && <p className="mt-2 text-xs text-gray-400 text-center">Sem dados no período</p>}
+    </div>
+  );
+};
+
+// Tabela com os totais de cada grupo (usuário, provedor ou origem)
+const TotalsTable = ({ title, rows, labelOf, currency }) => (
+  <div className="bg-white rounded-xl shadow p-4 overflow-x-auto">
+    <h3 className="font-medium text-gray-700 mb-3">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-400">Nenhum job no período</p>
+    ) : (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 border-b">
+            <th className="py-1 pr-2 font-normal">Nome</th>
+            <th className="py-1 px-2 font-normal text-right">Jobs</th>
+            <th className="py-1 px-2 font-normal text-right">Falhas</th>
+            <th className="py-1 px-2 font-normal text-right">Transcrito</th>
+            <th className="py-1 pl-2 font-normal text-right">Custo</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={labelOf(row)} className="border-b last:border-0 text-gray-700">
+              <td className="py-1 pr-2">{labelOf(row)}</td>
+              <td className="py-1 px-2 text-right">{row.totals.jobs}</td>
+              <td className="py-1 px-2 text-right">{row.totals.failed}</td>
+              <td className="py-1 px-2 text-right">{formatMinutes(row.totals.billedMinutes)}</td>
+              <td className="py-1 pl-2 text-right">{formatCost(row.totals.cost, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// Painel de uso e custos (/api/stats): minutos enviados aos provedores, custo
+// estimado e falhas, por dia, usuário, provedor e origem
+const UsageDashboard = ({ onClose }) => {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStats = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/stats?days=${days}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar estatísticas');
+      }
+      setStats(data);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStats();
+  }, [days]);
+
+  const currency = stats?.currency || 'USD';
+  const totals = stats?.totals;
+  const averageProcessing = totals && totals.jobs > 0 ? totals.processingSeconds / totals.jobs : null;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+          <BarChart3 className="w-6 h-6 mr-2 text-blue-500" />
+          Uso e custos
+        </h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+          >
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option} value={option}>Últimos {option} dias</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadStats}
+            disabled={isLoading}
+            className="p-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-white transition-colors"
+            title="Atualizar"
+          >
+            {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-2 rounded-lg border border-gray-300 text-sm text-gray-600 hover:bg-white transition-colors flex items-center"
+          >
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Voltar
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">{error}</div>
+      )}
+
+      {stats && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Jobs', value: totals.jobs, detail: `${totals.cached} do cache` },
+              { label: 'Áudio transcrito', value: formatMinutes(totals.billedMinutes), detail: `${formatMinutes(totals.audioMinutes)} no total` },
+              { label: 'Custo estimado', value: formatCost(totals.cost, currency), detail: Object.entries(stats.rates).filter(([, rate]) => rate > 0).map(([name, rate]) => `${name}: ${formatCost(rate, currency)}/min`).join(' · ') || 'sem custo por minuto' },
+              { label: 'Falhas', value: totals.failed, detail: formatPercent(totals.failureRate) },
+              { label: 'Processamento médio', value: averageProcessing === null ? '—' : `${Math.round(averageProcessing)} s`, detail: 'por job' }
+            ].map(card => (
+              <div key={card.label} className="bg-white rounded-xl shadow p-4">
+                <p className="text-xs text-gray-500">{card.label}</p>
+                <p className="text-2xl font-semibold text-gray-800">{card.value}</p>
+                <p className="text-xs text-gray-400 truncate" title={card.detail}>{card.detail}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-4">
+            <BarChart
+              title="Minutos transcritos por dia"
+              data={stats.byDay}
+              series={[{ key: 'billedMinutes', label: 'Minutos', color: 'bg-blue-500' }]}
+              format={formatMinutes}
+            />
+            <BarChart
+              title="Custo estimado por dia"
+              data={stats.byDay}
+              series={[{ key: 'cost', label: 'Custo', color: 'bg-indigo-500' }]}
+              format={(value) => formatCost(value, currency)}
+            />
+            <BarChart
+              title="Jobs por dia"
+              data={stats.byDay}
+              series={[
+                { key: 'done', label: 'Concluídos', color: 'bg-green-500' },
+                { key: 'failed', label: 'Falhas', color: 'bg-red-500' }
+              ]}
+              format={(value) => String(value)}
+            />
+            <div className="bg-white rounded-xl shadow p-4">
+              <h3 className="font-medium text-gray-700 mb-3">Falhas por código</h3>
+              {stats.failuresByCode.length === 0 ? (
+                <p className="text-sm text-gray-400">Nenhuma falha no período</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {stats.failuresByCode.map(item => (
+                    <li key={item.errorCode}>
+                      <div className="flex justify-between text-gray-700">
+                        <span className="font-mono text-xs">{item.errorCode}</span>
+                        <span>{item.count}</span>
+                      </div>
+                      <div className="h-1.5 bg-gray-100 rounded">
+                        <div
+                          className="h-1.5 bg-red-400 rounded"
+                          style={{ width: `${(item.count / totals.failed) * 100}%` }}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="grid lg:grid-cols-3 gap-4">
+            <TotalsTable title="Por usuário" rows={stats.byUser} labelOf={(row) => row.name} currency={currency} />
+            <TotalsTable title="Por provedor" rows={stats.byProvider} labelOf={(row) => row.provider} currency={currency} />
+            <TotalsTable title="Por origem" rows={stats.bySourceType} labelOf={(row) => row.sourceType} currency={currency} />
+          </div>
+
+          {stats.recentFailures.length > 0 && (
+            <div className="bg-white rounded-xl shadow p-4">
+              <h3 className="font-medium text-gray-700 mb-3">Falhas recentes</h3>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {stats.recentFailures.map(failure => (
+                  <li key={failure.jobId} className="py-2 flex items-start gap-2">
+                    <XCircle className="w-4 h-4 mt-0.5 text-red-500 shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-gray-700 break-words">{failure.error}</p>
+                      <p className="text-xs text-gray-400">
+                        {new Date(failure.finishedAt).toLocaleString('pt-BR')} · {failure.sourceType}
+                        {failure.errorCode && ` · ${failure.errorCode}`}
+                        {failure.user && ` · ${failure.user.name}`}
+                      </p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { Loader2, Save, Trash2, PenLine } from 'lucide-react';
+
+const EMPTY_FORM = { id: null, name: '', boostTerms: '', boostParam: 'default', spellings: '' };
+
+const BOOST_LABELS = {
+  low: 'Reforço leve',
+  default: 'Reforço normal',
+  high: 'Reforço forte'
+};
+
+// Grafias em texto, uma por linha: "assembly ai, assembli => AssemblyAI"
+const spellingsToText = (spellings) => spellings
+  .map(spelling => `${spelling.from.join(', ')} => ${spelling.to}`)
+  .join('\n');
+
+const textToSpellings = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [from = '', to = ''] = line.split('=>');
+    return { from: from.split(',').map(item => item.trim()).filter(Boolean), to: to.trim() };
+  });
+
+const toForm = (vocabulary) => ({
+  id: vocabulary.id,
+  name: vocabulary.name,
+  boostTerms: vocabulary.boostTerms.join('\n'),
+  boostParam: vocabulary.boostParam,
+  spellings: spellingsToText(vocabulary.spellings)
+});
+
+// Cadastro das listas de vocabulário (termos reforçados e grafias corrigidas).
+// `onChange` é chamado depois de cada alteração para recarregar as listas.
+const VocabularyManager = ({ vocabularies, onChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(form.id ? `/api/vocabularies/${form.id}` : '/api/vocabularies', {
+        method: form.id ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: form.name,
+          boostTerms: form.boostTerms.split('\n').map(term => term.trim()).filter(Boolean),
+          boostParam: form.boostParam,
+          spellings: textToSpellings(form.spellings)
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao salvar lista');
+      }
+      setForm(EMPTY_FORM);
+      onChange();
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const remove = async (vocabulary) => {
+    if (!window.confirm(`Excluir a lista "${vocabulary.name}"?`)) {
+      return;
+    }
+    const response = await fetch(`/api/vocabularies/${vocabulary.id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      setError('Erro ao excluir lista');
+      return;
+    }
+    if (form.id === vocabulary.id) {
+      setForm(EMPTY_FORM);
+    }
+    onChange();
+  };
+
+  return (
+    <div className="mt-3 p-4 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-600 space-y-4">
+      {vocabularies.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {vocabularies.map(vocabulary => (
+            <li key={vocabulary.id} className="py-2 flex items-center justify-between gap-3">
+              <div>
+                <span className="font-medium text-gray-800">{vocabulary.name}</span>
+                <span className="ml-2 text-xs text-gray-500">
+                  {vocabulary.boostTerms.length} termo(s) · {vocabulary.spellings.length} grafia(s)
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(toForm(vocabulary))}
+                  className="p-1 text-gray-500 hover:text-blue-600"
+                  title="Editar lista"
+                >
+                  <PenLine className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => remove(vocabulary)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Excluir lista"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Nome da lista"
+            className="flex-1 min-w-48 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={form.boostParam}
+            onChange={(e) => setForm({ ...form, boostParam: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(BOOST_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid md:grid-cols-2 gap-3">
+          <label className="block">
+            Termos reforçados (um por linha)
+            <textarea
+              value={form.boostTerms}
+              onChange={(e) => setForm({ ...form, boostTerms: e.target.value })}
+              rows={5}
+              placeholder={'Kubernetes\nPostgreSQL'}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="block">
+            Grafias (formas erradas =&gt; forma certa)
+            <textarea
+              value={form.spellings}
+              onChange={(e) => setForm({ ...form, spellings: e.target.value })}
+              rows={5}
+              placeholder={'cubernetes, kubernets => Kubernetes\npost gres => Postgres'}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+        {error && <p className="text-red-600">{error}</p>}
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={save}
+            disabled={isSaving || !form.name.trim()}
+            className="px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-400 transition-colors flex items-center"
+          >
+            {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+            {form.id ? 'Salvar alterações' : 'Criar lista'}
+          </button>
+          {form.id && (
+            <button
+              type="button"
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-100 transition-colors"
+            >
+              Cancelar edição
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VocabularyManager;
@@ -0,0 +1,111 @@
+// Upload em partes com retomada (protocolo de /api/uploads)
+
+const STORAGE_PREFIX = 'transcritor:upload:';
+const MAX_ATTEMPTS = 5;
+
+const storageKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sha256Hex = async (buffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const request = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = response.status === 204 ? null : await response.json();
+  if (!response.ok) {
+    throw Object.assign(new Error(data?.error || `Erro no upload: ${response.status}`), {
+      status: response.status,
+      retryAfterSeconds: parseInt(response.headers.get('retry-after'), 10) || null
+    });
+  }
+  return data;
+};
+
+// Retoma o upload salvo para este arquivo ou cria um novo
+const openUpload = async (file) => {
+  const savedId = localStorage.getItem(storageKey(file));
+  if (savedId) {
+    try {
+      return await request(`/api/uploads/${savedId}`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      localStorage.removeItem(storageKey(file));
+    }
+  }
+
+  const upload = await request('/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: file.name, size: file.size })
+  });
+  localStorage.setItem(storageKey(file), upload.id);
+  return upload;
+};
+
+// Envia uma parte, tentando de novo com espera crescente em falhas de rede ou
+// checksum. No limite de requisições (429), espera o Retry-After do servidor.
+const sendChunk = async (upload, file, index) => {
+  const start = index * upload.chunkSize;
+  const buffer = await file.slice(start, Math.min(start + upload.chunkSize, file.size)).arrayBuffer();
+  const checksum = await sha256Hex(buffer);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request(`/api/uploads/${upload.id}/chunks/${index}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Checksum': checksum
+        },
+        body: buffer
+      });
+    } catch (error) {
+      const retryable = !error.status || error.status >= 500 || error.status === 422 || error.status === 429;
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        throw new Error(`${error.message}. Selecione o mesmo arquivo novamente para retomar o envio.`);
+      }
+      await sleep(error.retryAfterSeconds ? error.retryAfterSeconds * 1000 : 1000 * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Envia as partes que faltam e devolve o id do upload (ainda não finalizado).
+// `onProgress` recebe o percentual já enviado (inclusive o retomado).
+export const uploadFileInChunks = async (file, { onProgress = () => {} } = {}) => {
+  const upload = await openUpload(file);
+  const received = new Set(upload.receivedChunks);
+  onProgress(Math.round((upload.receivedBytes / file.size) * 100));
+
+  for (let index = 0; index < upload.totalChunks; index++) {
+    if (received.has(index)) continue;
+    const status = await sendChunk(upload, file, index);
+    onProgress(Math.round((status.receivedBytes / file.size) * 100));
+  }
+  return upload.id;
+};
+
+// Finaliza o upload e inicia a transcrição; retorna o id do job
+export const completeUpload = async (file, uploadId, options) => {
+  const data = await request(`/api/uploads/${uploadId}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  localStorage.removeItem(storageKey(file));
+  return data.jobId;
+};
+
+// Descarta um upload (ex.: mídia recusada na verificação)
+export const cancelUpload = async (file, uploadId) => {
+  localStorage.removeItem(storageKey(file));
+  await request(`/api/uploads/${uploadId}`, { method: 'DELETE' });
+};
+
+// Envia o arquivo e inicia a transcrição; retorna o id do job
+export const uploadInChunks = async (file, options, { onProgress } = {}) => {
+  const uploadId = await uploadFileInChunks(file, { onProgress });
+  return completeUpload(file, uploadId, options);
+};
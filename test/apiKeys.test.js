@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApiKeyStore, parseApiKeyInput, hashApiKey } from '../lib/apiKeys.js';
+
+describe('parseApiKeyInput', () => {
+  it('valida nome e limites', () => {
+    assert.deepEqual(parseApiKeyInput({ name: ' Integração ', dailyMinutes: '300' }), {
+      name: 'Integração',
+      dailyMinutes: 300,
+      rateLimitPerMinute: null
+    });
+    assert.throws(() => parseApiKeyInput({ name: '' }), /Nome da chave obrigatório/);
+    assert.throws(() => parseApiKeyInput({ name: 'x', dailyMinutes: -1 }), /dailyMinutes/);
+    assert.throws(() => parseApiKeyInput({ name: 'x', rateLimitPerMinute: 0 }), /rateLimitPerMinute/);
+    assert.deepEqual(parseApiKeyInput({ dailyMinutes: 0 }, { partial: true }), { dailyMinutes: 0 });
+  });
+});
+
+describe('createApiKeyStore', () => {
+  let dataDir;
+  let store;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+    store = createApiKeyStore({ file: path.join(dataDir, 'keys.json'), defaultDailyMinutes: 60, defaultRateLimit: 30 });
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it('mostra o segredo só na criação e guarda apenas o hash', async () => {
+    const { secret, key } = await store.create({ name: 'Integração' });
+    assert.match(secret, /^tvk_/);
+    assert.equal(key.prefix, secret.slice(0, 10));
+    assert.equal('hash' in key, false);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'keys.json'), 'utf8'));
+    assert.equal(saved.keys[0].hash, hashApiKey(secret));
+    assert.equal(JSON.stringify(saved).includes(secret), false);
+  });
+
+  it('autentica pelo segredo e recusa chaves revogadas', async () => {
+    const { secret, key } = await store.create({ name: 'Temporária' });
+    assert.equal(store.authenticate(secret).id, key.id);
+    assert.equal(store.authenticate('tvk_errada'), null);
+    await store.revoke(key.id);
+    assert.equal(store.authenticate(secret), null);
+  });
+
+  it('usa os limites padrão quando a chave não tem os próprios', async () => {
+    const { key } = await store.create({ name: 'Padrão' });
+    assert.deepEqual(key.limits, { dailyMinutes: 60, rateLimitPerMinute: 30 });
+    const { key: unlimited } = await store.create({ name: 'Sem limite', dailyMinutes: 0 });
+    assert.equal(store.remainingMinutes(store.get(unlimited.id)), Infinity);
+  });
+
+  it('desconta da cota os minutos transcritos e os reservados', async () => {
+    const { key } = await store.create({ name: 'Cota', dailyMinutes: 10 });
+    const stored = store.get(key.id);
+
+    store.recordJob(key.id, 3);
+    assert.equal(store.remainingMinutes(stored), 7);
+    assert.deepEqual(store.usageOn(key.id), { requests: 0, jobs: 1, minutes: 3 });
+
+    const first = store.reserve(key.id, 4);
+    const second = store.reserve(key.id, 5);
+    assert.equal(store.remainingMinutes(stored), 0);
+
+    store.release(second);
+    assert.equal(store.remainingMinutes(stored), 3);
+    store.release(first);
+    store.release(first);
+    assert.equal(store.remainingMinutes(stored), 7);
+  });
+
+  it('soma o uso por dia no relatório', async () => {
+    const { key } = await store.create({ name: 'Relatório' });
+    store.recordRequest(key.id);
+    store.recordRequest(key.id);
+    store.recordJob(key.id, 1.5);
+    const report = store.usageReport({ days: 3 }).find(item => item.id === key.id);
+    assert.equal(report.name, 'Relatório');
+    assert.equal(report.daily.length, 3);
+    assert.deepEqual(report.total, { requests: 2, jobs: 1, minutes: 1.5 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { optionsFingerprint, hashFile, createTranscriptCache } from '../lib/cache.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Biblioteca mínima: só as transcrições de `records` existem
+const fakeLibrary = (records) => ({ get: async (id) => records.get(id) || null });
+
+describe('optionsFingerprint', () => {
+  it('não depende da ordem das chaves, nem das aninhadas', () => {
+    assert.equal(
+      optionsFingerprint({ language: 'pt', preprocessing: { trimStart: 5, filters: ['denoise'] } }),
+      optionsFingerprint({ preprocessing: { filters: ['denoise'], trimStart: 5 }, language: 'pt' })
+    );
+  });
+
+  it('ignora as opções que não mudam o resultado', () => {
+    assert.equal(optionsFingerprint({ language: 'pt', force: true, nativeInsights: true }), optionsFingerprint({ language: 'pt' }));
+  });
+
+  it('muda quando uma opção relevante muda', () => {
+    assert.notEqual(optionsFingerprint({ language: 'pt' }), optionsFingerprint({ language: 'en' }));
+    assert.notEqual(optionsFingerprint({ speakerLabels: true }), optionsFingerprint({}));
+  });
+});
+
+describe('createTranscriptCache', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  });
+
+  after(async () => {
+    // Deixa terminar as gravações do índice antes de apagar a pasta
+    await sleep(100);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const createCache = (name, records, options = {}) => createTranscriptCache({
+    file: path.join(dataDir, `${name}.json`),
+    library: fakeLibrary(records),
+    ...options
+  });
+
+  it('hashFile calcula o SHA-256 do conteúdo', async () => {
+    const file = path.join(dataDir, 'audio.bin');
+    fs.writeFileSync(file, 'abc');
+    assert.equal(await hashFile(file), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('devolve a transcrição salva e conta acertos e falhas', async () => {
+    const cache = createCache('acertos', new Map([['t1', { id: 't1', text: 'Olá' }]]));
+    await cache.store(['youtube:abc:1', 'audio:ff:1'], 't1');
+
+    const hit = await cache.lookup('audio:ff:1');
+    assert.equal(hit.record.text, 'Olá');
+    assert.equal(hit.entry.hits, 1);
+    assert.equal(await cache.lookup('audio:outro:1'), null);
+    const stats = cache.stats();
+    assert.equal(stats.entries, 2);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.hitRate, 0.5);
+  });
+
+  it('descarta a entrada quando a transcrição foi apagada da biblioteca', async () => {
+    const cache = createCache('apagada', new Map());
+    await cache.store(['audio:ff:1'], 't-removida');
+    assert.equal(await cache.lookup('audio:ff:1'), null);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+  it('esvazia só as entradas de uma transcrição', async () => {
+    const cache = createCache('limpeza', new Map());
+    await cache.store(['a', 'b'], 't1');
+    await cache.store(['c'], 't2');
+    assert.equal(cache.clear({ transcriptId: 't1' }), 2);
+    assert.equal(cache.stats().entries, 1);
+    assert.equal(cache.clear(), 1);
+  });
+
+  it('remove as entradas usadas há mais tempo acima de maxEntries', async () => {
+    const records = new Map([['t1', { id: 't1' }], ['t2', { id: 't2' }], ['t3', { id: 't3' }]]);
+    const cache = createCache('lru', records, { maxEntries: 2 });
+    await cache.store(['a'], 't1');
+    await sleep(5);
+    await cache.store(['b'], 't2');
+    await sleep(5);
+    await cache.lookup('a');
+    await sleep(5);
+    await cache.store(['c'], 't3');
+
+    assert.equal(await cache.lookup('b'), null);
+    assert.ok(await cache.lookup('a'));
+    assert.ok(await cache.lookup('c'));
+    assert.equal(cache.stats().evictions, 1);
+  });
+
+  it('expira as entradas mais antigas que ttlMs', async () => {
+    const cache = createCache('ttl', new Map([['t1', { id: 't1' }]]), { ttlMs: 20 });
+    await cache.store(['a'], 't1');
+    assert.ok(await cache.lookup('a'));
+    await sleep(40);
+    assert.equal(await cache.lookup('a'), null);
+  });
+
+  it('recarrega o índice salvo em disco', async () => {
+    const records = new Map([['t1', { id: 't1' }]]);
+    await createCache('disco', records).store(['a'], 't1');
+    assert.ok(await createCache('disco', records).lookup('a'));
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExportDocument, toPdf, toFullJson } from '../lib/exporters.js';
+
+// Nomes das fontes embutidas no PDF (/BaseFont /ABCDEF+NotoSansJP-Regular)
+const embeddedFonts = (buffer) => [...new Set(
+  [...buffer.toString('latin1').matchAll(/\/BaseFont \/[A-Z]{6}\+([\w-]+)/g)].map(match => match[1])
+)].sort();
+
+const record = (title, text, language) => ({
+  id: 'abc',
+  title,
+  text,
+  language,
+  createdAt: '2026-01-01T12:00:00.000Z',
+  words: [],
+  utterances: []
+});
+
+describe('toPdf', () => {
+  it('embute a Noto Sans para textos em alfabeto latino, cirílico e devanágari', async () => {
+    const pdf = await toPdf(buildExportDocument(record('Reunião', 'Привіт, світе. नमस्ते दुनिया. Xin chào thế giới.', 'uk')));
+    assert.deepEqual(embeddedFonts(pdf), ['NotoSans-Bold', 'NotoSans-Regular']);
+  });
+
+  it('usa a Noto Sans da língua em japonês, coreano e chinês', async () => {
+    const cases = [['ja', 'こんにちは、世界。', 'NotoSansJP'], ['ko', '안녕하세요 세계', 'NotoSansKR'], ['zh', '你好，世界。', 'NotoSansSC']];
+    for (const [language, text, font] of cases) {
+      const pdf = await toPdf(buildExportDocument(record('Title', text, language)));
+      assert.ok(embeddedFonts(pdf).some(name => name.startsWith(`${font}-`)), language);
+    }
+  });
+});
+
+describe('toFullJson', () => {
+  it('exporta só os campos públicos da transcrição', () => {
+    const exported = JSON.parse(toFullJson({
+      ...record('Reunião', 'Olá.', 'pt'),
+      ownerId: 'chave-a',
+      mediaFile: 'abc.mp3',
+      mediaOffset: 12
+    }));
+    assert.equal(exported.text, 'Olá.');
+    assert.equal(exported.title, 'Reunião');
+    for (const field of ['ownerId', 'mediaFile', 'mediaOffset']) {
+      assert.equal(field in exported, false, field);
+    }
+  });
+});
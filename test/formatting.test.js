@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTranscript, parseFormattingOptions, splitTranscriptSentences, formatClock } from '../lib/formatting.js';
+
+// Palavras com tempos a partir de [texto, início, fim, falante?]
+const timedWords = (items) => items.map(([text, start, end, speaker]) => ({ text, start, end, ...(speaker ? { speaker } : {}) }));
+
+const format = (text, options = {}) => formatTranscript({ text }, { language: 'pt', ...options });
+
+describe('formatTranscript: abreviações', () => {
+  it('não encerra a frase em abreviações conhecidas nem em iniciais', () => {
+    const result = format('O Sr. Silva falou com a Dra. Ana. J. Souza chegou depois.');
+    assert.equal(result.sentences, 2);
+    assert.equal(result.text, 'O Sr. Silva falou com a Dra. Ana. J. Souza chegou depois.');
+  });
+
+  it('trata cada ponto como fim de frase com abbreviations: false', () => {
+    assert.equal(format('O Sr. Silva falou com a Dra. Ana.', { abbreviations: false }).sentences, 3);
+  });
+
+  it('usa as abreviações do idioma', () => {
+    assert.equal(formatTranscript({ text: 'Mr. Smith met Dr. Jones. They talked.' }, { language: 'en' }).sentences, 2);
+  });
+
+  it('continua a frase quando a palavra seguinte vem em minúscula', () => {
+    assert.equal(format('Não sei... talvez amanhã. Compramos pão, leite etc. e voltamos.').sentences, 2);
+  });
+});
+
+describe('formatTranscript: números decimais', () => {
+  it('não quebra a frase no ponto decimal', () => {
+    const result = format('O valor subiu para 3.5 milhões. Depois caiu para 2,75.');
+    assert.equal(result.sentences, 2);
+    assert.equal(result.text, 'O valor subiu para 3.5 milhões. Depois caiu para 2,75.');
+  });
+});
+
+describe('formatTranscript: removeFillers', () => {
+  it('mantém as hesitações quando a opção está desligada', () => {
+    const result = format('Hum, eu acho que, tipo, sim.');
+    assert.equal(result.text, 'Hum, eu acho que, tipo, sim.');
+    assert.equal(result.removedFillers, 0);
+  });
+
+  it('remove hesitações e arruma vírgulas e maiúsculas', () => {
+    const result = format('Hum, eu acho que, tipo, sim.', { removeFillers: true });
+    assert.equal(result.text, 'Eu acho que sim.');
+    assert.equal(result.removedFillers, 2);
+  });
+
+  it('capitaliza a frase quando a hesitação que a abria vinha em minúscula', () => {
+    assert.equal(format('Foi ótimo. hum, depois saímos.', { removeFillers: true }).text, 'Foi ótimo. Depois saímos.');
+  });
+
+  it('remove hesitações prolongadas e mantém as palavras comuns', () => {
+    assert.equal(format('Ééé, vamos começar. Isso é bom, tipo de coisa.', { removeFillers: true }).text, 'Vamos começar. Isso é bom, tipo de coisa.');
+  });
+
+  it('passa a pontuação final da hesitação para a palavra anterior', () => {
+    assert.equal(format('Vamos lá, hum.', { removeFillers: true }).text, 'Vamos lá.');
+  });
+
+  it('usa as hesitações do idioma', () => {
+    const result = formatTranscript({ text: 'I like it. Um, like, fine.' }, { language: 'en', removeFillers: true });
+    assert.equal(result.text, 'I like it. Fine.');
+  });
+
+  it('mantém a quebra de parágrafo quando a hesitação abria o parágrafo', () => {
+    const result = format('Primeiro ponto.\n\nHum, segundo ponto.', { removeFillers: true });
+    assert.equal(result.text, 'Primeiro ponto.\n\nSegundo ponto.');
+  });
+});
+
+describe('formatTranscript: parágrafos', () => {
+  it('sem tempos, segue as quebras existentes e o máximo de frases por parágrafo', () => {
+    const result = format('Um. Dois. Três. Quatro. Cinco.\n\nSeis.');
+    assert.equal(result.text, 'Um. Dois. Três. Quatro.\n\nCinco.\n\nSeis.');
+    assert.equal(result.paragraphs, 3);
+    assert.equal(result.usedTimings, false);
+  });
+
+  it('com tempos, abre parágrafo nas pausas longas e nas trocas de falante', () => {
+    const words = timedWords([
+      ['Bom', 0, 300, 'A'], ['dia', 300, 600, 'A'], ['.', 600, 600, 'A'],
+      ['Tudo', 700, 900, 'A'], ['bem?', 900, 1200, 'A'],
+      ['Vamos', 4000, 4300, 'A'], ['começar.', 4300, 4800, 'A'],
+      ['Certo.', 5000, 5400, 'B']
+    ]);
+    const result = formatTranscript({ words }, { language: 'pt' });
+    assert.equal(result.text, 'Bom dia. Tudo bem?\n\nVamos começar.\n\nCerto.');
+    assert.equal(result.usedTimings, true);
+  });
+
+  it('respeita pauseMs e marca o início dos parágrafos com timestamps', () => {
+    const words = timedWords([['Um.', 0, 500], ['Dois.', 1200, 1500], ['Três.', 62000, 62500]]);
+    assert.equal(formatTranscript({ words }, { pauseMs: 500, timestamps: true }).text, '[00:00] Um.\n\n[00:01] Dois.\n\n[01:02] Três.');
+    assert.equal(formatTranscript({ words }, { timestamps: true }).text, '[00:00] Um. Dois.\n\n[01:02] Três.');
+  });
+
+  it('ignora timestamps sem os tempos das palavras', () => {
+    assert.equal(format('Um. Dois.', { timestamps: true }).text, 'Um. Dois.');
+  });
+});
+
+describe('splitTranscriptSentences', () => {
+  it('devolve as frases com início, fim e falante', () => {
+    const words = timedWords([['Olá', 0, 200, 'A'], ['Sr.', 200, 400, 'A'], ['Lima.', 400, 800, 'A'], ['Tchau.', 900, 1200, 'B']]);
+    assert.deepEqual(splitTranscriptSentences({ words }, { language: 'pt' }), [
+      { text: 'Olá Sr. Lima.', start: 0, end: 800, speaker: 'A' },
+      { text: 'Tchau.', start: 900, end: 1200, speaker: 'B' }
+    ]);
+  });
+});
+
+describe('parseFormattingOptions', () => {
+  it('completa com os padrões e valida os tipos', () => {
+    assert.deepEqual(parseFormattingOptions({ removeFillers: true, pauseMs: '800', language: 'en' }), {
+      removeFillers: true,
+      abbreviations: true,
+      timestamps: false,
+      pauseMs: 800,
+      sentencesPerParagraph: 4,
+      maxParagraphChars: 900,
+      language: 'en'
+    });
+    assert.throws(() => parseFormattingOptions({ timestamps: 'sim' }), /timestamps deve ser true ou false/);
+    assert.throws(() => parseFormattingOptions({ pauseMs: 50 }), /pauseMs/);
+    assert.throws(() => parseFormattingOptions([]), /inválidas/);
+  });
+});
+
+describe('formatClock', () => {
+  it('mostra minutos e segundos, e as horas quando houver', () => {
+    assert.equal(formatClock(65000), '01:05');
+    assert.equal(formatClock(3725000), '1:02:05');
+  });
+});
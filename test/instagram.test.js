@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseInstagramUrl,
+  validateInstagramUrl,
+  extractVideoUrl,
+  resolveInstagramMedia,
+  fetchInstagramVideo
+} from '../lib/instagram.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'instagram');
+const RECORDINGS = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'recordings.json'), 'utf8'));
+
+// fetch que responde só com as trocas gravadas do cenário, na ordem em que
+// aparecem; qualquer outra URL falha o teste
+const replayFetch = (scenario) => {
+  const exchanges = [...RECORDINGS[scenario]];
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    const exchange = exchanges.shift();
+    assert.ok(exchange, `Requisição inesperada: ${url}`);
+    assert.equal(url, exchange.url);
+    const body = exchange.bodyFile ? fs.readFileSync(path.join(FIXTURES, exchange.bodyFile), 'utf8') : exchange.body;
+    const response = new Response(body, { status: exchange.status, headers: exchange.headers });
+    Object.defineProperty(response, 'url', { value: exchange.finalUrl || exchange.url });
+    return response;
+  };
+  return { fetchImpl, requested, pending: exchanges };
+};
+
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, code);
+  return true;
+});
+
+describe('parseInstagramUrl', () => {
+  it('reconhece posts, Reels e IGTV', () => {
+    assert.deepEqual(parseInstagramUrl('https://www.instagram.com/p/C1aBcDeFgHi/'), { kind: 'post', shortcode: 'C1aBcDeFgHi' });
+    assert.deepEqual(parseInstagramUrl('https://instagram.com/reel/C1aBcDeFgHi/?igsh=abc'), { kind: 'reel', shortcode: 'C1aBcDeFgHi' });
+    assert.deepEqual(parseInstagramUrl('https://www.instagram.com/reels/C1aBcDeFgHi/'), { kind: 'reel', shortcode: 'C1aBcDeFgHi' });
+    assert.deepEqual(parseInstagramUrl('https://www.instagram.com/canal.exemplo/tv/C1aBcDeFgHi'), { kind: 'tv', shortcode: 'C1aBcDeFgHi' });
+  });
+
+  it('recusa links que não são de publicações', () => {
+    assert.equal(parseInstagramUrl('https://www.instagram.com/canal.exemplo/'), null);
+    assert.equal(parseInstagramUrl('https://example.com/p/C1aBcDeFgHi/'), null);
+    assert.equal(parseInstagramUrl(undefined), null);
+  });
+});
+
+describe('validateInstagramUrl', () => {
+  it('separa stories de links inválidos', () => {
+    assert.throws(() => validateInstagramUrl('https://www.instagram.com/stories/canal.exemplo/3301234567890/'), { code: 'INSTAGRAM_UNSUPPORTED' });
+    assert.throws(() => validateInstagramUrl('https://www.instagram.com/explore/'), { code: 'INSTAGRAM_INVALID_URL' });
+    assert.equal(validateInstagramUrl('https://www.instagram.com/reel/C1aBcDeFgHi/').shortcode, 'C1aBcDeFgHi');
+  });
+});
+
+describe('extractVideoUrl', () => {
+  it('lê a meta og:video decodificando as entidades HTML', () => {
+    const html = fs.readFileSync(path.join(FIXTURES, 'reel-page.html'), 'utf8');
+    assert.equal(
+      extractVideoUrl(html),
+      'https://scontent.cdninstagram.com/v/t50.2886-16/reel_C1aBcDeFgHi.mp4?_nc_ht=scontent.cdninstagram.com&oh=00_AbC&oe=65A1B2C3'
+    );
+  });
+
+  it('lê o video_url do JSON embutido', () => {
+    const html = fs.readFileSync(path.join(FIXTURES, 'embed-video.html'), 'utf8');
+    assert.equal(
+      extractVideoUrl(html),
+      'https://scontent.cdninstagram.com/v/t50.2886-16/post_C2xYz0AbCdE.mp4?_nc_ht=scontent.cdninstagram.com&oh=00_XyZ'
+    );
+  });
+});
+
+describe('resolveInstagramMedia', () => {
+  it('resolve um Reel público pela página da publicação e baixa o vídeo', async () => {
+    const replay = replayFetch('reel');
+    const media = await resolveInstagramMedia('https://www.instagram.com/reel/C1aBcDeFgHi/', replay);
+    assert.equal(media.kind, 'reel');
+    assert.equal(media.shortcode, 'C1aBcDeFgHi');
+
+    const response = await fetchInstagramVideo(media.videoUrl, replay);
+    assert.equal(response.headers.get('content-type'), 'video/mp4');
+    assert.equal(await response.text(), 'fake-mp4-box');
+    assert.equal(replay.pending.length, 0);
+  });
+
+  it('usa a página de incorporação quando a principal pede login', async () => {
+    const replay = replayFetch('loginWall');
+    const media = await resolveInstagramMedia('https://www.instagram.com/p/C2xYz0AbCdE/', replay);
+    assert.match(media.videoUrl, /post_C2xYz0AbCdE\.mp4/);
+    assert.equal(replay.requested.length, 2);
+  });
+
+  it('identifica contas privadas', async () => {
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/p/C4pRiVaTeXy/', replayFetch('private')), 'INSTAGRAM_PRIVATE');
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/p/C4pRiVaTeXz/', replayFetch('privateEmbedLogin')), 'INSTAGRAM_PRIVATE');
+  });
+
+  it('identifica publicações removidas', async () => {
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/p/C5rEmOvEdAb/', replayFetch('removed')), 'INSTAGRAM_NOT_FOUND');
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/p/C6nOtFoUnDx/', replayFetch('notFound')), 'INSTAGRAM_NOT_FOUND');
+  });
+
+  it('identifica o limite de requisições do Instagram', async () => {
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/reel/C7rAtElImIt/', replayFetch('rateLimited')), 'INSTAGRAM_RATE_LIMITED');
+  });
+
+  it('recusa publicações sem vídeo', async () => {
+    const replay = replayFetch('photo');
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/p/C3pHoToAbCd/', replay), 'INSTAGRAM_NO_VIDEO');
+    assert.equal(replay.pending.length, 0);
+  });
+
+  it('recusa stories sem fazer requisições', async () => {
+    const replay = replayFetch('reel');
+    await rejectsWithCode(resolveInstagramMedia('https://www.instagram.com/stories/canal.exemplo/3301234567890/', replay), 'INSTAGRAM_UNSUPPORTED');
+    assert.equal(replay.requested.length, 0);
+  });
+});
+
+describe('fetchInstagramVideo', () => {
+  it('trata o link do vídeo expirado como indisponível', async () => {
+    await rejectsWithCode(
+      fetchInstagramVideo('https://scontent.cdninstagram.com/v/t50.2886-16/expired.mp4', replayFetch('expiredVideo')),
+      'INSTAGRAM_NOT_FOUND'
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTranscriptLibrary, applyWordEdits } from '../lib/library.js';
+
+describe('createTranscriptLibrary', () => {
+  let dir;
+  let library;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-test-'));
+    library = createTranscriptLibrary({ dir });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const readSaved = (id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+
+  it('não perde alterações feitas ao mesmo tempo', async () => {
+    const record = await library.save({ title: 'Reunião', text: 'olá' });
+    await Promise.all([
+      library.update(record.id, { title: 'Reunião semanal' }),
+      library.update(record.id, { language: 'pt' }),
+      library.update(record.id, { text: 'olá a todos' })
+    ]);
+
+    const saved = readSaved(record.id);
+    assert.equal(saved.title, 'Reunião semanal');
+    assert.equal(saved.language, 'pt');
+    assert.equal(saved.text, 'olá a todos');
+    assert.deepEqual(await library.get(record.id), saved);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('não recria o arquivo de uma transcrição removida durante uma edição', async () => {
+    const record = await library.save({ title: 'Temporária' });
+    const [updated, removed] = await Promise.all([
+      library.update(record.id, { title: 'Editada' }),
+      library.remove(record.id)
+    ]);
+
+    assert.equal(updated.title, 'Editada');
+    assert.equal(removed, true);
+    assert.equal(fs.existsSync(path.join(dir, `${record.id}.json`)), false);
+    assert.equal(await library.get(record.id), null);
+    assert.equal(await library.update(record.id, { title: 'Tarde demais' }), null);
+  });
+
+  it('filtra a listagem e a busca pelo dono', async () => {
+    await library.save({ title: 'Da chave A', text: 'orçamento anual', ownerId: 'a' });
+    await library.save({ title: 'Da chave B', text: 'orçamento mensal', ownerId: 'b' });
+
+    const { transcripts } = await library.list({ ownerId: 'a' });
+    assert.deepEqual(transcripts.map(item => item.title), ['Da chave A']);
+    const results = await library.search('orcamento', { ownerId: 'b' });
+    assert.deepEqual(results.map(item => item.title), ['Da chave B']);
+  });
+});
+
+describe('applyWordEdits', () => {
+  it('remove palavras vazias e remonta texto e falas', () => {
+    const record = {
+      words: [
+        { text: 'olá', start: 0, end: 0.4, speaker: 'A' },
+        { text: 'é', start: 0.5, end: 0.6, speaker: 'A' },
+        { text: 'mundo', start: 0.7, end: 1.2, speaker: 'A' }
+      ],
+      utterances: [{ speaker: 'A', start: 0, end: 1.2, text: 'olá é mundo' }]
+    };
+    const result = applyWordEdits(record, [{ text: 'Olá' }, { text: '' }, { text: 'mundo' }]);
+    assert.equal(result.text, 'Olá mundo');
+    assert.equal(result.utterances[0].text, 'Olá mundo');
+    assert.equal(result.words[1].start, 0.7);
+    assert.throws(() => applyWordEdits(record, []), /3 palavras/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { openMediaSource, parsePodcastFeed } from '../lib/mediaSource.js';
+
+const FEED = `<?xml version="1.0"?>
+<rss><channel>
+  <item><title>Episódio 2</title><enclosure url="https://cdn.exemplo.com/ep2.mp3" type="audio/mpeg"/><itunes:duration>01:02:03</itunes:duration></item>
+  <item><title><![CDATA[Episódio 1 & outros]]></title><enclosure url="https://cdn.exemplo.com/ep1.mp3" type="audio/mpeg"/></item>
+</channel></rss>`;
+
+// fetch falso: o feed em https://podcast.exemplo.com/feed e o áudio em qualquer outra URL
+const fakeFetch = (feedBody, feedHeaders = {}) => async (url) => {
+  if (url.endsWith('/feed')) {
+    return new Response(feedBody, { headers: { 'content-type': 'application/rss+xml', ...feedHeaders } });
+  }
+  return new Response('áudio', { headers: { 'content-type': 'audio/mpeg' } });
+};
+
+describe('parsePodcastFeed', () => {
+  it('lê o episódio pedido, do mais recente para o mais antigo', () => {
+    assert.deepEqual(parsePodcastFeed(FEED), {
+      title: 'Episódio 2',
+      mediaUrl: 'https://cdn.exemplo.com/ep2.mp3',
+      durationSeconds: 3723
+    });
+    assert.equal(parsePodcastFeed(FEED, 2).title, 'Episódio 1 & outros');
+  });
+});
+
+describe('openMediaSource com feeds', () => {
+  it('abre o áudio do episódio do feed', async () => {
+    const media = await openMediaSource('https://podcast.exemplo.com/feed', { fetchImpl: fakeFetch(FEED) });
+    assert.equal(media.type, 'podcast');
+    assert.equal(media.title, 'Episódio 2');
+    assert.equal(media.extension, '.mp3');
+    media.stream.destroy();
+  });
+
+  it('recusa feeds maiores que o limite, pelo Content-Length', async () => {
+    await assert.rejects(
+      openMediaSource('https://podcast.exemplo.com/feed', {
+        fetchImpl: fakeFetch(FEED, { 'content-length': '999999999' }),
+        maxFeedBytes: 1024
+      }),
+      { code: 'FEED_TOO_LARGE' }
+    );
+  });
+
+  it('interrompe a leitura de feeds sem Content-Length que passam do limite', async () => {
+    let pulled = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new TextEncoder().encode('<item>'.repeat(100)));
+      }
+    });
+    await assert.rejects(
+      openMediaSource('https://podcast.exemplo.com/feed', { fetchImpl: fakeFetch(endless), maxFeedBytes: 4096 }),
+      { code: 'FEED_TOO_LARGE' }
+    );
+    assert.ok(pulled < 20);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, parseHostList, createDestinationGuard } from '../lib/network.js';
+
+// DNS falso: cada nome resolve para os endereços dados
+const fakeLookup = (table) => async (hostname) => {
+  if (!table[hostname]) {
+    throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  }
+  return table[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+};
+
+const guard = createDestinationGuard({
+  allowedHosts: parseHostList('receptor.local, [::1]'),
+  lookup: fakeLookup({
+    'cdn.exemplo.com': ['93.184.216.34', '2606:2800:220:1::1'],
+    'interno.exemplo.com': ['10.0.0.5'],
+    'misto.exemplo.com': ['93.184.216.34', '169.254.169.254'],
+    'receptor.local': ['127.0.0.1']
+  })
+});
+
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, code);
+  return true;
+});
+
+describe('isPrivateAddress', () => {
+  it('reconhece loopback, redes privadas, link-local e faixas reservadas', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('aceita endereços públicos', () => {
+    for (const address of ['8.8.8.8', '93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('createDestinationGuard', () => {
+  it('aceita hosts públicos', async () => {
+    const parsed = await guard.check('https://cdn.exemplo.com/episodio.mp3');
+    assert.equal(parsed.hostname, 'cdn.exemplo.com');
+  });
+
+  it('recusa IPs literais e nomes locais sem consultar o DNS', () => {
+    for (const url of ['http://localhost:3001/api', 'http://127.1/', 'http://0x7f000001/', 'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:7f00:1]/']) {
+      assert.throws(() => guard.checkSync(url), { code: 'DESTINATION_BLOCKED' }, url);
+    }
+  });
+
+  it('recusa nomes que resolvem para endereços privados', async () => {
+    await rejectsWithCode(guard.check('https://interno.exemplo.com/arquivo.mp4'), 'DESTINATION_BLOCKED');
+    await rejectsWithCode(guard.check('https://misto.exemplo.com/arquivo.mp4'), 'DESTINATION_BLOCKED');
+    await rejectsWithCode(guard.check('https://nao-existe.exemplo.com/'), 'DESTINATION_UNRESOLVED');
+  });
+
+  it('libera os hosts da lista de exceções', async () => {
+    await guard.check('http://receptor.local:4000/webhook');
+    await guard.check('http://[::1]:4000/webhook');
+  });
+
+  it('recusa outros protocolos', () => {
+    assert.throws(() => guard.checkSync('file:///etc/passwd'), { code: 'INVALID_URL' });
+    assert.throws(() => guard.checkSync('gopher://cdn.exemplo.com/'), { code: 'INVALID_URL' });
+  });
+
+  it('confere cada redirecionamento', async () => {
+    const requested = [];
+    const fetchImpl = async (url) => {
+      requested.push(url);
+      if (url === 'https://cdn.exemplo.com/curto') {
+        return new Response(null, { status: 302, headers: { location: '/longo.mp3' } });
+      }
+      if (url === 'https://cdn.exemplo.com/longo.mp3') {
+        return new Response('audio', { status: 200 });
+      }
+      return new Response(null, { status: 301, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+    };
+
+    const response = await guard.fetch('https://cdn.exemplo.com/curto', {}, fetchImpl);
+    assert.equal(await response.text(), 'audio');
+    assert.deepEqual(requested, ['https://cdn.exemplo.com/curto', 'https://cdn.exemplo.com/longo.mp3']);
+
+    await rejectsWithCode(guard.fetch('https://cdn.exemplo.com/metadados', {}, fetchImpl), 'DESTINATION_BLOCKED');
+    assert.equal(requested.includes('http://169.254.169.254/latest/meta-data/'), false);
+  });
+});
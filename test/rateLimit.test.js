@@ -0,0 +1,48 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../lib/rateLimit.js';
+
+describe('createRateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 60000 * 1000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('aceita até o limite e informa quanto falta para a próxima janela', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    now += 45000;
+    const results = Array.from({ length: 4 }, () => limiter.hit('key:a', 3));
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.equal(results[3].retryAfterSeconds, 15);
+  });
+
+  it('conta cada cliente à parte', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    assert.equal(limiter.hit('key:a', 1).allowed, true);
+    assert.equal(limiter.hit('key:a', 1).allowed, false);
+    assert.equal(limiter.hit('ip:127.0.0.1', 1).allowed, true);
+  });
+
+  it('dá à janela anterior um peso proporcional à sobreposição', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    for (let i = 0; i < 10; i++) {
+      assert.equal(limiter.hit('key:a', 10).allowed, true);
+    }
+    // Metade da janela seguinte: as 10 anteriores valem 5
+    now += 90000;
+    const allowed = Array.from({ length: 6 }, () => limiter.hit('key:a', 10).allowed);
+    assert.deepEqual(allowed, [true, true, true, true, true, false]);
+  });
+
+  it('esquece a contagem depois de duas janelas sem requisições', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    limiter.hit('key:a', 1);
+    now += 120000;
+    assert.equal(limiter.hit('key:a', 1).allowed, true);
+  });
+});
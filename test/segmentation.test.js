@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planSegments, mergeSegmentResults } from '../lib/segmentation.js';
+
+describe('planSegments', () => {
+  it('não divide áudios de até 125% do alvo', () => {
+    assert.deepEqual(planSegments(700, [], { targetSeconds: 600 }), [{ index: 0, start: 0, end: 700 }]);
+  });
+
+  it('corta no meio do silêncio mais próximo do alvo', () => {
+    const silences = [{ start: 200, end: 202 }, { start: 560, end: 570 }, { start: 640, end: 660 }, { start: 1190, end: 1196 }];
+    assert.deepEqual(planSegments(1500, silences, { targetSeconds: 600 }), [
+      { index: 0, start: 0, end: 565 },
+      { index: 1, start: 565, end: 1193 },
+      { index: 2, start: 1193, end: 1500 }
+    ]);
+  });
+
+  it('corta no alvo quando não há silêncio entre 50% e 125% dele', () => {
+    const silences = [{ start: 100, end: 110 }, { start: 900, end: 910 }];
+    assert.deepEqual(planSegments(1400, silences, { targetSeconds: 500 }).map(segment => segment.end), [500, 905, 1400]);
+  });
+});
+
+describe('mergeSegmentResults', () => {
+  const segments = [{ index: 0, start: 0, end: 600 }, { index: 1, start: 600, end: 900 }];
+  const results = [
+    {
+      text: 'Primeira parte. ',
+      confidence: 0.9,
+      language_code: 'pt',
+      words: [{ text: 'Primeira', start: 0, end: 400 }, { text: 'parte.', start: 400, end: 900 }],
+      utterances: [{ speaker: 'A', text: 'Primeira parte.', start: 0, end: 900, words: [{ text: 'Primeira', start: 0, end: 400 }] }]
+    },
+    {
+      text: 'Segunda.',
+      confidence: 0.6,
+      language_code: 'en',
+      words: [{ text: 'Segunda.', start: 100, end: 700 }],
+      utterances: [{ speaker: 'B', text: 'Segunda.', start: 100, end: 700, words: [{ text: 'Segunda.', start: 100, end: 700 }] }]
+    }
+  ];
+
+  it('desloca palavras e falas pelo início de cada trecho', () => {
+    const merged = mergeSegmentResults(segments, results);
+    assert.deepEqual(merged.words.map(word => [word.text, word.start, word.end]), [
+      ['Primeira', 0, 400],
+      ['parte.', 400, 900],
+      ['Segunda.', 600100, 600700]
+    ]);
+    assert.deepEqual(merged.utterances[1].words[0], { text: 'Segunda.', start: 600100, end: 600700 });
+    assert.equal(merged.utterances[1].start, 600100);
+  });
+
+  it('junta os textos e pondera confiança e idioma pela duração dos trechos', () => {
+    const merged = mergeSegmentResults(segments, results);
+    assert.equal(merged.text, 'Primeira parte. Segunda.');
+    assert.ok(Math.abs(merged.confidence - 0.8) < 1e-9);
+    assert.equal(merged.language_code, 'pt');
+    assert.equal(merged.audio_duration, 900);
+  });
+
+  it('deixa a confiança nula quando nenhum trecho a informa', () => {
+    const merged = mergeSegmentResults([{ index: 0, start: 0, end: 10 }], [{ text: '', words: [] }]);
+    assert.equal(merged.confidence, null);
+    assert.equal(merged.language_code, null);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCookies, serializeCookie, createSessionSigner, SESSION_COOKIE } from '../lib/sessions.js';
+
+describe('parseCookies', () => {
+  it('lê os cookies decodificando os valores', () => {
+    assert.deepEqual(parseCookies('tv_session=a%2Eb.c; tema=escuro'), { tv_session: 'a.b.c', tema: 'escuro' });
+    assert.deepEqual(parseCookies(), {});
+  });
+
+  it('ignora valores mal codificados sem perder os outros', () => {
+    assert.deepEqual(parseCookies('outro=100%; tv_session=abc; quebrado=%E0%A4%A'), { tv_session: 'abc' });
+  });
+});
+
+describe('createSessionSigner', () => {
+  const signer = createSessionSigner({ secret: 'segredo', ttlMs: 60 * 1000 });
+
+  it('aceita o próprio token e recusa tokens alterados', () => {
+    const { token } = signer.issue('chave-1');
+    assert.equal(signer.verify(token), 'chave-1');
+    assert.equal(signer.verify(token.replace('chave-1', 'admin')), null);
+    assert.equal(signer.verify('lixo'), null);
+  });
+
+  it('gera um cookie de sessão HttpOnly que volta intacto', () => {
+    const { token } = signer.issue('chave-1');
+    const cookie = serializeCookie(SESSION_COOKIE, token, { maxAgeSeconds: 60 });
+    assert.match(cookie, /HttpOnly/);
+    assert.equal(parseCookies(cookie.split(';')[0])[SESSION_COOKIE], token);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCues, toSrt, toVtt } from '../lib/subtitles.js';
+
+// Palavras de 400 ms seguidas, a partir de `startMs`
+const wordsFrom = (text, startMs = 0) => text.split(' ').map((word, index) => ({
+  text: word,
+  start: startMs + index * 400,
+  end: startMs + (index + 1) * 400
+}));
+
+describe('buildCues', () => {
+  it('fecha a legenda no fim da frase', () => {
+    const cues = buildCues(wordsFrom('Olá a todos. Vamos começar.'));
+    assert.deepEqual(cues, [
+      { start: 0, end: 1200, lines: ['Olá a todos.'] },
+      { start: 1200, end: 2000, lines: ['Vamos começar.'] }
+    ]);
+  });
+
+  it('respeita o limite de caracteres por linha e de linhas por legenda', () => {
+    const cues = buildCues(wordsFrom('um dois três quatro cinco seis sete'), { maxCharsPerLine: 10, maxLines: 2 });
+    assert.deepEqual(cues.map(cue => cue.lines), [['um dois', 'três'], ['quatro', 'cinco seis'], ['sete']]);
+    assert.ok(cues.every(cue => cue.lines.every(line => line.length <= 10)));
+  });
+
+  it('respeita a duração máxima da legenda', () => {
+    const cues = buildCues(wordsFrom('a b c d e f'), { maxCueDurationMs: 1000 });
+    assert.deepEqual(cues.map(cue => [cue.start, cue.end]), [[0, 800], [800, 1600], [1600, 2400]]);
+  });
+
+  it('ignora palavras vazias', () => {
+    assert.deepEqual(buildCues([{ text: ' ', start: 0, end: 100 }]), []);
+  });
+});
+
+describe('toSrt e toVtt', () => {
+  const cues = [
+    { start: 0, end: 1500.4, lines: ['Olá a todos.'] },
+    { start: 3723004, end: 3725000, lines: ['Primeira linha', 'segunda linha'] }
+  ];
+
+  it('formata o SRT com numeração e vírgula nos milissegundos', () => {
+    assert.equal(toSrt(cues), [
+      '1',
+      '00:00:00,000 --> 00:00:01,500',
+      'Olá a todos.',
+      '',
+      '2',
+      '01:02:03,004 --> 01:02:05,000',
+      'Primeira linha',
+      'segunda linha',
+      ''
+    ].join('\n'));
+  });
+
+  it('formata o WebVTT com cabeçalho e ponto nos milissegundos', () => {
+    assert.equal(toVtt(cues), [
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:01.500',
+      'Olá a todos.',
+      '',
+      '01:02:03.004 --> 01:02:05.000',
+      'Primeira linha',
+      'segunda linha',
+      ''
+    ].join('\n'));
+  });
+
+  it('não gera tempos negativos', () => {
+    assert.match(toSrt([{ start: -20, end: 10, lines: ['x'] }]), /00:00:00,000 --> 00:00:00,010/);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks } from '../lib/translation.js';
+
+describe('splitIntoChunks', () => {
+  it('não perde nenhum caractere', () => {
+    const inputs = [
+      '...Olá mundo.',
+      '\n\nOlá',
+      '  Olá.  Tudo bem?\n\n"Sim!" (ótimo)… fim',
+      'O preço subiu para 3.50 reais. Depois, 4.75.',
+      '?!',
+      ''
+    ];
+    for (const text of inputs) {
+      for (const maxChars of [5, 12, 4000]) {
+        assert.equal(splitIntoChunks(text, maxChars).join(''), text, JSON.stringify({ text, maxChars }));
+      }
+    }
+  });
+
+  it('mantém a pontuação e as quebras de linha do começo', () => {
+    assert.deepEqual(splitIntoChunks('...Olá mundo.'), ['...Olá mundo.']);
+    assert.deepEqual(splitIntoChunks('\n\nOlá'), ['\n\nOlá']);
+  });
+
+  it('não quebra números decimais', () => {
+    const chunks = splitIntoChunks('O total foi 3.50 reais. Obrigado.', 25);
+    assert.deepEqual(chunks, ['O total foi 3.50 reais. ', 'Obrigado.']);
+  });
+
+  it('junta frases até o limite e quebra frases longas entre palavras', () => {
+    assert.deepEqual(splitIntoChunks('Um. Dois. Três.', 10), ['Um. Dois. ', 'Três.']);
+    const chunks = splitIntoChunks('palavra '.repeat(10).trim(), 20);
+    assert.ok(chunks.every(chunk => chunk.length <= 20));
+    assert.ok(chunks.every(chunk => /^(palavra ?)+$/.test(chunk)));
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createChunkedUploads } from '../lib/uploads.js';
+
+const MB = 1024 * 1024;
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('createChunkedUploads', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('monta o arquivo a partir das partes, em qualquer ordem', async () => {
+    const uploads = createChunkedUploads({ dir, maxBytes: 10 * MB });
+    const data = crypto.randomBytes(600 * 1024);
+    const upload = await uploads.create({ fileName: 'aula.mp3', size: data.length, chunkSize: 256 * 1024 });
+    assert.equal(upload.totalChunks, 3);
+
+    for (const index of [2, 0, 1]) {
+      const chunk = data.subarray(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+      await uploads.writeChunk(upload.id, index, chunk, sha256(chunk));
+    }
+    await assert.rejects(uploads.writeChunk(upload.id, 0, data.subarray(0, 10), 'x'), { status: 400 });
+
+    const result = await uploads.complete(upload.id);
+    assert.deepEqual(fs.readFileSync(result.path), data);
+    assert.equal(await uploads.get(upload.id), null);
+  });
+
+  it('limita os uploads abertos de cada dono', async () => {
+    const uploads = createChunkedUploads({ dir, maxBytes: 10 * MB, maxOpenPerOwner: 2 });
+    const created = await Promise.all([1, 2, 3].map(n => uploads.create({ fileName: `${n}.mp3`, size: MB, ownerId: 'a' })
+      .catch(error => error)));
+
+    assert.equal(created.filter(item => item instanceof Error && item.status === 429).length, 1);
+    await uploads.create({ fileName: 'outra.mp3', size: MB, ownerId: 'b' });
+
+    const first = created.find(item => !(item instanceof Error));
+    await uploads.remove(first.id);
+    await uploads.create({ fileName: '4.mp3', size: MB, ownerId: 'a' });
+  });
+
+  it('limita a soma dos tamanhos reservados de cada dono', async () => {
+    const uploads = createChunkedUploads({ dir, maxBytes: 10 * MB, maxReservedBytesPerOwner: 12 * MB });
+    await uploads.create({ fileName: 'a.mp4', size: 8 * MB, ownerId: 'a' });
+    await assert.rejects(uploads.create({ fileName: 'b.mp4', size: 8 * MB, ownerId: 'a' }), { status: 413 });
+    await uploads.create({ fileName: 'c.mp4', size: 4 * MB, ownerId: 'a' });
+  });
+
+  it('descarta uploads parados e libera o limite do dono', async () => {
+    const uploads = createChunkedUploads({ dir, maxBytes: 10 * MB, maxOpenPerOwner: 1, ttlMs: 1000 });
+    const stale = await uploads.create({ fileName: 'parado.mp3', size: MB, ownerId: 'a' });
+
+    const statePath = path.join(dir, `${stale.id}.json`);
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    state.updatedAt = new Date(Date.now() - 5000).toISOString();
+    fs.writeFileSync(statePath, JSON.stringify(state));
+
+    // Um novo módulo lê o estado do disco, como depois de reiniciar o servidor
+    const restarted = createChunkedUploads({ dir, maxBytes: 10 * MB, maxOpenPerOwner: 1, ttlMs: 1000 });
+    await restarted.create({ fileName: 'novo.mp3', size: MB, ownerId: 'a' });
+    assert.equal(await restarted.get(stale.id), null);
+    assert.equal(fs.existsSync(path.join(dir, `${stale.id}.part`)), false);
+  });
+});
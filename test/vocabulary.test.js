@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySpellings, parseVocabularyInput, isNativeSpelling } from '../lib/vocabulary.js';
+
+const words = (items) => items.map(([text, start, end]) => ({ text, start, end }));
+
+describe('applySpellings', () => {
+  const spellings = [
+    { from: ['assembly ai', 'assembli'], to: 'AssemblyAI' },
+    { from: ['visual studio'], to: 'Visual Studio' },
+    { from: ['visual studio code'], to: 'VS Code' }
+  ];
+
+  it('troca as formas no texto sem diferenciar maiúsculas', () => {
+    const result = applySpellings({ text: 'Usamos Assembly  AI e o assembli. Assemblyais não.' }, spellings);
+    assert.equal(result.text, 'Usamos AssemblyAI e o AssemblyAI. Assemblyais não.');
+  });
+
+  it('prefere a forma mais longa', () => {
+    assert.equal(applySpellings({ text: 'Abri o visual studio code e o visual studio.' }, spellings).text, 'Abri o VS Code e o Visual Studio.');
+  });
+
+  it('une as palavras da forma em uma só, mantendo a pontuação e os tempos', () => {
+    const result = applySpellings({
+      text: '',
+      words: words([['Testamos', 0, 400], ['("assembly', 400, 700], ['ai"),', 700, 1000], ['ontem.', 1000, 1400]])
+    }, spellings);
+    assert.deepEqual(result.words, words([['Testamos', 0, 400], ['("AssemblyAI"),', 400, 1000], ['ontem.', 1000, 1400]]));
+  });
+
+  it('aplica também às falas e às palavras de cada fala', () => {
+    const result = applySpellings({
+      text: 'assembli',
+      words: [],
+      utterances: [{ speaker: 'A', text: 'o assembli', words: words([['o', 0, 100], ['assembli', 100, 500]]) }]
+    }, spellings);
+    assert.equal(result.utterances[0].text, 'o AssemblyAI');
+    assert.equal(result.utterances[0].words[1].text, 'AssemblyAI');
+  });
+
+  it('devolve o resultado intacto sem grafias', () => {
+    const original = { text: 'assembly ai', words: [] };
+    assert.equal(applySpellings(original, []), original);
+  });
+});
+
+describe('parseVocabularyInput', () => {
+  it('limpa os termos e as grafias', () => {
+    assert.deepEqual(parseVocabularyInput({
+      name: ' Produtos ',
+      boostTerms: [' Kubernetes ', 'Kubernetes', 'gRPC'],
+      spellings: [{ from: 'assembly  ai', to: 'AssemblyAI' }]
+    }), {
+      name: 'Produtos',
+      boostTerms: ['Kubernetes', 'gRPC'],
+      boostParam: 'default',
+      spellings: [{ from: ['assembly ai'], to: 'AssemblyAI' }]
+    });
+  });
+
+  it('recusa dados inválidos e, com partial, confere só os campos presentes', () => {
+    assert.throws(() => parseVocabularyInput({ name: '' }), /Nome da lista obrigatório/);
+    assert.throws(() => parseVocabularyInput({ name: 'x', boostParam: 'máximo' }), /Intensidade do reforço inválida/);
+    assert.throws(() => parseVocabularyInput({ name: 'x', spellings: [{ from: 'a' }] }), /Grafia 1 inválida/);
+    assert.throws(() => parseVocabularyInput({ name: 'x', boostTerms: ['um dois três quatro cinco seis sete'] }), /mais de 6 palavras/);
+    assert.deepEqual(parseVocabularyInput({ boostParam: 'high' }, { partial: true }), { boostParam: 'high' });
+  });
+});
+
+describe('isNativeSpelling', () => {
+  it('só aceita grafias de uma palavra para a AssemblyAI', () => {
+    assert.equal(isNativeSpelling({ to: 'AssemblyAI' }), true);
+    assert.equal(isNativeSpelling({ to: 'VS Code' }), false);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createDestinationGuard } from '../lib/network.js';
+import { createWebhookDispatcher, parseCallbackInput, signPayload, WEBHOOK_EVENTS } from '../lib/webhooks.js';
+
+// Receptor HTTP local: guarda cada entrega recebida e responde com os status
+// da fila `replies` (200 quando ela acaba)
+const startReceiver = async () => {
+  const received = [];
+  const replies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = replies.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { received, replies, server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Fila de jobs mínima: o job já está terminado quando o webhook é registrado
+const finishedJobQueue = (job) => ({
+  whenFinished: (jobId, listener) => listener({ ...job, id: jobId })
+});
+
+const DONE_JOB = {
+  type: 'file',
+  stage: 'done',
+  source: { fileName: 'reuniao.mp3' },
+  finishedAt: '2026-01-01T12:00:00.000Z',
+  result: { transcription: 'Olá, mundo.', provider: 'mock', words: [], utterances: [] }
+};
+
+// Espera a entrega do job sair de "pending"/"retrying"
+const waitForDelivery = async (dispatcher, jobId) => {
+  for (let i = 0; i < 200; i++) {
+    const [delivery] = dispatcher.list({ jobId });
+    if (delivery && (delivery.status === 'delivered' || delivery.status === 'failed')) {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Entrega do job ${jobId} não terminou`);
+};
+
+describe('parseCallbackInput', () => {
+  const guard = createDestinationGuard();
+
+  it('aceita URLs públicas e recusa outros protocolos', () => {
+    assert.equal(parseCallbackInput({}), null);
+    assert.deepEqual(parseCallbackInput({ callbackUrl: 'https://exemplo.com/hook', callbackSecret: 'abc' }, { guard }), {
+      url: 'https://exemplo.com/hook',
+      secret: 'abc'
+    });
+    assert.throws(() => parseCallbackInput({ callbackUrl: 'ftp://exemplo.com/hook' }), /callbackUrl inválida/);
+    assert.throws(() => parseCallbackInput({ callbackSecret: 'abc' }), /sem callbackUrl/);
+  });
+
+  it('recusa destinos da rede interna', () => {
+    for (const callbackUrl of ['http://localhost:4000/webhook', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data/', 'http://10.0.0.8/hook', 'http://[::1]/']) {
+      assert.throws(() => parseCallbackInput({ callbackUrl }, { guard }), /callbackUrl recusada/, callbackUrl);
+    }
+  });
+});
+
+describe('createWebhookDispatcher com receptor local', () => {
+  let receiver;
+  let dataDir;
+
+  before(async () => {
+    receiver = await startReceiver();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+  });
+
+  after(async () => {
+    receiver.server.close();
+    // Deixa terminar a gravação do registro de entregas antes de apagar a pasta
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const createDispatcher = (name, options = {}) => createWebhookDispatcher({
+    jobQueue: finishedJobQueue(DONE_JOB),
+    file: path.join(dataDir, `${name}.json`),
+    guard: createDestinationGuard({ allowedHosts: ['127.0.0.1'] }),
+    retryBaseMs: 20,
+    timeoutMs: 2000,
+    ...options
+  });
+
+  it('entrega o resultado assinado', async () => {
+    const dispatcher = createDispatcher('assinado');
+    const callback = dispatcher.parseCallback({ callbackUrl: `${receiver.url}/assinado`, callbackSecret: 'segredo' });
+    dispatcher.watch('job-assinado', callback);
+
+    const delivery = await waitForDelivery(dispatcher, 'job-assinado');
+    assert.equal(delivery.status, 'delivered');
+
+    const request = receiver.received.find(item => item.path === '/assinado');
+    assert.equal(request.headers['x-webhook-event'], WEBHOOK_EVENTS.done);
+    assert.equal(request.headers['x-webhook-id'], delivery.id);
+    assert.equal(
+      request.headers['x-webhook-signature'],
+      signPayload('segredo', request.headers['x-webhook-timestamp'], request.body)
+    );
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.jobId, 'job-assinado');
+    assert.equal(payload.text, 'Olá, mundo.');
+  });
+
+  it('refaz a entrega quando o receptor responde 503', async () => {
+    const dispatcher = createDispatcher('repetido', { maxAttempts: 3 });
+    receiver.replies.push(503);
+    dispatcher.watch('job-repetido', { url: `${receiver.url}/repetido`, secret: null });
+
+    const delivery = await waitForDelivery(dispatcher, 'job-repetido');
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(item => item.statusCode), [503, 200]);
+    assert.equal(receiver.received.filter(item => item.path === '/repetido').length, 2);
+  });
+
+  it('guarda o dono do job e filtra o registro por ele', async () => {
+    const dispatcher = createDispatcher('dono', { jobQueue: finishedJobQueue({ ...DONE_JOB, ownerId: 'chave-a' }) });
+    dispatcher.watch('job-dono', { url: `${receiver.url}/dono`, secret: null });
+
+    const delivery = await waitForDelivery(dispatcher, 'job-dono');
+    assert.equal(delivery.ownerId, 'chave-a');
+    assert.deepEqual(dispatcher.list({ ownerId: 'chave-a' }).map(item => item.id), [delivery.id]);
+    assert.deepEqual(dispatcher.list({ ownerId: 'chave-b' }), []);
+    assert.equal(dispatcher.list().length, 1);
+  });
+
+  it('não envia nada para destinos bloqueados', async () => {
+    const dispatcher = createDispatcher('bloqueado', { guard: createDestinationGuard() });
+    dispatcher.watch('job-bloqueado', { url: `${receiver.url}/bloqueado`, secret: null });
+
+    const delivery = await waitForDelivery(dispatcher, 'job-bloqueado');
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.match(delivery.error, /rede local ou reservada/);
+    assert.equal(receiver.received.some(item => item.path === '/bloqueado'), false);
+  });
+});